@@ -64,9 +64,22 @@ function copyDir(dir) {
     console.log(`Copied directory ${dir}`);
 }
 
+// Helper to copy a file out of an installed package into a directory
+function copyPackageFile(request, dir) {
+    const srcPath = require.resolve(request);
+    const destPath = path.join(destDir, dir, path.basename(srcPath));
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.copyFileSync(srcPath, destPath);
+    console.log(`Copied ${request} to ${dir}`);
+}
+
 // Execute copies
 copyFile('index.html');
 copyDir('public');
 copyDir('src');
 
+// Specimen label font (LABEL_FONT_PATH in src/specimen-label.js), so the
+// desktop app can engrave labels offline
+copyPackageFile('three/examples/fonts/helvetiker_bold.typeface.json', 'public/fonts');
+
 console.log('Build context prepared successfully.');
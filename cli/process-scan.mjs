@@ -0,0 +1,420 @@
+#!/usr/bin/env node
+/**
+ * process-scan.mjs
+ * Process & Merge from the command line: re-runs the app's pipeline (import,
+ * transform bake, filler union, base-trim and screw subtraction, cleanup,
+ * validation, STL export) on saved alignments, e.g. for a whole study after
+ * a rig revision. Shares its modules with the app, so results match an
+ * export from the browser for the same scan, rig and alignment.
+ *
+ *   node cli/process-scan.mjs [options] <transform>...
+ *
+ * Each <transform> is a project (.mprep) or an alignment JSON ({ model, filler }
+ * as captureAlignment() in main.js writes it, e.g. a project's `alignment`).
+ * Projects carry their own scan; alignment JSON needs --scan.
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { basename, dirname, extname, join, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { mergeVertices } from 'three/addons/utils/BufferGeometryUtils.js';
+import { Evaluator, Brush, ADDITION, SUBTRACTION } from 'three-bvh-csg';
+import { createCSGPipeline } from '../src/csg-pipeline.js';
+import { packGeometry } from '../src/geometry-transfer.js';
+import { detectScanFormat, parseScan } from '../src/mesh-import.js';
+import { validatePrintability } from '../src/mesh-validation.js';
+import { parseProject, MODEL_ROTATION_OFFSET, PROJECT_FORMAT } from '../src/project-file.js';
+import { parseRigManifest } from '../src/rig-manifest.js';
+import { buildRigOperations, closureFloorY, prepareRigTemplate, DEFAULT_RIG_VARIANT, RIG_VARIANTS } from '../src/rig-template.js';
+import { SCAN_UNITS } from '../src/scan-units.js';
+import { buildLabelGeometry, labelOperation, labelSettings, labelText, parseLabelFont, LABEL_DEFAULTS, LABEL_FONT_FILE, LABEL_LIMITS, LABEL_MODES, LABEL_SURFACES } from '../src/specimen-label.js';
+import { buildSpecimenSTL, specimenStlHeader } from '../src/stl-export.js';
+
+const APP_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Default of the block-out residual depth field in index.html (mm)
+const DEFAULT_RESIDUAL_DEPTH = 0.25;
+
+// Logger for the shared modules without --verbose: their stage logs are
+// dropped, warnings and errors still reach stderr
+const QUIET_LOGGER = { log() { }, warn: console.warn, error: console.error };
+
+const USAGE = `Usage: node cli/process-scan.mjs [options] <transform>...
+
+  <transform>           project (.mprep) or alignment JSON; several may be given
+
+Options:
+  --scan <file>         scan (STL, OBJ, PLY) for an alignment JSON, or to
+                        replace the scan embedded in a single project
+  --units <unit>        unit the scan was exported in: ${Object.keys(SCAN_UNITS).join(', ')}
+                        (default: the project's, else mm)
+  --variant <id>        built-in rig: ${Object.keys(RIG_VARIANTS).join(', ')}
+                        (default: the project's, else ${DEFAULT_RIG_VARIANT})
+  --rig <glb>           custom rig template, together with --manifest
+  --manifest <json>     rig manifest for --rig
+  --out <stl>           output file (single transform only)
+  --out-dir <dir>       output folder (default: next to each transform)
+  --no-close            do not close an open scan base before the Booleans
+  --blockout            fill undercuts before the Booleans
+  --residual <mm>       undercut depth kept at the project's picked teeth
+                        (default ${DEFAULT_RESIDUAL_DEPTH})
+  --label <mode>        engrave, emboss or off for the specimen ID
+                        (default: the project's label, else off)
+  --label-text <text>   ID to cut (single transform only; default: the
+                        project's label, else the scan file name)
+  --label-surface <s>   ${Object.keys(LABEL_SURFACES).join(' or ')} (default: the project's, else
+                        ${LABEL_DEFAULTS.surface}); labels on the base are always engraved
+  --label-size <mm>     font size (default: the project's, else ${LABEL_DEFAULTS.size})
+  --label-depth <mm>    engraving depth or embossed height (default: the
+                        project's, else ${LABEL_DEFAULTS.depth})
+  --force               write the STL even if the printability check fails
+  --verbose             print the pipeline's own log
+  -h, --help            show this help
+`;
+
+// ============ Output ============
+function report(message) {
+    process.stderr.write(`${message}\n`);
+}
+
+function toArrayBuffer(buffer) {
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+}
+
+// ============ Inputs ============
+/**
+ * Read a transform file.
+ * Returns { alignment, scan: { filename, sourceUnit, geometry } | null,
+ * residualTeeth, rig, label } where scan is the project's embedded scan and
+ * label its { text, settings } (see buildProject in project-file.js).
+ */
+async function readTransform(path) {
+    const text = await readFile(path, 'utf8');
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`${path} is not valid JSON.`);
+    }
+
+    if (json.format === PROJECT_FORMAT) {
+        const project = parseProject(text);
+        return {
+            alignment: project.alignment,
+            scan: project.scan,
+            residualTeeth: project.landmarks?.residualTeeth || [],
+            rig: project.rig || null,
+            label: project.label
+        };
+    }
+
+    const alignment = json.alignment || json;
+    if (!alignment.model) {
+        throw new Error(`${path} has no model alignment.`);
+    }
+    return { alignment, scan: null, residualTeeth: [], rig: null, label: null };
+}
+
+// The label font from the three package, as the app fetches it from the CDN
+async function loadLabelFont() {
+    const path = createRequire(import.meta.url).resolve(LABEL_FONT_FILE);
+    return parseLabelFont(JSON.parse(await readFile(path, 'utf8')));
+}
+
+// Number option within its LABEL_LIMITS range
+function labelNumber(values, name, key) {
+    const value = parseFloat(values[name]);
+    const { min, max } = LABEL_LIMITS[key];
+    if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`--${name} must be between ${min} and ${max} mm.`);
+    }
+    return value;
+}
+
+// Parse a scan file the way the app imports it: fresh normals, centred
+async function readScan(path) {
+    const buffer = toArrayBuffer(await readFile(path));
+    const format = detectScanFormat(basename(path), buffer);
+    if (!format) {
+        throw new Error(`${path} is not a recognised scan format.`);
+    }
+
+    const geometry = parseScan(buffer, format);
+    geometry.computeVertexNormals();
+    geometry.center();
+    return { filename: basename(path), geometry };
+}
+
+function scaleToMillimetres(geometry, unit) {
+    const factor = SCAN_UNITS[unit].toMillimetres;
+    if (factor !== 1) geometry.scale(factor, factor, factor);
+}
+
+/**
+ * Load and prepare a rig template.
+ * Returns { root, parts, label } where label is the rig as written into
+ * STL headers (see describeRig in main.js).
+ */
+async function loadRig({ variantId, rigPath, manifestPath, logger }) {
+    let variant;
+    let label;
+    let url;
+    if (rigPath) {
+        const manifest = parseRigManifest(await readFile(manifestPath, 'utf8'));
+        variant = { label: manifest.name || basename(rigPath, extname(rigPath)), manifest, screwLayout: null };
+        label = `custom:${variant.label}`;
+        url = rigPath;
+    } else {
+        variant = RIG_VARIANTS[variantId];
+        label = variantId;
+        url = join(APP_ROOT, variant.url);
+    }
+
+    const gltf = await new Promise((resolveLoad, rejectLoad) => {
+        readFile(url).then(buffer => {
+            new GLTFLoader().parse(toArrayBuffer(buffer), '', resolveLoad, rejectLoad);
+        }, rejectLoad);
+    });
+
+    const { parts, errors } = prepareRigTemplate(gltf.scene, variant, { logger });
+    if (errors.length > 0) {
+        throw new Error(`${variant.label} does not match its manifest: ${errors.join(' ')}`);
+    }
+    gltf.scene.updateMatrixWorld(true);
+    return { root: gltf.scene, parts, label };
+}
+
+/**
+ * Built-in variant for a transform: the --variant flag, then the project's
+ * rig ({ variant, template } as saved by the app), then the default.
+ * Projects prepared on a custom rig need that rig passed in again.
+ */
+function projectVariant(flag, projectRig) {
+    if (flag) return flag;
+    const saved = projectRig?.variant;
+    if (saved === 'custom') {
+        throw new Error(`Prepared on the custom rig "${projectRig.template}", pass it with --rig and --manifest (or choose --variant).`);
+    }
+    if (saved && !RIG_VARIANTS[saved]) {
+        throw new Error(`Unknown rig variant "${saved}" in the project.`);
+    }
+    return saved || DEFAULT_RIG_VARIANT;
+}
+
+// ============ Processing ============
+// Pose the scan and the freshly loaded filler from a saved alignment
+// (see snapshotFromAlignment in main.js)
+function applyAlignment(model, filler, alignment) {
+    const [rx, ry, rz] = alignment.model.rotationOffsetDeg;
+    model.position.fromArray(alignment.model.position);
+    model.rotation.set(
+        MODEL_ROTATION_OFFSET.x + THREE.MathUtils.degToRad(rx),
+        MODEL_ROTATION_OFFSET.y + THREE.MathUtils.degToRad(ry),
+        MODEL_ROTATION_OFFSET.z + THREE.MathUtils.degToRad(rz)
+    );
+    model.updateMatrixWorld(true);
+
+    if (filler && alignment.filler) {
+        filler.position.add(new THREE.Vector3().fromArray(alignment.filler.positionOffset));
+        filler.scale.multiply(new THREE.Vector3().fromArray(alignment.filler.scaleMultiplier));
+        filler.updateMatrixWorld(true);
+    }
+}
+
+function bake(mesh) {
+    const geometry = mesh.geometry.clone();
+    geometry.applyMatrix4(mesh.matrixWorld);
+    return geometry;
+}
+
+/**
+ * Run the Boolean chain for one posed scan (see buildCSGJob in main.js).
+ * Returns { geometry, validation } with the result as a BufferGeometry.
+ */
+function processScan(pipeline, model, rig, options) {
+    const floorY = rig.parts.baseTrim
+        ? closureFloorY(rig.parts.baseTrim)
+        : new THREE.Box3().setFromObject(model).min.y - 1;
+
+    const { operations, validation } = buildRigOperations(rig.root, bake);
+    const job = {
+        base: { name: 'UserModel', geometry: bake(model) },
+        closure: options.close ? { floorY } : null,
+        blockout: options.blockout ? {
+            floorY,
+            residualDepth: options.residualDepth,
+            residualSites: options.residualTeeth.map(point => {
+                const world = model.localToWorld(new THREE.Vector3().fromArray(point));
+                return { x: world.x, z: world.z };
+            })
+        } : null,
+        operations
+    };
+
+    // The specimen ID goes on last, after the base has been trimmed flat
+    if (options.label) {
+        const { font, text, settings } = options.label;
+        const geometry = buildLabelGeometry(font, text, settings, {
+            filler: rig.parts.fillerTransform,
+            baseTrim: rig.parts.baseTrim
+        });
+        const label = labelOperation(geometry, settings);
+        if (label) operations.push(label);
+    }
+
+    let lastLabel = null;
+    const geometry = pipeline.run(job, (fraction, label) => {
+        if (label === lastLabel) return;
+        lastLabel = label;
+        report(`  ${Math.round(fraction * 100)}% ${label}`);
+    });
+    return { geometry, validation: validatePrintability(packGeometry(geometry), validation) };
+}
+
+// ============ Main ============
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            scan: { type: 'string' },
+            units: { type: 'string' },
+            variant: { type: 'string' },
+            rig: { type: 'string' },
+            manifest: { type: 'string' },
+            out: { type: 'string' },
+            'out-dir': { type: 'string' },
+            'no-close': { type: 'boolean', default: false },
+            blockout: { type: 'boolean', default: false },
+            residual: { type: 'string' },
+            label: { type: 'string' },
+            'label-text': { type: 'string' },
+            'label-surface': { type: 'string' },
+            'label-size': { type: 'string' },
+            'label-depth': { type: 'string' },
+            force: { type: 'boolean', default: false },
+            verbose: { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false }
+        }
+    });
+
+    if (values.help || positionals.length === 0) {
+        process.stdout.write(USAGE);
+        return values.help ? 0 : 2;
+    }
+    if (positionals.length > 1 && (values.scan || values.out)) {
+        throw new Error('--scan and --out take a single transform; use --out-dir for several.');
+    }
+    if (positionals.length > 1 && values['label-text']) {
+        throw new Error('--label-text takes a single transform; several are labelled with their own IDs.');
+    }
+    if (Boolean(values.rig) !== Boolean(values.manifest)) {
+        throw new Error('--rig needs its --manifest (and the other way round).');
+    }
+    if (values.variant && !RIG_VARIANTS[values.variant]) {
+        throw new Error(`Unknown rig variant "${values.variant}".`);
+    }
+    if (values.units && !SCAN_UNITS[values.units]) {
+        throw new Error(`Unknown unit "${values.units}".`);
+    }
+    const residualDepth = values.residual === undefined ? DEFAULT_RESIDUAL_DEPTH : parseFloat(values.residual);
+    if (!Number.isFinite(residualDepth) || residualDepth < 0) {
+        throw new Error('--residual must be a depth in mm.');
+    }
+
+    // Label options override the settings saved in each project
+    const labelOverrides = {};
+    if (values.label !== undefined) {
+        if (!LABEL_MODES[values.label]) {
+            throw new Error('--label must be engrave, emboss or off.');
+        }
+        labelOverrides.mode = values.label;
+    }
+    if (values['label-surface'] !== undefined) {
+        if (!LABEL_SURFACES[values['label-surface']]) {
+            throw new Error(`Unknown label surface "${values['label-surface']}".`);
+        }
+        labelOverrides.surface = values['label-surface'];
+    }
+    if (values['label-size'] !== undefined) labelOverrides.size = labelNumber(values, 'label-size', 'size');
+    if (values['label-depth'] !== undefined) labelOverrides.depth = labelNumber(values, 'label-depth', 'depth');
+    let labelFont = null; // Promise of the parsed font, read for the first label
+
+    // The pipeline logs every stage; keep the terminal to our own progress
+    const logger = values.verbose ? console : QUIET_LOGGER;
+    const pipeline = createCSGPipeline({ THREE, Evaluator, Brush, ADDITION, SUBTRACTION, mergeVertices, logger });
+    let failed = 0;
+
+    for (const transformPath of positionals) {
+        report(`${transformPath}:`);
+        try {
+            const transform = await readTransform(transformPath);
+            const scan = values.scan ? await readScan(values.scan) : transform.scan;
+            if (!scan) {
+                throw new Error('Alignment JSON has no scan, pass it with --scan.');
+            }
+            // Projects hold their scan already converted to mm
+            const unit = values.units || (values.scan && transform.scan?.sourceUnit) || 'mm';
+            if (values.scan) scaleToMillimetres(scan.geometry, unit);
+
+            const variantId = values.rig ? null : projectVariant(values.variant, transform.rig);
+            // Reloaded per specimen, posing moves the template's filler
+            const rig = await loadRig({ variantId, rigPath: values.rig, manifestPath: values.manifest, logger });
+
+            const model = new THREE.Mesh(scan.geometry);
+            applyAlignment(model, rig.parts.fillerTransform, transform.alignment);
+
+            const baseName = scan.filename.replace(/\.[^.]+$/, '');
+            const settings = { ...labelSettings(transform.label?.settings), ...labelOverrides };
+            if (settings.surface === 'base' && settings.mode === 'emboss') settings.mode = 'engrave';
+            const text = labelText(values['label-text'] ?? transform.label?.text ?? baseName);
+            let label = null;
+            if (settings.mode !== 'off' && text) {
+                labelFont = labelFont || loadLabelFont();
+                label = { font: await labelFont, text, settings };
+                report(`  Label "${text}" (${settings.mode}, ${LABEL_SURFACES[settings.surface].toLowerCase()})`);
+            }
+
+            const started = Date.now();
+            const { geometry, validation } = processScan(pipeline, model, rig, {
+                close: !values['no-close'],
+                blockout: values.blockout,
+                residualDepth,
+                residualTeeth: transform.residualTeeth,
+                label
+            });
+            report(`  Processed in ${Date.now() - started} ms, ${geometry.index.count / 3} triangles`);
+
+            if (!validation.passed) {
+                report(`  Printability check failed: ${validation.failures.join('; ')}`);
+                if (!values.force) {
+                    throw new Error('Not written (use --force to write it anyway).');
+                }
+            }
+
+            const outPath = values.out || join(values['out-dir'] || dirname(transformPath), `${baseName}_${values.rig ? 'custom' : variantId}.stl`);
+            await mkdir(dirname(outPath), { recursive: true });
+
+            const header = specimenStlHeader({ exportedAt: new Date().toISOString(), rig: rig.label });
+            const data = buildSpecimenSTL(geometry, header);
+            await writeFile(outPath, new Uint8Array(data.buffer, data.byteOffset, data.byteLength));
+            report(`  Wrote ${outPath}`);
+        } catch (error) {
+            failed++;
+            report(`  Failed: ${error.message}`);
+        }
+    }
+
+    if (positionals.length > 1) {
+        report(`${positionals.length - failed} of ${positionals.length} written`);
+    }
+    return failed > 0 ? 1 : 0;
+}
+
+main().then(code => { process.exitCode = code; }, error => {
+    report(error.message);
+    process.exitCode = 2;
+});
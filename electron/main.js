@@ -46,7 +46,7 @@ function createWindow() {
             label: 'File',
             submenu: [
                 {
-                    label: 'Import STL...',
+                    label: 'Import Scan...',
                     accelerator: 'CmdOrCtrl+O',
                     click: () => {
                         mainWindow.webContents.executeJavaScript(`
@@ -55,6 +55,25 @@ function createWindow() {
                     }
                 },
                 { type: 'separator' },
+                {
+                    label: 'Open Project...',
+                    accelerator: 'CmdOrCtrl+Shift+O',
+                    click: () => {
+                        mainWindow.webContents.executeJavaScript(`
+                            document.getElementById('project-upload').click();
+                        `);
+                    }
+                },
+                {
+                    label: 'Save Project...',
+                    accelerator: 'CmdOrCtrl+S',
+                    click: () => {
+                        mainWindow.webContents.executeJavaScript(`
+                            document.getElementById('btn-save-project').click();
+                        `);
+                    }
+                },
+                { type: 'separator' },
                 {
                     label: 'Exit',
                     accelerator: process.platform === 'darwin' ? 'Cmd+Q' : 'Alt+F4',
@@ -65,16 +84,43 @@ function createWindow() {
         {
             label: 'Edit',
             submenu: [
+                // The accelerators keep these keys from the page, so undo
+                // typing in a field natively and everything else in the app
                 {
                     label: 'Undo',
                     accelerator: 'CmdOrCtrl+Z',
-                    role: 'undo'
+                    click: () => {
+                        mainWindow.webContents.executeJavaScript(`
+                            document.activeElement.matches('input[type="text"], input[type="number"], textarea')
+                                ? document.execCommand('undo')
+                                : document.getElementById('btn-undo').click();
+                        `);
+                    }
                 },
                 {
                     label: 'Redo',
                     accelerator: 'CmdOrCtrl+Shift+Z',
-                    role: 'redo'
-                }
+                    click: () => {
+                        mainWindow.webContents.executeJavaScript(`
+                            document.activeElement.matches('input[type="text"], input[type="number"], textarea')
+                                ? document.execCommand('redo')
+                                : document.getElementById('btn-redo').click();
+                        `);
+                    }
+                },
+                {
+                    label: 'History',
+                    click: () => {
+                        mainWindow.webContents.executeJavaScript(`
+                            document.getElementById('toggle-history').click();
+                        `);
+                    }
+                },
+                { type: 'separator' },
+                { role: 'cut' },
+                { role: 'copy' },
+                { role: 'paste' },
+                { role: 'selectAll' }
             ]
         },
         {
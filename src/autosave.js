@@ -0,0 +1,63 @@
+/**
+ * autosave.js
+ * Crash recovery: the current editing session kept in IndexedDB, so a tab
+ * or window closed mid-alignment can be picked up again on the next launch.
+ * There is one record, replaced on every save. It holds what a project file
+ * stores (see captureSession in main.js), with the scan geometry as packed
+ * typed arrays (see geometry-transfer.js) rather than base64.
+ */
+
+const DB_NAME = 'maryland-model-prep';
+const DB_VERSION = 1;
+const STORE = 'autosave';
+const KEY = 'session';
+
+let database = null; // Promise of the open database
+
+function openDatabase() {
+    if (!database) {
+        database = new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        database.catch(() => { database = null; }); // Try again next time
+    }
+    return database;
+}
+
+// Run one request against the store and resolve with its result once the
+// transaction has committed
+async function withStore(mode, run) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE, mode);
+        const request = run(transaction.objectStore(STORE));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Autosave transaction aborted'));
+    });
+}
+
+/**
+ * Replace the saved session.
+ *   record  { savedAt, projectSaved, rig: { variant, template }, session }
+ *           with session.scan.geometry packed
+ */
+export function writeAutosave(record) {
+    return withStore('readwrite', store => store.put(record, KEY));
+}
+
+// The saved session, or null
+export async function readAutosave() {
+    return (await withStore('readonly', store => store.get(KEY))) || null;
+}
+
+export function clearAutosave() {
+    return withStore('readwrite', store => store.delete(KEY));
+}
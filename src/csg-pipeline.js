@@ -0,0 +1,138 @@
+/**
+ * csg-pipeline.js
+ * The Boolean chain behind Process & Merge, independent of the page.
+ * Three.js and three-bvh-csg are passed in by the caller because import maps
+ * do not apply inside Web Workers (see processing-worker.js). Stage logging
+ * goes to `logger` (console by default).
+ */
+
+import { closeOpenSurface } from './mesh-closing.js';
+import { buildBlockout } from './mesh-undercut.js';
+
+export function createCSGPipeline({ THREE, Evaluator, Brush, ADDITION, SUBTRACTION, mergeVertices, logger = console }) {
+    const evaluator = new Evaluator();
+    evaluator.useGroups = false;
+
+    // Helper to prepare geometry for CSG operations
+    // three-bvh-csg requires position, normal, AND uv attributes on ALL geometries
+    function prepareGeometryForCSG(geometry, name = 'unknown') {
+        // Clone to avoid modifying original
+        const geo = geometry.clone();
+
+        // Ensure geometry has proper position attribute
+        if (!geo.attributes.position) {
+            logger.error(`[CSG] ${name}: No position attribute!`);
+            return null;
+        }
+
+        // Brushes must share the same attribute set, drop extras like vertex colors
+        Object.keys(geo.attributes).forEach(attributeName => {
+            if (!['position', 'normal', 'uv'].includes(attributeName)) {
+                geo.deleteAttribute(attributeName);
+            }
+        });
+
+        const posCount = geo.attributes.position.count;
+        logger.log(`[CSG] ${name}: positions=${posCount}, indexed=${geo.index !== null}, hasNormal=${!!geo.attributes.normal}, hasUV=${!!geo.attributes.uv}`);
+
+        // If non-indexed, convert to indexed geometry
+        if (!geo.index) {
+            logger.log(`[CSG] ${name}: Converting non-indexed to indexed geometry`);
+            const indices = new Uint32Array(posCount);
+            for (let i = 0; i < posCount; i++) {
+                indices[i] = i;
+            }
+            geo.setIndex(new THREE.BufferAttribute(indices, 1));
+        }
+
+        // Ensure normals exist
+        if (!geo.attributes.normal) {
+            logger.log(`[CSG] ${name}: Computing normals`);
+            geo.computeVertexNormals();
+        }
+
+        // CRITICAL: Ensure UV attributes exist (three-bvh-csg requires this)
+        if (!geo.attributes.uv) {
+            logger.log(`[CSG] ${name}: Adding empty UV attribute`);
+            const uvArray = new Float32Array(posCount * 2);
+            geo.setAttribute('uv', new THREE.BufferAttribute(uvArray, 2));
+        }
+
+        return geo;
+    }
+
+    /**
+     * Run a Boolean job. All geometries must already be baked into world space.
+     *   job.base       { name, geometry }
+     *   job.closure    { floorY } to close an open base scan first (see mesh-closing.js), or null
+     *   job.blockout   { floorY, residualDepth, residualSites } to fill the base scan's
+     *                  undercuts before the operations (see mesh-undercut.js), or null
+     *   job.operations [{ name, label, operation: 'union' | 'subtract', geometry }]
+     * onProgress(fraction, label) is called before every stage.
+     * Returns the welded result geometry with fresh normals.
+     */
+    function run(job, onProgress = () => { }) {
+        // Stages: prepare base, one per operation, cleanup (+ closing, block-out)
+        const stageCount = job.operations.length + 2 + (job.closure ? 1 : 0) + (job.blockout ? 1 : 0);
+        let stage = 0;
+
+        let baseGeometry = job.base.geometry;
+        if (job.closure) {
+            onProgress(stage++ / stageCount, 'Closing open scan...');
+            const closed = closeOpenSurface(THREE, baseGeometry, job.closure);
+            logger.log(`[CSG] ${job.base.name}: closed ${closed.loopCount} boundary loop(s)`);
+            baseGeometry = closed.geometry;
+        }
+
+        onProgress(stage++ / stageCount, `Preparing ${job.base.name}...`);
+        const baseGeo = prepareGeometryForCSG(baseGeometry, job.base.name);
+        if (!baseGeo) throw new Error(`${job.base.name} geometry preparation failed`);
+
+        let resultBrush = new Brush(baseGeo);
+
+        // Undercuts are measured on the scan itself, not the closing wall
+        if (job.blockout) {
+            onProgress(stage++ / stageCount, 'Blocking out undercuts...');
+            const scan = job.base.geometry;
+            const blockout = buildBlockout({
+                position: scan.attributes.position.array,
+                index: scan.index ? scan.index.array : null
+            }, job.blockout);
+
+            if (blockout) {
+                logger.log(`[CSG] UNION block-out (${blockout.cellCount} columns)`);
+                const geometry = new THREE.BufferGeometry();
+                geometry.setAttribute('position', new THREE.BufferAttribute(blockout.position, 3));
+                geometry.setIndex(new THREE.BufferAttribute(blockout.index, 1));
+                resultBrush = evaluator.evaluate(resultBrush, new Brush(prepareGeometryForCSG(geometry, 'Block-out')), ADDITION);
+            } else {
+                logger.log('[CSG] No undercuts to block out');
+            }
+        }
+
+        job.operations.forEach((step) => {
+            onProgress(stage++ / stageCount, step.label);
+            logger.log(`[CSG] ${step.operation.toUpperCase()} ${step.name}`);
+
+            const geo = prepareGeometryForCSG(step.geometry, step.name);
+            if (!geo) return;
+
+            const operation = step.operation === 'union' ? ADDITION : SUBTRACTION;
+            resultBrush = evaluator.evaluate(resultBrush, new Brush(geo), operation);
+        });
+
+        onProgress((stageCount - 1) / stageCount, 'Cleaning up mesh...');
+
+        // Mesh cleanup Step 1: Merge duplicate vertices to fix non-manifold edges
+        // This welds vertices that are at the same position (within tolerance)
+        const cleanedGeometry = mergeVertices(resultBrush.geometry, 0.0001);
+
+        // Mesh cleanup Step 2: Recompute normals for proper lighting
+        cleanedGeometry.computeVertexNormals();
+
+        onProgress(1, 'Done');
+        return cleanedGeometry;
+    }
+
+    return { prepareGeometryForCSG, run };
+}
@@ -0,0 +1,39 @@
+/**
+ * geometry-transfer.js
+ * Pack BufferGeometry into plain typed arrays for postMessage and back.
+ * Kept free of imports so it loads both on the page and inside workers.
+ */
+
+/**
+ * Flatten a geometry into { position, normal, color, index } typed arrays.
+ * Pass the result's buffers (see transferList) to postMessage to avoid copies.
+ */
+export function packGeometry(geometry) {
+    const attribute = (name) => geometry.attributes[name] ? geometry.attributes[name].array : null;
+    return {
+        position: attribute('position'),
+        normal: attribute('normal'),
+        color: attribute('color'),
+        index: geometry.index ? geometry.index.array : null
+    };
+}
+
+export function unpackGeometry(THREE, packed) {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(packed.position, 3));
+    if (packed.normal) geometry.setAttribute('normal', new THREE.BufferAttribute(packed.normal, 3));
+    if (packed.color) geometry.setAttribute('color', new THREE.BufferAttribute(packed.color, 3));
+    if (packed.index) geometry.setIndex(new THREE.BufferAttribute(packed.index, 1));
+    return geometry;
+}
+
+// Unique buffers of one or more packed geometries, for postMessage transfer
+export function transferList(...packedGeometries) {
+    const buffers = new Set();
+    packedGeometries.forEach(packed => {
+        Object.values(packed).forEach(array => {
+            if (array && array.buffer) buffers.add(array.buffer);
+        });
+    });
+    return [...buffers];
+}
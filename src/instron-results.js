@@ -0,0 +1,302 @@
+/**
+ * instron-results.js
+ * Pull-out test results from Instron (Bluehill) CSV exports, linked back to
+ * the prepared specimens. Each run is matched to a specimen by the specimen
+ * ID (scan file name without extension) appearing in its file name, folder
+ * or header fields, so naming runs after the exported STL or report is
+ * enough. Force is converted to N and displacement to mm.
+ */
+
+// Header names of the columns we read, as Bluehill and similar software write them
+const FORCE_COLUMN = /\b(load|force)\b/i;
+const DISPLACEMENT_COLUMN = /\b(extension|displacement|position|deflection|elongation|crosshead)\b/i;
+const DERIVED_COLUMN = /\b(stress|strain)\b/i;
+
+// Header fields that may name the specimen
+const SPECIMEN_FIELD = /specimen|sample/i;
+
+export const FORCE_UNITS = { n: 1, kn: 1000, lbf: 4.4482216152605, kgf: 9.80665, gf: 0.00980665 };
+export const DISPLACEMENT_UNITS = { mm: 1, um: 0.001, µm: 0.001, cm: 10, m: 1000, in: 25.4 };
+
+export const RESULT_ACCEPT = '.csv,.txt';
+
+export function isResultFileName(name) {
+    return /\.(csv|txt)$/i.test(name);
+}
+
+// Specimen ID of a scan: its file name without extension
+export function specimenIdFromFilename(filename) {
+    return filename.replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Group of a specimen ID: the ID without its trailing number, so
+ * "control-03" and "control-11" are both in "control".
+ */
+export function specimenGroup(id) {
+    return id.replace(/[\s_-]*\d+$/, '') || id;
+}
+
+// ============ CSV Parsing ============
+function splitRow(line, delimiter) {
+    const fields = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quoted) {
+            if (char === '"' && line[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            fields.push(field.trim());
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    fields.push(field.trim());
+    return fields;
+}
+
+function parseNumber(text, decimalComma) {
+    const normalized = decimalComma ? text.replace(',', '.') : text;
+    return normalized === '' ? NaN : Number(normalized);
+}
+
+// Unit in parentheses or brackets, e.g. "Load (kN)" or "[mm]"
+function unitOf(text) {
+    const match = /[([]\s*([^)\]]+?)\s*[)\]]/.exec(text || '');
+    return match ? match[1] : null;
+}
+
+function findColumn(fields, pattern) {
+    return fields.findIndex(field => pattern.test(field) && !DERIVED_COLUMN.test(field));
+}
+
+function unitFactor(units, unit, quantity) {
+    const factor = units[unit.toLowerCase()];
+    if (factor === undefined) throw new Error(`Unknown ${quantity} unit "${unit}".`);
+    return factor;
+}
+
+/**
+ * Parse an Instron CSV export.
+ * Returns { metadata: [[key, value]], units: { force, displacement },
+ * displacement, force } with the curve as Float64Arrays in mm and N.
+ * Throws when no load and extension columns are found.
+ */
+export function parseInstronCSV(text) {
+    const lines = text.split(/\r?\n/);
+
+    // The column header is the first row naming both a force and a displacement
+    let header = null;
+    for (let i = 0; i < lines.length && !header; i++) {
+        for (const delimiter of [',', ';', '\t']) {
+            const fields = splitRow(lines[i], delimiter);
+            const forceColumn = findColumn(fields, FORCE_COLUMN);
+            const displacementColumn = findColumn(fields, DISPLACEMENT_COLUMN);
+            if (fields.length > 1 && forceColumn >= 0 && displacementColumn >= 0) {
+                header = { row: i, delimiter, fields, forceColumn, displacementColumn };
+                break;
+            }
+        }
+    }
+    if (!header) {
+        throw new Error('No load and extension columns found.');
+    }
+    const { delimiter, forceColumn, displacementColumn } = header;
+
+    // Key/value lines above the table (sample name, test date, ...)
+    const metadata = lines.slice(0, header.row)
+        .map(line => splitRow(line, delimiter))
+        .filter(fields => fields.length > 1 && fields[0] && fields[1])
+        .map(([key, value]) => [key.replace(/:$/, ''), value]);
+
+    // Units sit in the header names or on a row of their own below them
+    let dataRow = header.row + 1;
+    let forceUnit = unitOf(header.fields[forceColumn]);
+    let displacementUnit = unitOf(header.fields[displacementColumn]);
+    const unitRow = splitRow(lines[dataRow] || '', delimiter);
+    if (!forceUnit && unitOf(unitRow[forceColumn])) {
+        forceUnit = unitOf(unitRow[forceColumn]);
+        displacementUnit = unitOf(unitRow[displacementColumn]) || displacementUnit;
+        dataRow++;
+    }
+    forceUnit = forceUnit || 'N';
+    displacementUnit = displacementUnit || 'mm';
+    const forceFactor = unitFactor(FORCE_UNITS, forceUnit, 'force');
+    const displacementFactor = unitFactor(DISPLACEMENT_UNITS, displacementUnit, 'displacement');
+
+    const decimalComma = delimiter !== ',';
+    const displacement = [];
+    const force = [];
+    for (let i = dataRow; i < lines.length; i++) {
+        const fields = splitRow(lines[i], delimiter);
+        const d = parseNumber(fields[displacementColumn] ?? '', decimalComma);
+        const f = parseNumber(fields[forceColumn] ?? '', decimalComma);
+        if (!Number.isFinite(d) || !Number.isFinite(f)) {
+            // Blank lines or a results block after the curve end the data
+            if (force.length > 0) break;
+            continue;
+        }
+        displacement.push(d * displacementFactor);
+        force.push(f * forceFactor);
+    }
+    if (force.length === 0) {
+        throw new Error('The file has no load/extension data.');
+    }
+
+    // Compression-positive exports: flip so the pull reads as positive force
+    const max = force.reduce((a, b) => Math.max(a, b), -Infinity);
+    const min = force.reduce((a, b) => Math.min(a, b), Infinity);
+    const sign = -min > max ? -1 : 1;
+
+    return {
+        metadata,
+        units: { force: forceUnit, displacement: displacementUnit },
+        displacement: Float64Array.from(displacement, value => value * sign),
+        force: Float64Array.from(force, value => value * sign)
+    };
+}
+
+/**
+ * Peak of a pull-out curve.
+ * Returns { peakForce, displacementAtPeak } in N and mm.
+ */
+export function findPeak({ displacement, force }) {
+    let peak = 0;
+    for (let i = 1; i < force.length; i++) {
+        if (force[i] > force[peak]) peak = i;
+    }
+    return { peakForce: force[peak], displacementAtPeak: displacement[peak] };
+}
+
+// ============ Specimen Matching ============
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Texts that may carry a run's specimen ID, most specific first: header
+ * fields naming the specimen, the file name, then its folders.
+ *   path  file name, or relative path for runs imported from a folder
+ */
+export function runCandidates(path, metadata) {
+    const parts = path.split('/');
+    const filename = parts.pop();
+    return [
+        ...metadata.filter(([key]) => SPECIMEN_FIELD.test(key)).map(([, value]) => value),
+        specimenIdFromFilename(filename),
+        ...parts.reverse()
+    ];
+}
+
+/**
+ * Known specimen ID found in a run's candidates, or null. IDs must stand on
+ * their own (not followed or preceded by more letters or digits) so
+ * "S1" does not match "S12"; the longest match wins.
+ */
+export function matchSpecimen(candidates, knownIds) {
+    let best = null;
+    knownIds.forEach(id => {
+        const pattern = new RegExp(`(^|[^a-z0-9])${escapeRegExp(id.toLowerCase())}($|[^a-z0-9])`);
+        if (candidates.some(text => pattern.test(text.toLowerCase())) && (!best || id.length > best.length)) {
+            best = id;
+        }
+    });
+    return best;
+}
+
+/**
+ * ID for a run that matches no known specimen: its first candidate, without
+ * an export suffix such as "_3-screw" (see `suffixes`).
+ */
+export function fallbackSpecimenId(candidates, suffixes = []) {
+    let id = candidates[0] || '';
+    suffixes.forEach(suffix => {
+        if (id.toLowerCase().endsWith(`_${suffix.toLowerCase()}`)) id = id.slice(0, -suffix.length - 1);
+    });
+    return id;
+}
+
+// ============ Summaries ============
+function meanAndSD(values) {
+    const n = values.length;
+    const mean = values.reduce((sum, value) => sum + value, 0) / n;
+    const sd = n > 1 ? Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1)) : null;
+    return { mean, sd };
+}
+
+/**
+ * One row per specimen from linked runs ({ specimenId, peakForce,
+ * displacementAtPeak }). Specimens pulled more than once are averaged.
+ * Returns [{ specimenId, group, runs, peakForce, displacementAtPeak }]
+ * in specimen order.
+ */
+export function summarizeSpecimens(runs) {
+    const bySpecimen = new Map();
+    runs.forEach(run => {
+        if (!bySpecimen.has(run.specimenId)) bySpecimen.set(run.specimenId, []);
+        bySpecimen.get(run.specimenId).push(run);
+    });
+
+    return Array.from(bySpecimen, ([specimenId, specimenRuns]) => ({
+        specimenId,
+        group: specimenGroup(specimenId),
+        runs: specimenRuns.length,
+        peakForce: meanAndSD(specimenRuns.map(run => run.peakForce)).mean,
+        displacementAtPeak: meanAndSD(specimenRuns.map(run => run.displacementAtPeak)).mean
+    })).sort((a, b) => a.specimenId.localeCompare(b.specimenId, undefined, { numeric: true }));
+}
+
+/**
+ * Per-group statistics over specimen rows (see summarizeSpecimens).
+ * Returns [{ group, n, peakForce: { mean, sd }, displacementAtPeak: { mean, sd } }];
+ * sd is null for groups of one.
+ */
+export function summarizeGroups(specimens) {
+    const groups = new Map();
+    specimens.forEach(row => {
+        if (!groups.has(row.group)) groups.set(row.group, []);
+        groups.get(row.group).push(row);
+    });
+
+    return Array.from(groups, ([group, rows]) => ({
+        group,
+        n: rows.length,
+        peakForce: meanAndSD(rows.map(row => row.peakForce)),
+        displacementAtPeak: meanAndSD(rows.map(row => row.displacementAtPeak))
+    }));
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with one row per run ({ specimenId, inStudy, path, peakForce,
+ * displacementAtPeak, force }), force in N and displacement in mm.
+ */
+export function resultsToCSV(runs) {
+    const header = ['specimen', 'group', 'in_study', 'run_file', 'peak_force_N', 'displacement_at_peak_mm', 'points'];
+    const lines = runs.map(run => [
+        run.specimenId,
+        specimenGroup(run.specimenId),
+        run.inStudy ? 'yes' : 'no',
+        run.path,
+        run.peakForce.toFixed(2),
+        run.displacementAtPeak.toFixed(3),
+        run.force.length
+    ].map(csvField).join(','));
+
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
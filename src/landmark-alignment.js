@@ -0,0 +1,223 @@
+/**
+ * landmark-alignment.js
+ * Computed model alignment from landmarks picked on the scan.
+ * The gingival zeniths define the scan's horizontal plane, which is levelled
+ * and lowered onto the 2mm guide; the premolar contacts then set the yaw and
+ * are centred on the hooks plane. The result is a rigid transform, so the
+ * same landmarks always give the same alignment.
+ * The occlusal plane tool levels the plane through the cusp tips (picked,
+ * or found automatically as the arch's highest points) without moving the
+ * scan off the hooks.
+ */
+
+import * as THREE from 'three';
+
+export const MIN_ZENITHS = 3;
+export const MIN_CUSPS = 3;
+
+// Landmarks closer than this (mm) cannot define a direction
+const MIN_LANDMARK_SPAN = 5;
+
+// Automatic cusp detection: grid cell size (mm), how far below the fitted
+// plane (mm) a high point may sit, and how few points it may narrow down to
+const CUSP_CELL_SIZE = 3;
+const CUSP_PLANE_TOLERANCE = 1.5;
+const MIN_OCCLUSAL_POINTS = 8;
+
+/**
+ * Eigen-decomposition of a symmetric 3x3 matrix (cyclic Jacobi rotations).
+ * `m` is a row-major array of 9 numbers. Returns { values, vectors } with
+ * vectors[i] the unit eigenvector (THREE.Vector3) for values[i].
+ */
+function symmetricEigen(m) {
+    const a = m.slice();
+    const v = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        const offDiagonal = Math.abs(a[1]) + Math.abs(a[2]) + Math.abs(a[5]);
+        if (offDiagonal < 1e-12) break;
+
+        for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+            const apq = a[p * 3 + q];
+            if (Math.abs(apq) < 1e-15) continue;
+
+            const theta = (a[q * 3 + q] - a[p * 3 + p]) / (2 * apq);
+            const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+            const c = 1 / Math.sqrt(t * t + 1);
+            const s = t * c;
+
+            for (let k = 0; k < 3; k++) {
+                const akp = a[k * 3 + p];
+                const akq = a[k * 3 + q];
+                a[k * 3 + p] = c * akp - s * akq;
+                a[k * 3 + q] = s * akp + c * akq;
+            }
+            for (let k = 0; k < 3; k++) {
+                const apk = a[p * 3 + k];
+                const aqk = a[q * 3 + k];
+                a[p * 3 + k] = c * apk - s * aqk;
+                a[q * 3 + k] = s * apk + c * aqk;
+            }
+            for (let k = 0; k < 3; k++) {
+                const vkp = v[k * 3 + p];
+                const vkq = v[k * 3 + q];
+                v[k * 3 + p] = c * vkp - s * vkq;
+                v[k * 3 + q] = s * vkp + c * vkq;
+            }
+        }
+    }
+
+    return {
+        values: [a[0], a[4], a[8]],
+        vectors: [0, 1, 2].map(i => new THREE.Vector3(v[i], v[3 + i], v[6 + i]).normalize())
+    };
+}
+
+/**
+ * Least-squares plane through points (THREE.Vector3[]).
+ * `description` names the points in the error thrown when they are collinear.
+ * Returns { centroid, normal, rms } where rms is the mean distance error (mm).
+ */
+export function fitPlane(points, description = 'Points') {
+    const centroid = new THREE.Vector3();
+    points.forEach(p => centroid.add(p));
+    centroid.divideScalar(points.length);
+
+    const covariance = new Array(9).fill(0);
+    points.forEach(p => {
+        const d = [p.x - centroid.x, p.y - centroid.y, p.z - centroid.z];
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) covariance[i * 3 + j] += d[i] * d[j];
+        }
+    });
+
+    const { values, vectors } = symmetricEigen(covariance);
+    const order = [0, 1, 2].sort((i, j) => values[i] - values[j]);
+    const normal = vectors[order[0]];
+
+    // Points on a single line leave the plane's tilt undefined
+    if (Math.sqrt(Math.max(values[order[1]], 0) / points.length) < MIN_LANDMARK_SPAN / 4) {
+        throw new Error(`${description} are almost in a line, pick them further apart around the arch.`);
+    }
+
+    const rms = Math.sqrt(Math.max(values[order[0]], 0) / points.length);
+    return { centroid, normal, rms };
+}
+
+/**
+ * Compute the model transform that puts the landmarks on the rig.
+ *   landmarks.leftContact, landmarks.rightContact  premolar contacts (model space)
+ *   landmarks.zeniths                              gingival zeniths (model space)
+ *   targets.hookCenter  world centre of the hooks; the contacts' midpoint
+ *                       lands on its X and Z (the hooks plane)
+ *   targets.guideY      world height of the 2mm guide plane
+ * Patient left is world +X and anterior +Z, matching the rig's L_/Ant_ screws.
+ * Returns { quaternion, position, zenithRms }.
+ */
+export function computeLandmarkAlignment(landmarks, { hookCenter, guideY }) {
+    const { leftContact, rightContact, zeniths } = landmarks;
+    if (!leftContact || !rightContact) {
+        throw new Error('Pick both premolar contacts first.');
+    }
+    if (zeniths.length < MIN_ZENITHS) {
+        throw new Error(`Pick at least ${MIN_ZENITHS} gingival zeniths (${zeniths.length} so far).`);
+    }
+
+    const plane = fitPlane(zeniths, 'Gingival zeniths');
+    const midpoint = leftContact.clone().add(rightContact).multiplyScalar(0.5);
+
+    // Up points from the gingiva towards the crowns, where the contacts are
+    const up = plane.normal.clone();
+    if (up.dot(midpoint.clone().sub(plane.centroid)) < 0) up.negate();
+
+    // Left-to-right across the arch, flattened onto the zenith plane
+    const across = rightContact.clone().sub(leftContact);
+    across.addScaledVector(up, -across.dot(up));
+    if (across.length() < MIN_LANDMARK_SPAN) {
+        throw new Error('Premolar contacts are too close together, check the left and right picks.');
+    }
+    across.normalize();
+    const forward = new THREE.Vector3().crossVectors(up, across);
+
+    // Model basis (across, up, forward) -> world (-X, +Y, +Z)
+    const modelBasis = new THREE.Matrix4().makeBasis(across, up, forward);
+    const worldBasis = new THREE.Matrix4().makeBasis(
+        new THREE.Vector3(-1, 0, 0),
+        new THREE.Vector3(0, 1, 0),
+        new THREE.Vector3(0, 0, 1)
+    );
+    const rotation = worldBasis.multiply(modelBasis.transpose());
+    const quaternion = new THREE.Quaternion().setFromRotationMatrix(rotation);
+
+    const rotatedMidpoint = midpoint.clone().applyQuaternion(quaternion);
+    const rotatedCentroid = plane.centroid.clone().applyQuaternion(quaternion);
+    const position = new THREE.Vector3(
+        hookCenter.x - rotatedMidpoint.x,
+        guideY - rotatedCentroid.y,
+        hookCenter.z - rotatedMidpoint.z
+    );
+
+    return { quaternion, position, zenithRms: plane.rms };
+}
+
+/**
+ * Find the arch's highest points in world space. Each grid cell contributes
+ * its highest vertex; a plane is fitted and the points below it peeled off
+ * until what is left lies within tolerance of the plane. That upper layer
+ * follows the cusp tips even when the scan is tilted.
+ * Returns world-space THREE.Vector3[].
+ */
+export function findOcclusalPoints(geometry, matrixWorld) {
+    const position = geometry.attributes.position;
+    const e = matrixWorld.elements;
+    const cells = new Map();
+
+    for (let i = 0; i < position.count; i++) {
+        const x = position.getX(i);
+        const y = position.getY(i);
+        const z = position.getZ(i);
+        const wx = e[0] * x + e[4] * y + e[8] * z + e[12];
+        const wy = e[1] * x + e[5] * y + e[9] * z + e[13];
+        const wz = e[2] * x + e[6] * y + e[10] * z + e[14];
+
+        const key = `${Math.floor(wx / CUSP_CELL_SIZE)},${Math.floor(wz / CUSP_CELL_SIZE)}`;
+        const cell = cells.get(key);
+        if (!cell || wy > cell.y) cells.set(key, { x: wx, y: wy, z: wz });
+    }
+
+    let points = Array.from(cells.values(), cell => new THREE.Vector3(cell.x, cell.y, cell.z));
+    while (points.length > MIN_OCCLUSAL_POINTS) {
+        const { centroid, normal } = fitPlane(points, 'The highest points');
+        if (normal.y < 0) normal.negate();
+
+        const heights = points.map(p => p.clone().sub(centroid).dot(normal));
+        if (heights.every(h => h > -CUSP_PLANE_TOLERANCE)) break;
+
+        const above = points.filter((p, i) => heights[i] >= 0);
+        if (above.length < MIN_OCCLUSAL_POINTS) break;
+        points = above;
+    }
+
+    return points;
+}
+
+/**
+ * Rotation that makes the plane through `points` (world space) horizontal,
+ * as a delta to apply about the hooks so the scan stays on them.
+ * Returns { quaternion, tiltDeg, rms }.
+ */
+export function computeOcclusalLevelling(points) {
+    if (points.length < MIN_CUSPS) {
+        throw new Error(`Need at least ${MIN_CUSPS} cusp tips (${points.length} so far).`);
+    }
+
+    const { normal, rms } = fitPlane(points, 'Cusp tips');
+    if (normal.y < 0) normal.negate();
+
+    const up = new THREE.Vector3(0, 1, 0);
+    return {
+        quaternion: new THREE.Quaternion().setFromUnitVectors(normal, up),
+        tiltDeg: THREE.MathUtils.radToDeg(normal.angleTo(up)),
+        rms
+    };
+}
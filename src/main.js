@@ -7,19 +7,39 @@ import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { TransformControls } from 'three/addons/controls/TransformControls.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
-import { STLLoader } from 'three/addons/loaders/STLLoader.js';
-import { STLExporter } from 'three/addons/exporters/STLExporter.js';
-import { Evaluator, Brush, SUBTRACTION, ADDITION } from 'three-bvh-csg';
-import * as BufferGeometryUtils from 'three/addons/utils/BufferGeometryUtils.js';
 import { ViewCube } from './ViewCube.js';
+import { WorkerClient } from './worker-client.js';
+import { packGeometry, unpackGeometry, transferList } from './geometry-transfer.js';
+import { buildProject, parseProject, MODEL_ROTATION_OFFSET, PROJECT_EXTENSION } from './project-file.js';
+import { detectScanFormat, parseScan, SCAN_FORMATS, SCAN_ACCEPT } from './mesh-import.js';
+import { checkScanUnits, SCAN_UNITS, EXPECTED_SCAN_SIZE_MM } from './scan-units.js';
+import { describeHealthIssues, REPAIR_ACTIONS } from './mesh-health.js';
+import { parseRigManifest } from './rig-manifest.js';
+import { buildRigOperations, closureFloorY, prepareRigTemplate, DEFAULT_RIG_VARIANT, RIG_VARIANTS } from './rig-template.js';
+import { buildSpecimenSTL, specimenStlHeader } from './stl-export.js';
+import { computeLandmarkAlignment, computeOcclusalLevelling, findOcclusalPoints, MIN_CUSPS, MIN_ZENITHS } from './landmark-alignment.js';
+import { BLOCKOUT_LIMITS, UNDERCUT_LIMITS } from './mesh-undercut.js';
+import { measure, measurementsToCSV, MEASUREMENT_PLANES, MEASUREMENT_TOOLS } from './measurements.js';
+import { buildReport, reportToPDF, sha256Hex } from './specimen-report.js';
+import { batchQueue, createSpecimen, specimenStatus, summarizeStudy, SPECIMEN_STATUSES } from './study.js';
+import { fallbackSpecimenId, findPeak, isResultFileName, matchSpecimen, parseInstronCSV, resultsToCSV, runCandidates, specimenGroup, specimenIdFromFilename, summarizeGroups, summarizeSpecimens } from './instron-results.js';
+import { drawForceCurves, drawGroupBars } from './results-plot.js';
+import { clearAutosave, readAutosave, writeAutosave } from './autosave.js';
+import { buildLabelGeometry, labelOperation, labelSettings, labelText, parseLabelFont, LABEL_DEFAULTS, LABEL_FONT_PATH, LABEL_FONT_URL, LABEL_LIMITS, LABEL_MODES, LABEL_SURFACES } from './specimen-label.js';
 
 // ============ Application State ============
 const state = {
     currentStep: 1,
     isProcessed: false,
     userModel: null,
+    processedModel: null, // Boolean result; userModel keeps the original scan and transform
+    closurePreview: null, // Wall + cap that will close the open scan (world space)
+    surveyLine: null, // Height of contour over the undercut map (world space)
     rig: {
-        screwMeshes: [], // Array of screw component meshes (Ant_*, L_*, R_*)
+        variant: DEFAULT_RIG_VARIANT, // Key into RIG_VARIANTS, or 'custom'
+        template: null, // Variant the current rig was loaded from ({ label, url, manifest, screwLayout })
+        root: null, // Loaded template scene, replaced when the variant changes
+        screwMeshes: [], // Array of screw component meshes (Ant_*, Post_*, L_*, R_*)
         baseTrim: null,
         fillerTransform: null,
         guide2mm: null,
@@ -28,83 +48,263 @@ const state = {
     },
     originalFillerPosition: new THREE.Vector3(),
     originalFillerScale: new THREE.Vector3(1, 1, 1),
+    scan: {
+        filename: null,
+        sourceUnit: 'mm', // Unit the scan was converted from on import ('mm' = as-is)
+        sha256: null, // Hash of the imported file, for the specimen report
+        boundaryLoops: null, // Open border + hole count, null until checked
+        health: null // Latest mesh-health.js report, null until analysed
+    },
+    validation: null, // Printability check of processedModel (see mesh-validation.js)
+    processing: null, // Time and settings processedModel was made with
+    lastExport: null, // Last STL export of processedModel ({ filename, header, exportedAt })
+    landmarks: {
+        leftContact: null, // Premolar contacts and gingival zeniths, model space (see landmark-alignment.js)
+        rightContact: null,
+        zeniths: [],
+        cusps: [], // Occlusal plane points
+        residualTeeth: [], // Teeth that keep a set undercut depth in the block-out
+        markers: null
+    },
+    measurements: {
+        items: [], // { type, plane, label, points } with model-space points
+        pending: [], // Points picked so far for the active tool
+        overlay: null
+    },
+    project: {
+        createdAt: null // Set once a project has been saved or opened
+    },
+    study: {
+        specimens: [], // See study.js
+        activeId: null, // Specimen shown in the scene, null for a scan opened outside the study
+        running: false // Batch processing in progress
+    },
+    results: {
+        runs: [] // Instron runs, see importTestResults
+    },
+    label: {
+        settings: { ...LABEL_DEFAULTS }, // Shared by every specimen, see specimen-label.js
+        text: null, // Typed specimen ID, null for the scan's file name
+        preview: null // Text solid shown where it will be cut
+    },
     materials: {
         model: null,
+        modelVertexColor: null,
+        undercut: null,
         filler: null,
         guide: null,
         hooks: null,
-        trimPreview: null
+        trimPreview: null,
+        closureWall: null
     }
 };
 
-// Default rotation offsets (Corrected: X=-90 keeps model upright and flips facing)
-const MODEL_ROTATION_OFFSET = {
-    x: THREE.MathUtils.degToRad(-90),
-    y: 0,
-    z: 0
-};
 
 // ============ Undo System ============
+// Committed model and filler poses, oldest first, each labelled with the
+// change that led to it. The entry at undoIndex is the pose on screen; undo,
+// redo and the history panel move the index and restore that entry's pose.
 const undoHistory = [];
+let undoIndex = -1;
 const MAX_UNDO_STEPS = 50;
 
-function saveUndoState() {
-    const snapshot = {
+function captureSnapshot() {
+    return {
         modelPosition: state.userModel ? state.userModel.position.clone() : null,
         modelRotation: state.userModel ? state.userModel.rotation.clone() : null,
         fillerPosition: state.rig.fillerTransform ? state.rig.fillerTransform.position.clone() : null,
         fillerScale: state.rig.fillerTransform ? state.rig.fillerTransform.scale.clone() : null
     };
+}
 
-    console.log('[Undo] Saving state:', {
-        position: snapshot.modelPosition ? snapshot.modelPosition.toArray() : null,
-        rotation: snapshot.modelRotation ? snapshot.modelRotation.toArray().map(r => (r * 180 / Math.PI).toFixed(1) + '°') : null,
-        historyLength: undoHistory.length + 1
-    });
+// Restore a snapshot onto the live meshes and sync the sliders
+function applySnapshot(snapshot) {
+    if (snapshot.modelPosition && state.userModel) {
+        state.userModel.position.copy(snapshot.modelPosition);
+
+        // Explicitly set each rotation component (Euler copy can sometimes fail)
+        state.userModel.rotation.x = snapshot.modelRotation.x;
+        state.userModel.rotation.y = snapshot.modelRotation.y;
+        state.userModel.rotation.z = snapshot.modelRotation.z;
+
+        syncModelSlidersFromMesh();
+        if (showUndercutMap) checkUndercuts();
+    }
+
+    if (snapshot.fillerPosition && state.rig.fillerTransform) {
+        state.rig.fillerTransform.position.copy(snapshot.fillerPosition);
+        state.rig.fillerTransform.scale.copy(snapshot.fillerScale);
+        syncFillerSlidersFromMesh();
+        updateLabelPreview();
+    }
+}
+
+// Vectors or Eulers equal to well below slider precision
+function sameTransform(a, b) {
+    if (!a || !b) return a === b;
+    return Math.abs(a.x - b.x) < 1e-6 && Math.abs(a.y - b.y) < 1e-6 && Math.abs(a.z - b.z) < 1e-6;
+}
 
-    undoHistory.push(snapshot);
+function sameSnapshot(a, b) {
+    return sameTransform(a.modelPosition, b.modelPosition) &&
+        sameTransform(a.modelRotation, b.modelRotation) &&
+        sameTransform(a.fillerPosition, b.fillerPosition) &&
+        sameTransform(a.fillerScale, b.fillerScale);
+}
+
+/**
+ * Record the current pose as a new history step, called once a change is
+ * committed (gizmo released, slider or number edited, a button applied).
+ * Changes that leave the pose as it was are not recorded, and a new step
+ * drops the steps that were undone.
+ */
+function commitHistory(label) {
+    const snapshot = captureSnapshot();
+    const current = undoHistory[undoIndex];
+    if (current && sameSnapshot(current.snapshot, snapshot)) return;
+
+    undoHistory.splice(undoIndex + 1);
+    undoHistory.push({ snapshot, label });
 
     // Limit history size
     if (undoHistory.length > MAX_UNDO_STEPS) {
         undoHistory.shift();
     }
+    undoIndex = undoHistory.length - 1;
+    scheduleAutosave();
+
+    console.log('[Undo] Saving state:', {
+        label,
+        position: snapshot.modelPosition ? snapshot.modelPosition.toArray() : null,
+        rotation: snapshot.modelRotation ? snapshot.modelRotation.toArray().slice(0, 3).map(r => (r * 180 / Math.PI).toFixed(1) + '°') : null,
+        historyLength: undoHistory.length
+    });
+    renderHistory();
+}
+
+// Start a new history at the current pose (new scan)
+function resetHistory(label) {
+    undoHistory.length = 0;
+    undoIndex = -1;
+    commitHistory(label);
+}
+
+// Jump to a history step; returns false when that is not possible
+function goToHistory(index) {
+    if (state.isProcessed) {
+        updateInstruction('Go back to alignment before undoing.');
+        return false;
+    }
+    if (index < 0 || index >= undoHistory.length || index === undoIndex) return false;
+
+    undoIndex = index;
+    console.log('[Undo] Restoring state:', undoHistory[index].label);
+    applySnapshot(undoHistory[index].snapshot);
+    scheduleAutosave();
+    if (showClosurePreview) checkScanClosure();
+    renderStudy();
+    renderHistory();
+    return true;
 }
 
 function undo() {
-    if (undoHistory.length < 2) {
+    if (undoIndex < 1 && !state.isProcessed) {
         updateInstruction('Nothing to undo.');
         return;
     }
+    const { label } = undoHistory[undoIndex];
+    if (goToHistory(undoIndex - 1)) updateInstruction(`Undo: ${label}.`);
+}
 
-    // Remove current state
-    undoHistory.pop();
+function redo() {
+    if (undoIndex >= undoHistory.length - 1 && !state.isProcessed) {
+        updateInstruction('Nothing to redo.');
+        return;
+    }
+    if (goToHistory(undoIndex + 1)) updateInstruction(`Redo: ${undoHistory[undoIndex].label}.`);
+}
 
-    // Get previous state
-    const prevState = undoHistory[undoHistory.length - 1];
+// History panel and undo/redo buttons
+function renderHistory() {
+    const panel = document.getElementById('history-panel');
+    document.getElementById('toggle-history').classList.toggle('active', !panel.classList.contains('hidden'));
+    document.getElementById('btn-undo').disabled = state.isProcessed || undoIndex < 1;
+    document.getElementById('btn-redo').disabled = state.isProcessed || undoIndex >= undoHistory.length - 1;
+
+    const list = document.getElementById('history-list');
+    list.replaceChildren(...undoHistory.map((entry, index) => {
+        const item = document.createElement('li');
+        item.classList.toggle('current', index === undoIndex);
+        item.classList.toggle('undone', index > undoIndex);
+
+        const button = document.createElement('button');
+        button.textContent = entry.label;
+        button.title = index === undoIndex ? 'Current state' : 'Go back to this step';
+        button.addEventListener('click', () => goToHistory(index));
+        item.append(button);
+        return item;
+    }));
+    list.children[undoIndex]?.scrollIntoView({ block: 'nearest' });
+}
 
-    console.log('[Undo] Restoring state:', prevState);
+// ============ Alignment Snapshots ============
+// Saved alignments are relative to the app defaults: model rotation as a
+// degree offset from MODEL_ROTATION_OFFSET (same as the sliders), filler as
+// an offset/multiplier of its original position/scale in the rig template.
+function alignmentFromSnapshot(snapshot) {
+    const alignment = { model: null, filler: null };
+
+    if (snapshot.modelPosition) {
+        alignment.model = {
+            position: snapshot.modelPosition.toArray(),
+            rotationOffsetDeg: ['x', 'y', 'z'].map(axis =>
+                THREE.MathUtils.radToDeg(snapshot.modelRotation[axis] - MODEL_ROTATION_OFFSET[axis]))
+        };
+    }
 
-    if (prevState.modelPosition && state.userModel) {
-        console.log('[Undo] Restoring model position:', prevState.modelPosition.toArray());
-        console.log('[Undo] Restoring model rotation:', prevState.modelRotation.toArray().map(r => (r * 180 / Math.PI).toFixed(1) + '°'));
+    if (snapshot.fillerPosition) {
+        alignment.filler = {
+            positionOffset: snapshot.fillerPosition.clone().sub(state.originalFillerPosition).toArray(),
+            scaleMultiplier: ['x', 'y', 'z'].map(axis =>
+                state.originalFillerScale[axis] > 0 ? snapshot.fillerScale[axis] / state.originalFillerScale[axis] : 1)
+        };
+    }
 
-        state.userModel.position.copy(prevState.modelPosition);
+    return alignment;
+}
 
-        // Explicitly set each rotation component (Euler copy can sometimes fail)
-        state.userModel.rotation.x = prevState.modelRotation.x;
-        state.userModel.rotation.y = prevState.modelRotation.y;
-        state.userModel.rotation.z = prevState.modelRotation.z;
+function snapshotFromAlignment(alignment) {
+    const snapshot = {
+        modelPosition: null,
+        modelRotation: null,
+        fillerPosition: null,
+        fillerScale: null
+    };
 
-        syncModelSlidersFromMesh();
+    if (alignment.model) {
+        const [rx, ry, rz] = alignment.model.rotationOffsetDeg;
+        snapshot.modelPosition = new THREE.Vector3().fromArray(alignment.model.position);
+        snapshot.modelRotation = new THREE.Euler(
+            MODEL_ROTATION_OFFSET.x + THREE.MathUtils.degToRad(rx),
+            MODEL_ROTATION_OFFSET.y + THREE.MathUtils.degToRad(ry),
+            MODEL_ROTATION_OFFSET.z + THREE.MathUtils.degToRad(rz)
+        );
     }
 
-    if (prevState.fillerPosition && state.rig.fillerTransform) {
-        state.rig.fillerTransform.position.copy(prevState.fillerPosition);
-        state.rig.fillerTransform.scale.copy(prevState.fillerScale);
-        syncFillerSlidersFromMesh();
+    if (alignment.filler) {
+        snapshot.fillerPosition = new THREE.Vector3().fromArray(alignment.filler.positionOffset).add(state.originalFillerPosition);
+        snapshot.fillerScale = new THREE.Vector3().fromArray(alignment.filler.scaleMultiplier).multiply(state.originalFillerScale);
     }
 
-    updateInstruction('Undo successful.');
+    return snapshot;
+}
+
+function captureAlignment() {
+    return alignmentFromSnapshot(captureSnapshot());
+}
+
+function applyAlignment(alignment) {
+    applySnapshot(snapshotFromAlignment(alignment));
 }
 
 // ============ Three.js Setup ============
@@ -119,6 +319,7 @@ renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
 renderer.outputColorSpace = THREE.SRGBColorSpace;
 renderer.toneMapping = THREE.ACESFilmicToneMapping;
 renderer.toneMappingExposure = 1.2;
+renderer.localClippingEnabled = true; // Section plane, per material
 
 const scene = new THREE.Scene();
 scene.background = new THREE.Color(0x1a1a1a);
@@ -291,16 +492,32 @@ setTimeout(hideTransformGizmoExtras, 1000);
 transformControls.addEventListener('objectChange', hideTransformGizmoExtras);
 transformControls.addEventListener('change', hideTransformGizmoExtras);
 
+// History labels of gizmo drags, by transform mode
+const TRANSFORM_VERBS = { translate: 'Move', rotate: 'Rotate', scale: 'Scale' };
+
 // Disable orbit controls while using transform controls
 transformControls.addEventListener('dragging-changed', (event) => {
     controls.enabled = !event.value;
-    if (event.value) {
-        // Save undo state BEFORE dragging starts (so we can undo to the previous state)
-        saveUndoState();
-    } else {
+    if (!event.value) {
         // Sync sliders when done dragging
         syncModelSlidersFromMesh();
         syncFillerSlidersFromMesh();
+        const target = transformControls.object === state.rig.fillerTransform ? 'filler' : 'model';
+        commitHistory(`${TRANSFORM_VERBS[transformControls.mode]} ${target}`);
+        if (showClosurePreview) checkScanClosure();
+        if (showUndercutMap && transformControls.object === state.userModel) checkUndercuts();
+        if (transformControls.object === state.rig.fillerTransform) {
+            renderStudy();
+            updateLabelPreview();
+        }
+    }
+});
+
+// The closing wall and undercut map depend on the model pose, hide them until the move is done
+transformControls.addEventListener('objectChange', () => {
+    if (transformControls.object === state.userModel) {
+        hideClosurePreview();
+        hideUndercutMap();
     }
 });
 
@@ -609,7 +826,7 @@ function setTransformMode(mode) {
     hideTransformGizmoExtras();
 
     // Update UI
-    document.querySelectorAll('.mode-btn').forEach(btn => btn.classList.remove('active'));
+    document.querySelectorAll('#mode-translate, #mode-rotate').forEach(btn => btn.classList.remove('active'));
     document.getElementById(`mode-${mode}`).classList.add('active');
 }
 
@@ -638,6 +855,22 @@ state.materials.model = new THREE.MeshStandardMaterial({
     side: THREE.DoubleSide
 });
 
+// Same look, tinted by the scan's own vertex colors (PLY/OBJ/3MF/colored STL)
+state.materials.modelVertexColor = state.materials.model.clone();
+state.materials.modelVertexColor.color.set(0xffffff);
+state.materials.modelVertexColor.vertexColors = true;
+
+// Same look, coloured by the undercut analysis. The colours live in their own
+// attribute so the scan's vertex colors survive for export
+state.materials.undercut = state.materials.model.clone();
+state.materials.undercut.color.set(0xffffff);
+state.materials.undercut.vertexColors = true;
+state.materials.undercut.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+        .replace('#include <color_pars_vertex>', '#include <color_pars_vertex>\nattribute vec3 undercutColor;')
+        .replace('#include <color_vertex>', 'vColor = undercutColor;');
+};
+
 state.materials.filler = new THREE.MeshStandardMaterial({
     color: 0xffffff,
     metalness: 0.2,
@@ -675,91 +908,322 @@ state.materials.trimPreview = new THREE.MeshStandardMaterial({
     roughness: 0.5
 });
 
+state.materials.closureWall = new THREE.MeshStandardMaterial({
+    color: 0x00b4d8,
+    transparent: true,
+    opacity: 0.6,
+    side: THREE.DoubleSide,
+    metalness: 0.1,
+    roughness: 0.6
+});
+
+// ============ Section Plane ============
+// One clipping plane cuts the scan and the rig so the guide, gingiva and trim
+// line can be read in profile. Solid parts get a capped section: their faces
+// behind the plane are counted in the stencil buffer (back faces up, front
+// faces down) and a cap is drawn wherever the count is odd, i.e. inside them.
+const SECTION_PLANES = [new THREE.Plane(new THREE.Vector3(0, -1, 0), 0)];
+const SECTION_AXES = {
+    x: new THREE.Vector3(-1, 0, 0),
+    y: new THREE.Vector3(0, -1, 0), // Keep the lower half, to look down onto the cut
+    z: new THREE.Vector3(0, 0, -1)
+};
+const SECTION_CAP_SIZE = 400; // mm, larger than the rig
+
+const section = {
+    enabled: false,
+    axis: 'y',
+    flipped: false,
+    viewNormal: new THREE.Vector3(0, 0, -1), // Camera direction when 'view' was chosen
+    viewOrigin: new THREE.Vector3(),
+    groups: []
+};
+
+// Cap colour and the solids of each section group
+const SECTION_GROUPS = [
+    {
+        name: 'scan',
+        color: 0xd8d8d8,
+        meshes: () => {
+            if (state.isProcessed) return [state.processedModel];
+            // The closing wall makes an open scan solid, as it will be when processed
+            return [state.userModel, isClosureEnabled() && state.userModel && state.closurePreview];
+        }
+    },
+    { name: 'filler', color: 0xb0b0b0, meshes: () => [state.rig.fillerTransform] },
+    { name: 'guide', color: 0xff6600, meshes: () => [state.rig.guide2mm] },
+    { name: 'trim', color: 0xe4002b, meshes: () => [state.rig.baseTrim, ...state.rig.screwMeshes] }
+];
+
+function createStencilMaterial(side, operation) {
+    return new THREE.MeshBasicMaterial({
+        side,
+        clippingPlanes: SECTION_PLANES,
+        depthWrite: false,
+        depthTest: false,
+        colorWrite: false,
+        stencilWrite: true,
+        stencilFunc: THREE.AlwaysStencilFunc,
+        stencilFail: operation,
+        stencilZFail: operation,
+        stencilZPass: operation
+    });
+}
+const sectionStencilBack = createStencilMaterial(THREE.BackSide, THREE.IncrementWrapStencilOp);
+const sectionStencilFront = createStencilMaterial(THREE.FrontSide, THREE.DecrementWrapStencilOp);
+
+// Stencil writers copy their source mesh's geometry and placement every frame
+function createSectionWriter(material, renderOrder) {
+    const writer = new THREE.Mesh(new THREE.BufferGeometry(), material);
+    writer.matrixAutoUpdate = false;
+    writer.matrixWorldAutoUpdate = false;
+    writer.renderOrder = renderOrder;
+    writer.frustumCulled = false;
+    scene.add(writer);
+    return writer;
+}
+
+SECTION_GROUPS.forEach((group, i) => {
+    // Drawing the cap resets the stencil to 0 for the next group
+    const cap = new THREE.Mesh(
+        new THREE.PlaneGeometry(SECTION_CAP_SIZE, SECTION_CAP_SIZE),
+        new THREE.MeshStandardMaterial({
+            color: group.color,
+            metalness: 0.1,
+            roughness: 0.75,
+            stencilWrite: true,
+            stencilRef: 0,
+            stencilFunc: THREE.NotEqualStencilFunc,
+            stencilFail: THREE.ReplaceStencilOp,
+            stencilZFail: THREE.ReplaceStencilOp,
+            stencilZPass: THREE.ReplaceStencilOp
+        })
+    );
+    cap.name = `SectionCap_${group.name}`;
+    cap.renderOrder = 2 * i + 2;
+    cap.visible = false;
+    scene.add(cap);
+    section.groups.push({ ...group, cap, writers: [], renderOrder: 2 * i + 1 });
+});
+
+function isShown(object) {
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible) return false;
+    }
+    return true;
+}
+
+function setSectionClipping(planes) {
+    const targets = [state.userModel, state.processedModel, state.closurePreview, state.rig.root, state.surveyLine];
+    targets.forEach(target => target?.traverse(object => {
+        if (object.material && object.name !== 'LandmarkMarkers' && object.parent?.name !== 'LandmarkMarkers') {
+            object.material.clippingPlanes = planes;
+        }
+    }));
+}
+
+// Called every frame: place the plane and caps, follow the source meshes
+function updateSectionPlane() {
+    if (!section.enabled) return;
+
+    const plane = SECTION_PLANES[0];
+    const offset = parseFloat(document.getElementById('section-offset').value) || 0;
+    if (section.axis === 'view') {
+        plane.normal.copy(section.viewNormal);
+        plane.constant = -plane.normal.dot(section.viewOrigin) - offset;
+    } else {
+        plane.normal.copy(SECTION_AXES[section.axis]);
+        plane.constant = offset; // Normals point down their axis, so this cuts at +offset
+    }
+    if (section.flipped) plane.negate();
+
+    // New scans, results and rig parts pick the plane up here
+    setSectionClipping(SECTION_PLANES);
+
+    section.groups.forEach(group => {
+        const meshes = group.meshes().filter(mesh =>
+            mesh && mesh.geometry && (mesh === state.closurePreview || isShown(mesh)));
+
+        while (group.writers.length < meshes.length * 2) {
+            group.writers.push(
+                createSectionWriter(sectionStencilBack, group.renderOrder),
+                createSectionWriter(sectionStencilFront, group.renderOrder)
+            );
+        }
+        group.writers.forEach((writer, i) => {
+            const mesh = meshes[Math.floor(i / 2)];
+            writer.visible = !!mesh;
+            if (!mesh) return;
+            mesh.updateWorldMatrix(true, false);
+            writer.geometry = mesh.geometry;
+            writer.matrixWorld.copy(mesh.matrixWorld);
+        });
+
+        group.cap.visible = meshes.length > 0;
+        plane.coplanarPoint(group.cap.position);
+        group.cap.lookAt(group.cap.position.clone().sub(plane.normal));
+    });
+}
+
+function setSectionEnabled(enabled) {
+    section.enabled = enabled;
+    document.getElementById('toggle-section').classList.toggle('active', enabled);
+    document.getElementById('section-controls').classList.toggle('hidden', !enabled);
+
+    if (enabled) {
+        setSectionAxis(section.axis);
+    } else {
+        setSectionClipping(null);
+        section.groups.forEach(group => {
+            group.cap.visible = false;
+            group.writers.forEach(writer => { writer.visible = false; });
+        });
+    }
+}
+
+// Start each axis at the 2mm guide, where the alignment is read
+function setSectionAxis(axis) {
+    section.axis = axis;
+    document.getElementById('section-axis').value = axis;
+
+    const slider = document.getElementById('section-offset');
+    if (axis === 'view') {
+        section.viewNormal.set(0, 0, -1).applyQuaternion(activeCamera.quaternion);
+        section.viewOrigin.copy(controls.target);
+        slider.value = 0;
+    } else {
+        const guide = state.rig.guide2mm
+            ? new THREE.Box3().setFromObject(state.rig.guide2mm).getCenter(new THREE.Vector3())
+            : new THREE.Vector3();
+        slider.value = guide[axis].toFixed(1);
+    }
+}
+
+function flipSection() {
+    section.flipped = !section.flipped;
+    document.getElementById('section-flip').classList.toggle('active', section.flipped);
+}
+
 // ============ Loaders ============
 const gltfLoader = new GLTFLoader();
-const stlLoader = new STLLoader();
-const stlExporter = new STLExporter();
 
-// ============ CSG Evaluator ============
-const csgEvaluator = new Evaluator();
-csgEvaluator.useGroups = false;
+// ============ Processing Worker ============
+// Boolean operations run in processing-worker.js so the viewport stays responsive.
+// Cancel restarts that worker, so analyses of the scan run in a second one.
+const processingWorker = new WorkerClient();
+const analysisWorker = new WorkerClient();
 
 // ============ Load Rig Template ============
-function loadRigTemplate() {
-    updateInstruction('Loading rig template...');
-
-    gltfLoader.load(
-        'public/rigs/Maryland_Retention_Rig.glb',
+// Load (or reload) the template for a base plate variant, replacing the current rig.
+// `variant` is an entry of RIG_VARIANTS, or a custom rig with a `manifest`.
+// Resolves once the new rig is in the scene; the filler keeps its fitted transform.
+function loadRigTemplate(variantId = state.rig.variant, variant = RIG_VARIANTS[variantId]) {
+    updateInstruction(`Loading ${variant.label} rig template...`);
+
+    return new Promise((resolve, reject) => gltfLoader.load(
+        variant.url,
         (gltf) => {
             console.log('GLB loaded:', gltf);
 
-            // Rotate rig template to correct orientation
-            gltf.scene.rotation.y = Math.PI;
+            const { parts, errors } = prepareRigTemplate(gltf.scene, variant);
+            if (errors.length > 0) {
+                // Keep the current rig rather than half-load a broken one
+                const error = new Error(`${variant.label} does not match its manifest`);
+                error.problems = errors;
+                console.error('[Rig] Manifest problems:', errors);
+                updateInstruction(`Could not load rig: ${error.message}.`);
+                reject(error);
+                return;
+            }
+
+            const previousFiller = state.rig.fillerTransform && {
+                offset: state.rig.fillerTransform.position.clone().sub(state.originalFillerPosition),
+                scale: state.rig.fillerTransform.scale.clone().divide(state.originalFillerScale),
+                mesh: state.rig.fillerTransform
+            };
+            if (state.rig.root) scene.remove(state.rig.root);
+            Object.assign(state.rig, parts);
 
-            // Process all meshes in the scene
+            // Style the meshes by role
             gltf.scene.traverse((child) => {
                 if (child.isMesh) {
-                    const name = child.name.toLowerCase();
-                    console.log('Found mesh:', child.name);
-
-                    if (name.includes('base') && name.includes('trim')) {
-                        state.rig.baseTrim = child;
-                        child.material = state.materials.trimPreview.clone();
-                        child.visible = true;
-                    } else if (name.includes('filler')) {
-                        state.rig.fillerTransform = child;
-                        child.material = state.materials.filler;
-                        state.originalFillerPosition.copy(child.position);
-                        state.originalFillerScale.copy(child.scale);
-                        child.visible = true;
-                    } else if (name.includes('guide') || name.includes('2mm')) {
-                        state.rig.guide2mm = child;
-                        child.material = state.materials.guide;
-                        child.visible = true;
-                    } else if (name.includes('hook')) {
-                        state.rig.hooks = child;
-
-                        // Use EdgesGeometry to show only edges (removes diagonal wireframe lines)
-                        const edges = new THREE.EdgesGeometry(child.geometry);
-                        const line = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({
-                            color: 0xffd100,
-                            transparent: true,
-                            opacity: 0.6
-                        }));
-                        child.add(line);
-
-                        // Hide the actual mesh surface
-                        child.material = new THREE.MeshBasicMaterial({ visible: false });
-                        child.visible = true;
-                    } else if (name.includes('sample') || (name.includes('sample') && name.includes('model'))) {
-                        state.rig.sampleModel = child;
-                        child.visible = false; // Hide sample, will be replaced by user's scan
-                    } else if (name.startsWith('ant_') || name.startsWith('l_') || name.startsWith('r_')) {
-                        // Screw components: Ant_Top, Ant_Body, L_Top, L_Body, R_Top, R_Body
-                        state.rig.screwMeshes.push(child);
-                        child.material = state.materials.trimPreview.clone();
-                        child.visible = true;
-                        console.log('Screw component found:', child.name);
-                    } else if (name.includes('original')) {
-                        // Hide original collection
-                        child.visible = false;
-                    } else {
-                        // Hide other meshes
-                        child.visible = false;
+                    console.log('Found mesh:', child.name, child.userData.rigRole || '(unused)');
+
+                    switch (child.userData.rigRole) {
+                        case 'baseTrim':
+                            child.material = state.materials.trimPreview.clone();
+                            child.visible = true;
+                            break;
+                        case 'filler':
+                            child.material = state.materials.filler;
+                            state.originalFillerPosition.copy(child.position);
+                            state.originalFillerScale.copy(child.scale);
+                            child.visible = true;
+                            break;
+                        case 'guide2mm':
+                            child.material = state.materials.guide;
+                            child.visible = true;
+                            break;
+                        case 'hooks': {
+                            // Use EdgesGeometry to show only edges (removes diagonal wireframe lines)
+                            const edges = new THREE.EdgesGeometry(child.geometry);
+                            const line = new THREE.LineSegments(edges, new THREE.LineBasicMaterial({
+                                color: 0xffd100,
+                                transparent: true,
+                                opacity: 0.6
+                            }));
+                            child.add(line);
+
+                            // Hide the actual mesh surface
+                            child.material = new THREE.MeshBasicMaterial({ visible: false });
+                            child.visible = true;
+                            break;
+                        }
+                        case 'sample':
+                            child.visible = false; // Hide sample, will be replaced by user's scan
+                            break;
+                        case 'screw':
+                            // Screw components: Ant_Top, Ant_Body, L_Top, L_Body, R_Top, R_Body
+                            child.material = state.materials.trimPreview.clone();
+                            child.visible = true;
+                            console.log('Screw component found:', child.name);
+                            break;
+                        default:
+                            // Hide other meshes (e.g. the Original_* plates)
+                            child.visible = false;
                     }
                 }
             });
 
             scene.add(gltf.scene);
 
-            // Auto-fit camera to scene
-            const box = new THREE.Box3().setFromObject(gltf.scene);
-            const center = box.getCenter(new THREE.Vector3());
-            controls.target.copy(center);
+            if (previousFiller && state.rig.fillerTransform) {
+                // Keep the fit the user already made, relative to the new template's filler
+                state.rig.fillerTransform.position.copy(state.originalFillerPosition).add(previousFiller.offset);
+                state.rig.fillerTransform.scale.copy(state.originalFillerScale).multiply(previousFiller.scale);
+                if (transformControls.object === previousFiller.mesh) {
+                    transformControls.attach(state.rig.fillerTransform);
+                }
+            } else {
+                // Auto-fit camera to scene
+                const box = new THREE.Box3().setFromObject(gltf.scene);
+                const center = box.getCenter(new THREE.Vector3());
+                controls.target.copy(center);
+            }
+
+            state.rig.root = gltf.scene;
+            state.rig.variant = variantId;
+            state.rig.template = variant;
+            updateLabelPreview();
 
             hideLoading();
-            updateInstruction('Upload your dental scan STL to begin alignment.');
+            if (state.userModel) {
+                updateInstruction(`${variant.label} rig loaded.`);
+            } else {
+                updateInstruction('Upload your dental scan (STL, OBJ, PLY or 3MF) to begin alignment.');
+            }
             console.log('Rig components:', state.rig);
+            resolve();
         },
         (progress) => {
             const percent = (progress.loaded / progress.total * 100).toFixed(0);
@@ -779,228 +1243,2064 @@ function loadRigTemplate() {
                         <p style="font-size: 0.8em; opacity: 0.7; margin-top: 5px;">(Check console for details)</p>
                     </div>`;
             }
+            reject(error);
         }
-    );
+    ));
 }
 
-// ============ Import User STL ============
-function importUserSTL(file) {
-    const reader = new FileReader();
+async function selectRigVariant(variantId) {
+    if (!RIG_VARIANTS[variantId] || variantId === state.rig.variant) {
+        renderRigVariant();
+        return;
+    }
+    await switchRig(variantId, RIG_VARIANTS[variantId]);
+}
 
-    reader.onload = (event) => {
-        try {
-            const geometry = stlLoader.parse(event.target.result);
-            geometry.computeVertexNormals();
-            geometry.center(); // Center the geometry
+// Load a user-modified rig: a GLB plus the JSON manifest naming its parts
+async function loadCustomRig(files) {
+    const glb = files.find(file => /\.glb$/i.test(file.name));
+    const manifestFile = files.find(file => /\.json$/i.test(file.name));
+    if (!glb || !manifestFile) {
+        updateInstruction('Select the custom rig .glb together with its .json manifest.');
+        return;
+    }
 
-            // Remove previous user model if exists
-            if (state.userModel) {
-                scene.remove(state.userModel);
-                state.userModel.geometry.dispose();
-            }
+    let manifest;
+    try {
+        manifest = parseRigManifest(await manifestFile.text());
+    } catch (error) {
+        console.error('[Rig] Invalid manifest:', error);
+        updateInstruction(`Could not load rig: ${error.message}`);
+        renderRigStatus(error);
+        return;
+    }
 
-            state.userModel = new THREE.Mesh(geometry, state.materials.model);
-            state.userModel.name = 'UserModel';
+    const url = URL.createObjectURL(glb);
+    await switchRig('custom', {
+        label: manifest.name || glb.name.replace(/\.glb$/i, ''),
+        url,
+        manifest,
+        screwLayout: null
+    });
+    URL.revokeObjectURL(url);
+}
 
-            // Apply default rotation
-            state.userModel.rotation.set(
-                MODEL_ROTATION_OFFSET.x,
-                MODEL_ROTATION_OFFSET.y,
-                MODEL_ROTATION_OFFSET.z
-            );
+async function switchRig(variantId, variant) {
+    if (state.isProcessed) {
+        if (!confirm('Changing the base plate discards the processed model. Continue?')) {
+            renderRigVariant();
+            return;
+        }
+        unprocess();
+    }
+
+    try {
+        await loadRigTemplate(variantId, variant);
+        renderRigStatus(null);
+    } catch (error) {
+        // The previous rig stays in place
+        renderRigStatus(error);
+    }
+    renderRigVariant();
+}
 
-            scene.add(state.userModel);
+function renderRigVariant() {
+    document.querySelectorAll('[data-rig-variant]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.rigVariant === state.rig.variant);
+    });
+}
 
-            // Position near the rig
-            if (state.rig.hooks) {
-                state.userModel.position.copy(state.rig.hooks.position);
-            }
+// Custom rig name, or why the last rig failed to load (one problem per line)
+function renderRigStatus(error) {
+    const status = document.getElementById('rig-status');
+    status.classList.toggle('warn', !!error);
+    if (error) {
+        status.textContent = error.problems ? error.problems.join('\n') : error.message;
+    } else if (state.rig.variant === 'custom') {
+        status.textContent = `Custom rig: ${state.rig.template.label}`;
+    } else {
+        status.textContent = '';
+    }
+}
 
-            // Enable Step 2
-            enableStep(2);
-            updateInstruction('Use Move/Rotate to align model. Click model to select, use G for move, R for rotate. Use view cube for orthographic views.');
-            syncModelSlidersFromMesh();
 
-            // Attach TransformControls to user model
-            transformControls.attach(state.userModel);
+// ============ Import User Scan ============
+// Resolves to null once the scan is loaded and hashed, or to the reason it
+// could not be loaded (also shown in the instruction bar)
+function importUserScan(file) {
+    return new Promise(resolve => {
+        const reader = new FileReader();
 
-            // Save initial state for undo
-            saveUndoState();
+        reader.onload = async (event) => {
+            const buffer = event.target.result;
+            const format = detectScanFormat(file.name, buffer);
 
-            document.getElementById('filename-display').textContent = file.name;
+            if (!format) {
+                console.warn('[Import] Unrecognized file format:', file.name);
+                updateInstruction(`Unsupported file. Please upload a scan in one of: ${Object.values(SCAN_FORMATS).join(', ')}.`);
+                resolve('Unsupported file format');
+                return;
+            }
 
-        } catch (error) {
-            console.error('Error parsing STL:', error);
-            updateInstruction('Error loading STL file. Ensure it is a valid STL.');
-        }
-    };
+            try {
+                console.log(`[Import] ${file.name} detected as ${SCAN_FORMATS[format]}`);
+                const geometry = parseScan(buffer, format);
+                geometry.computeVertexNormals();
+                geometry.center(); // Center the geometry
+
+                loadUserGeometry(geometry, file.name);
+                state.project.createdAt = null; // New scan = new session
+                checkImportedUnits();
+            } catch (error) {
+                console.error(`Error parsing ${SCAN_FORMATS[format]}:`, error);
+                updateInstruction(`Error loading ${SCAN_FORMATS[format]} file: ${error.message}`);
+                resolve(error.message);
+                return;
+            }
 
-    reader.readAsArrayBuffer(file);
+            // Hash the file as imported for the specimen report; a newer
+            // scan may have replaced this one by the time it is done
+            const importedModel = state.userModel;
+            try {
+                const hash = await sha256Hex(buffer);
+                if (state.userModel === importedModel) state.scan.sha256 = hash;
+            } catch (error) {
+                console.warn('[Import] Could not hash the scan:', error);
+            }
+            resolve(null);
+        };
+
+        reader.onerror = () => {
+            console.error('[Import] Could not read', file.name, reader.error);
+            updateInstruction(`Could not read ${file.name}.`);
+            resolve('File could not be read');
+        };
+
+        reader.readAsArrayBuffer(file);
+    });
 }
 
-// ============ Boolean Operations ============
-// Helper to prepare geometry for CSG operations
-// three-bvh-csg requires position, normal, AND uv attributes on ALL geometries
-function prepareGeometryForCSG(geometry, name = 'unknown') {
-    // Clone to avoid modifying original
-    const geo = geometry.clone();
-
-    // Ensure geometry has proper position attribute
-    if (!geo.attributes.position) {
-        console.error(`[CSG] ${name}: No position attribute!`);
-        return null;
+// Replace the user model with new scan geometry at the default pose
+function loadUserGeometry(geometry, filename) {
+    // A new scan invalidates any processed result
+    if (state.isProcessed) {
+        unprocess();
+    }
+
+    // Remove previous user model if exists
+    if (state.userModel) {
+        scene.remove(state.userModel);
+        state.userModel.geometry.dispose();
     }
+    setClosurePreview(null);
+    state.scan.boundaryLoops = null;
+
+    // Show scanner vertex colors when the file has them
+    state.userModel = new THREE.Mesh(geometry, scanMaterial(geometry));
+    state.userModel.name = 'UserModel';
+
+    // Apply default rotation
+    state.userModel.rotation.set(
+        MODEL_ROTATION_OFFSET.x,
+        MODEL_ROTATION_OFFSET.y,
+        MODEL_ROTATION_OFFSET.z
+    );
 
-    const posCount = geo.attributes.position.count;
-    console.log(`[CSG] ${name}: positions=${posCount}, indexed=${geo.index !== null}, hasNormal=${!!geo.attributes.normal}, hasUV=${!!geo.attributes.uv}`);
+    scene.add(state.userModel);
 
-    // If non-indexed, convert to indexed geometry
-    if (!geo.index) {
-        console.log(`[CSG] ${name}: Converting non-indexed to indexed geometry`);
-        const indices = [];
-        for (let i = 0; i < posCount; i++) {
-            indices.push(i);
-        }
-        geo.setIndex(indices);
+    // Position near the rig
+    if (state.rig.hooks) {
+        state.userModel.position.copy(state.rig.hooks.position);
     }
 
-    // Ensure normals exist
-    if (!geo.attributes.normal) {
-        console.log(`[CSG] ${name}: Computing normals`);
-        geo.computeVertexNormals();
+    // Enable Step 2
+    enableStep(2);
+    updateInstruction('Use Move/Rotate to align model. Click model to select, use G for move, R for rotate. Use view cube for orthographic views.');
+    syncModelSlidersFromMesh();
+
+    // Attach TransformControls to user model
+    transformControls.attach(state.userModel);
+
+    // Start the undo history at the default pose
+    resetHistory('Import scan');
+
+    state.scan.filename = filename;
+    state.scan.sourceUnit = 'mm';
+    state.scan.sha256 = null;
+    state.label.text = null;
+    document.getElementById('unit-warning').classList.add('hidden');
+    document.getElementById('filename-display').textContent = filename;
+    document.getElementById('btn-save-project').disabled = false;
+
+    clearLandmarks();
+    clearMeasurements();
+    checkScanClosure();
+    analyzeScanHealth();
+    if (showUndercutMap) checkUndercuts();
+    renderLabelControls();
+}
+
+// ============ Unit Detection ============
+// Warn when the scan's size suggests it was exported in cm, inches or metres
+function checkImportedUnits() {
+    const geometry = state.userModel.geometry;
+    geometry.computeBoundingBox();
+    const size = geometry.boundingBox.getSize(new THREE.Vector3());
+    const maxDimension = Math.max(size.x, size.y, size.z);
+    const { plausible, suggestedUnit } = checkScanUnits(maxDimension);
+
+    console.log(`[Units] Scan extent ${maxDimension.toFixed(3)} units, plausible as mm: ${plausible}`);
+    if (plausible) return;
+
+    document.getElementById('unit-warning-text').textContent =
+        `This scan is ${maxDimension.toPrecision(3)} units across, but a dental arch is usually ` +
+        `${EXPECTED_SCAN_SIZE_MM.min}-${EXPECTED_SCAN_SIZE_MM.max} mm. It may not be in millimetres.`;
+    document.querySelectorAll('#unit-warning [data-unit]').forEach(btn => {
+        btn.classList.toggle('suggested', btn.dataset.unit === suggestedUnit);
+    });
+    document.getElementById('unit-warning').classList.remove('hidden');
+
+    updateInstruction(suggestedUnit
+        ? `Scan size looks wrong - it is probably in ${SCAN_UNITS[suggestedUnit].label}. Convert it in Step 1.`
+        : 'Scan size looks wrong for a dental arch. Check the export units.');
+}
+
+// Scale the scan geometry from the given unit to millimetres
+function convertScanUnits(unit) {
+    if (!state.userModel || state.scan.sourceUnit !== 'mm') return;
+
+    const factor = SCAN_UNITS[unit].toMillimetres;
+    state.userModel.geometry.scale(factor, factor, factor);
+    state.userModel.geometry.computeBoundingBox();
+    state.userModel.geometry.computeBoundingSphere();
+    state.scan.sourceUnit = unit;
+    state.landmarks.leftContact?.multiplyScalar(factor);
+    state.landmarks.rightContact?.multiplyScalar(factor);
+    state.landmarks.zeniths.forEach(point => point.multiplyScalar(factor));
+    state.landmarks.cusps.forEach(point => point.multiplyScalar(factor));
+    state.landmarks.residualTeeth.forEach(point => point.multiplyScalar(factor));
+    state.measurements.items.forEach(item => item.points.forEach(point => point.multiplyScalar(factor)));
+    state.measurements.pending = [];
+    updateLandmarks();
+    renderMeasurements();
+    checkScanClosure();
+    analyzeScanHealth(); // Hole and sliver thresholds are in mm
+    if (showUndercutMap) checkUndercuts();
+
+    document.getElementById('unit-warning').classList.add('hidden');
+    scheduleAutosave();
+    updateInstruction(`Scan converted from ${SCAN_UNITS[unit].label} to mm (x${factor}).`);
+    console.log(`[Units] Converted scan from ${unit} to mm (x${factor})`);
+}
+
+// ============ Scan Closing ============
+// Intraoral scans are open shells; three-bvh-csg needs a closed solid.
+// The worker extrudes the open border down into the base-trim and caps it
+// (see mesh-closing.js). Here we only show the result and drive the option.
+let showClosurePreview = false;
+let closureRequest = 0;
+
+// Halfway into the base-trim, so its subtraction leaves a flat base
+function getClosureFloorY() {
+    if (state.rig.baseTrim) return closureFloorY(state.rig.baseTrim);
+    state.userModel.updateMatrixWorld(true);
+    return new THREE.Box3().setFromObject(state.userModel).min.y - 1;
+}
+
+function isClosureEnabled() {
+    return document.getElementById('close-scan').checked;
+}
+
+// Count the scan's boundary loops and rebuild the wall preview at the current pose
+async function checkScanClosure() {
+    if (!state.userModel) return;
+
+    const request = ++closureRequest;
+    state.userModel.updateMatrixWorld(true);
+    const geometry = bakeForWorker(state.userModel);
+
+    let result;
+    try {
+        result = await analysisWorker.run('close', { geometry, floorY: getClosureFloorY() }, {
+            transfer: transferList(geometry)
+        });
+    } catch (error) {
+        if (!error.cancelled) console.error('[Closing] Boundary check failed:', error);
+        return;
     }
 
-    // CRITICAL: Ensure UV attributes exist (three-bvh-csg requires this)
-    if (!geo.attributes.uv) {
-        console.log(`[CSG] ${name}: Adding empty UV attribute`);
-        const uvArray = new Float32Array(posCount * 2);
-        // Fill with zeros (or could use position-based UVs)
-        geo.setAttribute('uv', new THREE.BufferAttribute(uvArray, 2));
+    // A newer check (or a new scan) superseded this one
+    if (request !== closureRequest || !state.userModel) return;
+
+    state.scan.boundaryLoops = result.loopCount;
+    console.log(`[Closing] Scan has ${result.loopCount} boundary loop(s)`);
+    updateClosureStatus();
+    setClosurePreview(result.wall ? unpackGeometry(THREE, result.wall) : null);
+}
+
+// Replace the preview mesh (null removes it); shown only while preview is on
+function setClosurePreview(geometry) {
+    if (state.closurePreview) {
+        scene.remove(state.closurePreview);
+        state.closurePreview.geometry.dispose();
+        state.closurePreview = null;
     }
+    if (!geometry) return;
 
-    return geo;
+    state.closurePreview = new THREE.Mesh(geometry, state.materials.closureWall);
+    state.closurePreview.name = 'ClosurePreview';
+    state.closurePreview.visible = showClosurePreview && !state.isProcessed;
+    scene.add(state.closurePreview);
 }
 
-function processAndMerge() {
-    if (!state.userModel) {
-        updateInstruction('Please import a model first.');
-        return;
+function hideClosurePreview() {
+    if (state.closurePreview) state.closurePreview.visible = false;
+}
+
+function toggleClosurePreview() {
+    showClosurePreview = !showClosurePreview;
+    document.getElementById('btn-preview-closure').classList.toggle('active', showClosurePreview);
+
+    if (showClosurePreview) {
+        checkScanClosure();
+    } else {
+        hideClosurePreview();
     }
+}
 
-    // Disable the process button immediately to prevent double-clicks
-    const processBtn = document.getElementById('btn-process');
-    if (processBtn) {
-        processBtn.disabled = true;
-        processBtn.style.opacity = '0.5';
+function updateClosureStatus() {
+    const status = document.getElementById('closure-status');
+    const loops = state.scan.boundaryLoops;
+
+    if (loops === null) {
+        status.textContent = '';
+    } else if (loops === 0) {
+        status.textContent = 'Scan is already watertight.';
+    } else {
+        status.textContent = `Scan is open (${loops} boundary loop${loops === 1 ? '' : 's'}). ` +
+            (isClosureEnabled()
+                ? 'It will be closed into a solid before processing.'
+                : 'Without closing, the Boolean result may be empty.');
     }
+}
 
-    // Show the liquid glass processing overlay
-    showProcessing('Preparing mesh data...');
+// ============ Mesh Health ============
+// Analysis and repairs run in the worker (see mesh-health.js) on the scan's
+// local geometry, so repairs keep the current alignment.
+
+// Panel rows: report key, label, and whether a non-zero count is a problem
+const HEALTH_ROWS = [
+    ['triangles', 'Triangles', false],
+    ['shells', 'Shells', false],
+    ['boundaryLoops', 'Boundary loops', false],
+    ['holes', 'Holes', true],
+    ['nonManifoldEdges', 'Non-manifold edges', true],
+    ['flippedTriangles', 'Flipped triangles', true],
+    ['degenerateTriangles', 'Degenerate triangles', true],
+    ['smallShells', 'Small loose shells', true],
+    ['duplicateShells', 'Duplicate shells', true],
+    ['selfIntersections', 'Self-intersections', true]
+];
+
+let healthRequest = 0;
+
+async function analyzeScanHealth() {
+    if (!state.userModel) return;
 
-    // Use setTimeout to allow the overlay to paint before heavy processing begins
-    setTimeout(() => {
-        doProcessAndMerge();
-    }, 50);
+    const request = ++healthRequest;
+    state.scan.health = null;
+    renderMeshHealth('Analysing mesh...');
+
+    const geometry = packGeometry(state.userModel.geometry.clone());
+    try {
+        const { report } = await analysisWorker.run('analyze', { geometry }, {
+            transfer: transferList(geometry)
+        });
+        if (request !== healthRequest) return;
+
+        state.scan.health = report;
+        console.log('[Health] Report:', report);
+        renderMeshHealth();
+    } catch (error) {
+        if (request !== healthRequest) return;
+        if (!error.cancelled) console.error('[Health] Analysis failed:', error);
+        renderMeshHealth(error.cancelled ? 'Analysis cancelled.' : `Analysis failed: ${error.message}`);
+    }
 }
 
-function doProcessAndMerge() {
-    const startTime = performance.now();
-    console.log('[CSG] Starting Boolean operations...');
-    updateProcessingStatus('Running Boolean operations...');
+async function repairScan(action) {
+    if (!state.userModel) return;
+    if (state.isProcessed) {
+        updateInstruction('Go back to editing before repairing the scan.');
+        return;
+    }
 
+    const request = ++healthRequest;
+    setRepairButtonsEnabled(false);
+    updateInstruction(`${REPAIR_ACTIONS[action]}...`);
+
+    const geometry = packGeometry(state.userModel.geometry.clone());
     try {
-        // CRITICAL: Update all matrix world transforms before reading them
-        console.log('[CSG] Updating matrix world for all meshes...');
-        state.userModel.updateMatrixWorld(true);
-        if (state.rig.fillerTransform) state.rig.fillerTransform.updateMatrixWorld(true);
-        if (state.rig.baseTrim) state.rig.baseTrim.updateMatrixWorld(true);
-        state.rig.screwMeshes.forEach(mesh => mesh.updateMatrixWorld(true));
+        const result = await analysisWorker.run('repair', { geometry, action }, {
+            transfer: transferList(geometry)
+        });
+        if (request !== healthRequest || !state.userModel) return;
 
-        // Debug: Log current transforms
-        console.log('[CSG] User model position:', state.userModel.position.toArray());
-        console.log('[CSG] User model rotation:', state.userModel.rotation.toArray().map(r => (r * 180 / Math.PI).toFixed(1) + '°'));
-        console.log('[CSG] User model scale:', state.userModel.scale.toArray());
-        if (state.rig.fillerTransform) {
-            console.log('[CSG] Filler position:', state.rig.fillerTransform.position.toArray());
-            console.log('[CSG] Filler scale:', state.rig.fillerTransform.scale.toArray());
-        }
+        const repaired = unpackGeometry(THREE, result.geometry);
+        repaired.computeVertexNormals();
+        state.userModel.geometry.dispose();
+        state.userModel.geometry = repaired;
+        scheduleAutosave();
+
+        state.scan.health = result.report;
+        renderMeshHealth();
+        checkScanClosure();
+        if (showUndercutMap) checkUndercuts();
+
+        const issues = describeHealthIssues(result.report);
+        updateInstruction(`${REPAIR_ACTIONS[action]}: done. ` +
+            (issues.length ? `Remaining: ${issues.join(', ')}.` : 'Scan is fit for processing.'));
+        console.log(`[Health] ${action} repair complete`);
+    } catch (error) {
+        if (request !== healthRequest) return;
+        console.error(`[Health] ${action} repair failed:`, error);
+        updateInstruction(`Repair failed: ${error.message}`);
+        renderMeshHealth();
+    }
+}
 
-        // Step 1: Prepare user model geometry with current transforms
-        // CRITICAL: Apply transform to GEOMETRY (bakes into vertices), not to Brush
-        console.log('[CSG] Step 1: Preparing user model...');
-        const modelGeo = prepareGeometryForCSG(state.userModel.geometry, 'UserModel');
-        if (!modelGeo) throw new Error('User model geometry preparation failed');
-
-        // BAKE the transform into the geometry vertices
-        modelGeo.applyMatrix4(state.userModel.matrixWorld);
-        console.log('[CSG] User model transform BAKED into geometry');
-
-        const modelBrush = new Brush(modelGeo);
-        let resultBrush = modelBrush;
-
-        // Step 2: UNION - Merge filler with user model FIRST
-        if (state.rig.fillerTransform?.geometry) {
-            console.log('[CSG] Step 2: UNION - Merging filler with model...');
-            console.log('[CSG] Filler geometry vertex count:', state.rig.fillerTransform.geometry.attributes.position?.count);
-            const fillerGeo = prepareGeometryForCSG(state.rig.fillerTransform.geometry, 'Filler');
-            if (fillerGeo) {
-                // BAKE filler transform into geometry
-                fillerGeo.applyMatrix4(state.rig.fillerTransform.matrixWorld);
-                console.log('[CSG] Filler transform BAKED into geometry');
-
-                const fillerBrush = new Brush(fillerGeo);
-                resultBrush = csgEvaluator.evaluate(resultBrush, fillerBrush, ADDITION);
-                console.log('[CSG] Model + Filler UNION complete');
-            }
-        }
+function setRepairButtonsEnabled(enabled) {
+    document.querySelectorAll('#mesh-health [data-repair]').forEach(btn => {
+        btn.disabled = !enabled;
+    });
+}
 
-        // Step 3: SUBTRACT - Remove base-trim (bottom) from merged result
-        if (state.rig.baseTrim?.geometry) {
-            console.log('[CSG] Step 3: SUBTRACT - Removing base-trim from merged model...');
-            const baseGeo = prepareGeometryForCSG(state.rig.baseTrim.geometry, 'Base-trim');
-            if (baseGeo) {
-                // BAKE transform into geometry
-                baseGeo.applyMatrix4(state.rig.baseTrim.matrixWorld);
-                const baseBrush = new Brush(baseGeo);
-                resultBrush = csgEvaluator.evaluate(resultBrush, baseBrush, SUBTRACTION);
-                console.log('[CSG] Base-trim SUBTRACTION complete');
-            }
+function renderMeshHealth(message = '') {
+    const report = state.scan.health;
+    const list = document.getElementById('mesh-health-list');
+    const summary = document.getElementById('mesh-health-summary');
+
+    document.getElementById('mesh-health').classList.toggle('hidden', !state.userModel);
+    list.innerHTML = '';
+    setRepairButtonsEnabled(!!report);
+
+    if (!report) {
+        summary.textContent = message;
+        summary.classList.remove('warn');
+        return;
+    }
+
+    HEALTH_ROWS.forEach(([key, label, isProblem]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const value = document.createElement('dd');
+        value.textContent = report[key] + (key === 'selfIntersections' && report.selfIntersectionsCapped ? '+' : '');
+        value.classList.toggle('warn', isProblem && report[key] > 0);
+        list.append(term, value);
+    });
+
+    const issues = describeHealthIssues(report);
+    summary.textContent = issues.length ? `Needs attention: ${issues.join(', ')}.` : 'Fit for processing.';
+    summary.classList.toggle('warn', issues.length > 0);
+}
+
+// ============ Landmark Alignment ============
+// Landmarks are stored in model space, so they follow the scan as it moves
+const LANDMARK_MODES = {
+    leftContact: { color: 0xffd100, prompt: 'Click the contact between the left premolars.' },
+    rightContact: { color: 0xffd100, prompt: 'Click the contact between the right premolars.' },
+    zenith: { color: 0xff6b9d, prompt: 'Click gingival zeniths around the arch, then Align to Landmarks.' },
+    cusp: { color: 0x4ecdc4, prompt: 'Click cusp tips around the arch, then Level Occlusal Plane.' },
+    residualTooth: { color: 0xe4002b, prompt: `Click the middle of each tooth that should keep its undercut (within ${BLOCKOUT_LIMITS.toothRadius} mm).` }
+};
+const LANDMARK_MARKER_RADIUS = 0.6; // mm
+
+let landmarkPickMode = null;
+const landmarkRaycaster = new THREE.Raycaster();
+const landmarkPointerDown = new THREE.Vector2();
+
+function setLandmarkPickMode(mode) {
+    landmarkPickMode = mode === landmarkPickMode ? null : mode;
+    document.querySelectorAll('[data-landmark]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.landmark === landmarkPickMode);
+    });
+    if (landmarkPickMode) {
+        setMeasureTool(null);
+        updateInstruction(LANDMARK_MODES[landmarkPickMode].prompt);
+    }
+}
+
+// The point on the scan under a click (not an orbit drag), or null
+function raycastScan(event) {
+    if (!state.userModel || state.isProcessed || transformControls.dragging) return null;
+    if (Math.hypot(event.clientX - landmarkPointerDown.x, event.clientY - landmarkPointerDown.y) > 4) return null;
+
+    const rect = canvas.getBoundingClientRect();
+    const pointer = new THREE.Vector2(
+        ((event.clientX - rect.left) / rect.width) * 2 - 1,
+        -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    landmarkRaycaster.setFromCamera(pointer, activeCamera);
+    const [hit] = landmarkRaycaster.intersectObject(state.userModel, false);
+    return hit || null;
+}
+
+// A click on the scan while a pick mode is active
+function pickLandmark(event) {
+    if (!landmarkPickMode) return;
+    const hit = raycastScan(event);
+    if (!hit) return;
+
+    const mode = landmarkPickMode;
+    const point = state.userModel.worldToLocal(hit.point.clone());
+    if (mode === 'zenith') {
+        state.landmarks.zeniths.push(point);
+    } else if (mode === 'cusp') {
+        state.landmarks.cusps.push(point);
+    } else if (mode === 'residualTooth') {
+        state.landmarks.residualTeeth.push(point);
+    } else {
+        state.landmarks[mode] = point;
+        setLandmarkPickMode(null);
+    }
+    console.log(`[Landmarks] Picked ${mode}:`, point.toArray().map(v => v.toFixed(2)));
+    updateLandmarks();
+}
+
+// Rebuild the markers and status after any landmark change
+function updateLandmarks() {
+    if (state.landmarks.markers) {
+        state.landmarks.markers.removeFromParent();
+        state.landmarks.markers.traverse(child => child.geometry?.dispose());
+        state.landmarks.markers = null;
+    }
+
+    const { leftContact, rightContact, zeniths, cusps, residualTeeth } = state.landmarks;
+    if (state.userModel) {
+        const markers = new THREE.Group();
+        markers.name = 'LandmarkMarkers';
+        const addMarker = (point, mode) => {
+            const marker = new THREE.Mesh(
+                new THREE.SphereGeometry(LANDMARK_MARKER_RADIUS, 12, 8),
+                new THREE.MeshBasicMaterial({ color: LANDMARK_MODES[mode].color, depthTest: false })
+            );
+            marker.position.copy(point);
+            marker.renderOrder = 2;
+            markers.add(marker);
+        };
+        if (leftContact) addMarker(leftContact, 'leftContact');
+        if (rightContact) addMarker(rightContact, 'rightContact');
+        zeniths.forEach(point => addMarker(point, 'zenith'));
+        cusps.forEach(point => addMarker(point, 'cusp'));
+        residualTeeth.forEach(point => addMarker(point, 'residualTooth'));
+        state.userModel.add(markers);
+        state.landmarks.markers = markers;
+    }
+
+    const picked = [leftContact && 'L contact', rightContact && 'R contact'].filter(Boolean);
+    if (zeniths.length > 0) picked.push(`${zeniths.length} zenith${zeniths.length === 1 ? '' : 's'}`);
+    if (cusps.length > 0) picked.push(`${cusps.length} cusp${cusps.length === 1 ? '' : 's'}`);
+    document.getElementById('landmark-status').textContent = picked.length ? `Picked: ${picked.join(', ')}` : '';
+    document.getElementById('btn-landmark-align').disabled =
+        !leftContact || !rightContact || zeniths.length < MIN_ZENITHS;
+    document.getElementById('btn-level-occlusal').disabled = cusps.length < MIN_CUSPS;
+    updateBlockoutStatus();
+}
+
+function clearLandmarks() {
+    state.landmarks.leftContact = null;
+    state.landmarks.rightContact = null;
+    state.landmarks.zeniths = [];
+    state.landmarks.cusps = [];
+    state.landmarks.residualTeeth = [];
+    setLandmarkPickMode(null);
+    updateLandmarks();
+}
+
+// Place the scan from its landmarks, then leave it to manual fine-tuning
+function alignToLandmarks() {
+    if (!state.userModel || state.isProcessed) return;
+    if (!state.rig.hooks || !state.rig.guide2mm) {
+        updateInstruction('The rig has no hooks or 2mm guide to align to.');
+        return;
+    }
+
+    let alignment;
+    try {
+        alignment = computeLandmarkAlignment(state.landmarks, {
+            hookCenter: new THREE.Box3().setFromObject(state.rig.hooks).getCenter(new THREE.Vector3()),
+            guideY: new THREE.Box3().setFromObject(state.rig.guide2mm).getCenter(new THREE.Vector3()).y
+        });
+    } catch (error) {
+        updateInstruction(error.message);
+        return;
+    }
+
+    state.userModel.quaternion.copy(alignment.quaternion);
+    state.userModel.position.copy(alignment.position);
+    syncModelSlidersFromMesh();
+    commitHistory('Align to landmarks');
+    if (showClosurePreview) checkScanClosure();
+    if (showUndercutMap) checkUndercuts();
+
+    setLandmarkPickMode(null);
+    console.log(`[Landmarks] Aligned, zenith plane fit ±${alignment.zenithRms.toFixed(2)} mm`);
+    updateInstruction(`Aligned to landmarks (zenith plane fit ±${alignment.zenithRms.toFixed(2)} mm). Fine-tune with Move/Rotate if needed.`);
+}
+
+// Landmarks as plain arrays for project files
+function serializeLandmarks() {
+    const { leftContact, rightContact, zeniths, cusps, residualTeeth } = state.landmarks;
+    return {
+        leftContact: leftContact ? leftContact.toArray() : null,
+        rightContact: rightContact ? rightContact.toArray() : null,
+        zeniths: zeniths.map(point => point.toArray()),
+        cusps: cusps.map(point => point.toArray()),
+        residualTeeth: residualTeeth.map(point => point.toArray())
+    };
+}
+
+function restoreLandmarks(saved) {
+    const toVector = (array) => array ? new THREE.Vector3().fromArray(array) : null;
+    state.landmarks.leftContact = toVector(saved && saved.leftContact);
+    state.landmarks.rightContact = toVector(saved && saved.rightContact);
+    state.landmarks.zeniths = saved && saved.zeniths ? saved.zeniths.map(toVector) : [];
+    state.landmarks.cusps = saved && saved.cusps ? saved.cusps.map(toVector) : [];
+    state.landmarks.residualTeeth = saved && saved.residualTeeth ? saved.residualTeeth.map(toVector) : [];
+    setLandmarkPickMode(null);
+    updateLandmarks();
+}
+
+// ============ Occlusal Plane ============
+// Cusp tips are landmarks too (model space), picked or found automatically
+function findCuspTips() {
+    if (!state.userModel || state.isProcessed) return;
+
+    state.userModel.updateMatrixWorld(true);
+    let points;
+    try {
+        points = findOcclusalPoints(state.userModel.geometry, state.userModel.matrixWorld);
+    } catch (error) {
+        updateInstruction(error.message);
+        return;
+    }
+
+    state.landmarks.cusps = points.map(point => state.userModel.worldToLocal(point));
+    setLandmarkPickMode(null);
+    updateLandmarks();
+    console.log(`[Occlusal] Found ${points.length} high points`);
+    updateInstruction(`Found ${points.length} high points on the arch. Check them, then Level Occlusal Plane.`);
+}
+
+// Rotate the scan so the cusp plane is parallel to the rig base, about the
+// hooks so the scan stays where it was placed on them
+function levelOcclusalPlane() {
+    if (!state.userModel || state.isProcessed) return;
+
+    state.userModel.updateMatrixWorld(true);
+    const points = state.landmarks.cusps.map(point => state.userModel.localToWorld(point.clone()));
+    let levelling;
+    try {
+        levelling = computeOcclusalLevelling(points);
+    } catch (error) {
+        updateInstruction(error.message);
+        return;
+    }
+
+    // Pivot on the hooks' vertical axis at occlusal height
+    const pivot = new THREE.Vector3();
+    points.forEach(point => pivot.add(point));
+    pivot.divideScalar(points.length);
+    if (state.rig.hooks) {
+        const hookCenter = new THREE.Box3().setFromObject(state.rig.hooks).getCenter(new THREE.Vector3());
+        pivot.x = hookCenter.x;
+        pivot.z = hookCenter.z;
+    }
+
+    state.userModel.quaternion.premultiply(levelling.quaternion);
+    state.userModel.position.sub(pivot).applyQuaternion(levelling.quaternion).add(pivot);
+    syncModelSlidersFromMesh();
+    commitHistory('Level occlusal plane');
+    if (showClosurePreview) checkScanClosure();
+    if (showUndercutMap) checkUndercuts();
+
+    setLandmarkPickMode(null);
+    console.log(`[Occlusal] Levelled by ${levelling.tiltDeg.toFixed(2)}°, fit ±${levelling.rms.toFixed(2)} mm`);
+    updateInstruction(`Occlusal plane levelled (was tilted ${levelling.tiltDeg.toFixed(1)}°, fit ±${levelling.rms.toFixed(2)} mm).`);
+}
+
+// ============ Undercut Map ============
+// Colours the scan by the angle of its surface to the pull-out axis (world +Y,
+// the way the specimen leaves the rig) and shades undercuts by depth, with the
+// survey line along the height of contour. The analysis runs in the worker on
+// the posed scan (see mesh-undercut.js), so it is redone after every move.
+let showUndercutMap = false;
+let undercutRequest = 0;
+
+const UNDERCUT_COLORS = {
+    facingUp: new THREE.Color(0x2a9d8f), // Normal along the pull axis
+    parallel: new THREE.Color(0xf5f5f5), // Normal across it (height of contour)
+    shallow: new THREE.Color(0xffd100),
+    deep: new THREE.Color(0xe4002b)
+};
+
+// Default look of a scan: its own vertex colors when it has them
+function scanMaterial(geometry) {
+    return geometry.attributes.color ? state.materials.modelVertexColor : state.materials.model;
+}
+
+// Nothing below the top of the base trim survives processing
+function getUndercutFloorY() {
+    if (!state.rig.baseTrim) return -Infinity;
+    state.rig.baseTrim.updateMatrixWorld(true);
+    return new THREE.Box3().setFromObject(state.rig.baseTrim).max.y;
+}
+
+async function checkUndercuts() {
+    if (!state.userModel) return;
+
+    const request = ++undercutRequest;
+    hideUndercutMap();
+    renderUndercutStatus('Analysing undercuts...');
+    state.userModel.updateMatrixWorld(true);
+    const geometry = bakeForWorker(state.userModel);
+
+    let result;
+    try {
+        result = await analysisWorker.run('undercuts', { geometry, floorY: getUndercutFloorY() }, {
+            transfer: transferList(geometry)
+        });
+    } catch (error) {
+        if (request !== undercutRequest) return;
+        if (!error.cancelled) console.error('[Undercuts] Analysis failed:', error);
+        renderUndercutStatus(error.cancelled ? 'Analysis cancelled.' : `Analysis failed: ${error.message}`);
+        return;
+    }
+
+    // A newer analysis (or a new scan) superseded this one
+    if (request !== undercutRequest || !state.userModel || !showUndercutMap) return;
+
+    console.log(`[Undercuts] ${result.undercutArea.toFixed(1)} mm² undercut, deepest ${result.deepest.toFixed(2)} mm`);
+    applyUndercutMap(result);
+    renderUndercutStatus(result.undercutArea > 0
+        ? `Undercut ${result.undercutArea.toFixed(1)} mm², deepest ${result.deepest >= UNDERCUT_LIMITS.maxDepth ? `${UNDERCUT_LIMITS.maxDepth} mm or more` : `${result.deepest.toFixed(2)} mm`}.`
+        : 'No undercuts along the pull-out axis.');
+}
+
+function applyUndercutMap({ depth, angle, surveyLine }) {
+    const geometry = state.userModel.geometry;
+    const colors = new Float32Array(depth.length * 3);
+    const color = new THREE.Color();
+
+    for (let v = 0; v < depth.length; v++) {
+        if (depth[v] > 0) {
+            color.lerpColors(UNDERCUT_COLORS.shallow, UNDERCUT_COLORS.deep, depth[v] / UNDERCUT_LIMITS.maxDepth);
+        } else if (angle[v] <= 90) {
+            color.lerpColors(UNDERCUT_COLORS.facingUp, UNDERCUT_COLORS.parallel, angle[v] / 90);
+        } else {
+            // Facing down but too shallow to count as undercut
+            color.lerpColors(UNDERCUT_COLORS.parallel, UNDERCUT_COLORS.shallow, (angle[v] - 90) / 90);
+        }
+        color.toArray(colors, v * 3);
+    }
+
+    const existing = geometry.attributes.undercutColor;
+    if (existing && existing.count === depth.length) {
+        existing.array.set(colors);
+        existing.needsUpdate = true;
+    } else {
+        geometry.setAttribute('undercutColor', new THREE.BufferAttribute(colors, 3));
+    }
+    state.userModel.material = state.materials.undercut;
+
+    const lineGeometry = new THREE.BufferGeometry();
+    lineGeometry.setAttribute('position', new THREE.BufferAttribute(surveyLine, 3));
+    state.surveyLine = new THREE.LineSegments(lineGeometry, new THREE.LineBasicMaterial({
+        color: 0x0033a0,
+        depthTest: false
+    }));
+    state.surveyLine.name = 'SurveyLine';
+    state.surveyLine.renderOrder = 1;
+    scene.add(state.surveyLine);
+}
+
+// Back to the plain scan until a fresh analysis arrives
+function hideUndercutMap() {
+    if (state.userModel) state.userModel.material = scanMaterial(state.userModel.geometry);
+    if (state.surveyLine) {
+        scene.remove(state.surveyLine);
+        state.surveyLine.geometry.dispose();
+        state.surveyLine.material.dispose();
+        state.surveyLine = null;
+    }
+}
+
+function toggleUndercutMap() {
+    showUndercutMap = !showUndercutMap;
+    document.getElementById('btn-undercut-map').classList.toggle('active', showUndercutMap);
+
+    if (showUndercutMap) {
+        checkUndercuts();
+    } else {
+        undercutRequest++;
+        hideUndercutMap();
+        renderUndercutStatus('');
+    }
+}
+
+function renderUndercutStatus(message) {
+    document.getElementById('undercut-status').textContent = message;
+}
+
+// ============ Undercut Block-out ============
+// Undercuts are filled as part of Process & Merge, at the final pose (see
+// buildBlockout in mesh-undercut.js). Picked teeth keep a set undercut depth.
+function isBlockoutEnabled() {
+    return document.getElementById('blockout-undercuts').checked;
+}
+
+function getResidualDepth() {
+    const depth = parseFloat(document.getElementById('blockout-residual').value);
+    return Number.isFinite(depth) && depth > 0 ? depth : 0;
+}
+
+function clearResidualTeeth() {
+    state.landmarks.residualTeeth = [];
+    if (landmarkPickMode === 'residualTooth') setLandmarkPickMode(null);
+    updateLandmarks();
+}
+
+function updateBlockoutStatus() {
+    const status = document.getElementById('blockout-status');
+    const teeth = state.landmarks.residualTeeth.length;
+
+    if (!isBlockoutEnabled()) {
+        status.textContent = '';
+    } else if (teeth === 0) {
+        status.textContent = 'All undercuts will be filled before processing.';
+    } else {
+        status.textContent = `Undercuts will be filled, leaving ${getResidualDepth()} mm at ${teeth} picked ${teeth === 1 ? 'tooth' : 'teeth'}.`;
+    }
+}
+
+// Block-out settings for the CSG job, with the picked teeth in world space
+function buildBlockoutJob() {
+    if (!isBlockoutEnabled()) return null;
+
+    state.userModel.updateMatrixWorld(true);
+    return {
+        floorY: getClosureFloorY(),
+        residualDepth: getResidualDepth(),
+        residualSites: state.landmarks.residualTeeth.map(point => {
+            const world = state.userModel.localToWorld(point.clone());
+            return { x: world.x, z: world.z };
+        })
+    };
+}
+
+// ============ Measurements ============
+// Points snap to the scan and are kept in model space like the landmarks.
+// Values are recomputed whenever the scan moves, so the list always describes
+// the current alignment (see measurements.js).
+const MEASURE_MARKER_GEOMETRY = new THREE.SphereGeometry(LANDMARK_MARKER_RADIUS * 0.6, 12, 8);
+const MEASURE_MARKER_MATERIAL = new THREE.MeshBasicMaterial({ color: 0x5ac8fa, depthTest: false });
+const MEASURE_LINE_MATERIAL = new THREE.LineBasicMaterial({ color: 0x5ac8fa, depthTest: false });
+let measureTool = null;
+const measuredPose = new THREE.Matrix4(); // Scan pose the list was last rendered for
+
+function setMeasureTool(tool) {
+    measureTool = tool === measureTool ? null : tool;
+    state.measurements.pending = [];
+    document.querySelectorAll('[data-measure]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.measure === measureTool);
+    });
+    if (measureTool) {
+        setLandmarkPickMode(null);
+        updateInstruction(MEASUREMENT_TOOLS[measureTool].prompt);
+    }
+    renderMeasurements();
+}
+
+function getSelectedMeasurePlane() {
+    return document.getElementById('measure-plane').value;
+}
+
+// Height of a reference plane: the 2mm guide's mid-plane (as used by
+// Align to Landmarks) or the top of the base trim, where it cuts
+function getMeasurePlaneY(plane) {
+    const part = plane === 'trim' ? state.rig.baseTrim : state.rig.guide2mm;
+    if (!part) return null;
+    const box = new THREE.Box3().setFromObject(part);
+    return plane === 'trim' ? box.max.y : (box.min.y + box.max.y) / 2;
+}
+
+function pickMeasurePoint(event) {
+    if (!measureTool) return;
+    const hit = raycastScan(event);
+    if (!hit) return;
+
+    const pending = state.measurements.pending;
+    pending.push(state.userModel.worldToLocal(hit.point.clone()));
+    if (pending.length === MEASUREMENT_TOOLS[measureTool].points) {
+        addMeasurement(measureTool, pending, measureTool === 'plane' ? getSelectedMeasurePlane() : null);
+        state.measurements.pending = [];
+    }
+    renderMeasurements();
+}
+
+function addMeasurement(type, points, plane = null, label = null) {
+    const count = state.measurements.items.filter(item => item.type === type).length + 1;
+    state.measurements.items.push({ type, plane, label: label || `${MEASUREMENT_TOOLS[type].label} ${count}`, points });
+}
+
+// Height of every picked gingival zenith above the selected plane
+function measureZeniths() {
+    const zeniths = state.landmarks.zeniths;
+    if (zeniths.length === 0) {
+        updateInstruction('Pick gingival zeniths under Landmarks first.');
+        return;
+    }
+
+    // Measuring again replaces the earlier zenith rows for that plane
+    const plane = getSelectedMeasurePlane();
+    state.measurements.items = state.measurements.items.filter(item => !(item.zenith && item.plane === plane));
+    zeniths.forEach((point, i) => {
+        state.measurements.items.push({ type: 'plane', plane, label: `Zenith ${i + 1}`, points: [point.clone()], zenith: true });
+    });
+    renderMeasurements();
+
+    const values = evaluateMeasurements()
+        .filter(row => row.zenith && row.plane === plane && Number.isFinite(row.value))
+        .map(row => row.value);
+    if (values.length === 0) return;
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const worst = values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    updateInstruction(`Zeniths vs ${MEASUREMENT_PLANES[plane]}: mean ${formatSigned(mean)} mm, largest offset ${worst.toFixed(2)} mm.`);
+}
+
+function formatSigned(value) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+}
+
+// Measurements with world-space points and values at the scan's current pose
+function evaluateMeasurements() {
+    state.userModel.updateMatrixWorld(true);
+    return state.measurements.items.map(item => {
+        const points = item.points.map(point => state.userModel.localToWorld(point.clone()));
+        const planeY = item.plane ? getMeasurePlaneY(item.plane) : 0;
+        return {
+            ...item,
+            points,
+            planeY,
+            value: planeY === null ? NaN : measure(item.type, points, planeY),
+            unit: MEASUREMENT_TOOLS[item.type].unit
+        };
+    });
+}
+
+function formatMeasurement(row) {
+    if (!Number.isFinite(row.value)) return '—';
+    if (row.type === 'angle') return `${row.value.toFixed(1)}°`;
+    return `${row.type === 'plane' ? formatSigned(row.value) : row.value.toFixed(2)} mm`;
+}
+
+function renderMeasurements() {
+    const list = document.getElementById('measure-list');
+    list.innerHTML = '';
+    document.getElementById('btn-measure-export').disabled = state.measurements.items.length === 0;
+
+    if (state.measurements.overlay) {
+        scene.remove(state.measurements.overlay);
+        state.measurements.overlay.traverse(child => {
+            if (child.isLine) child.geometry.dispose();
+        });
+        state.measurements.overlay = null;
+    }
+    if (!state.userModel) return;
+
+    const rows = evaluateMeasurements();
+    measuredPose.copy(state.userModel.matrixWorld);
+
+    rows.forEach((row, i) => {
+        const term = document.createElement('dt');
+        term.textContent = row.plane ? `${row.label} above ${MEASUREMENT_PLANES[row.plane]}` : row.label;
+        const value = document.createElement('dd');
+        value.textContent = formatMeasurement(row);
+        const remove = document.createElement('button');
+        remove.className = 'measure-remove';
+        remove.title = 'Remove';
+        remove.textContent = '×';
+        remove.addEventListener('click', () => {
+            state.measurements.items.splice(i, 1);
+            renderMeasurements();
+        });
+        list.append(term, value, remove);
+    });
+
+    // Markers and lines in world space, rebuilt with the list
+    const overlay = new THREE.Group();
+    overlay.name = 'MeasurementOverlay';
+    const addMarker = (point) => {
+        const marker = new THREE.Mesh(MEASURE_MARKER_GEOMETRY, MEASURE_MARKER_MATERIAL);
+        marker.position.copy(point);
+        marker.renderOrder = 2;
+        overlay.add(marker);
+    };
+    const addLine = (points) => {
+        const line = new THREE.Line(new THREE.BufferGeometry().setFromPoints(points), MEASURE_LINE_MATERIAL);
+        line.renderOrder = 2;
+        overlay.add(line);
+    };
+
+    rows.forEach(row => {
+        row.points.forEach(addMarker);
+        if (row.type === 'plane') {
+            if (row.planeY !== null) addLine([row.points[0], new THREE.Vector3(row.points[0].x, row.planeY, row.points[0].z)]);
+        } else {
+            addLine(row.points);
+        }
+    });
+    state.measurements.pending.forEach(point => addMarker(state.userModel.localToWorld(point.clone())));
+
+    scene.add(overlay);
+    state.measurements.overlay = overlay;
+}
+
+// Called every frame: keep the values in step with the scan while it moves
+function refreshMeasurementsIfMoved() {
+    if (!state.userModel) return;
+    const { items, pending } = state.measurements;
+    if (items.length === 0 && pending.length === 0) return;
+    if (!state.userModel.matrixWorld.equals(measuredPose)) renderMeasurements();
+}
+
+function clearMeasurements() {
+    state.measurements.items = [];
+    setMeasureTool(null);
+}
+
+async function exportMeasurements() {
+    if (!state.userModel || state.measurements.items.length === 0) return;
+
+    const csv = measurementsToCSV(evaluateMeasurements().map(row => ({
+        ...row,
+        label: row.plane ? `${row.label} above ${MEASUREMENT_PLANES[row.plane]}` : row.label
+    })), {
+        scan: state.scan.filename || '',
+        rig: describeRig(),
+        measuredAt: new Date().toISOString()
+    });
+
+    const baseName = (state.scan.filename || 'specimen').replace(/\.[^.]+$/, '');
+    try {
+        const status = await saveFile(csv, {
+            defaultName: `${baseName}_measurements.csv`,
+            description: 'Measurements (CSV)',
+            mimeType: 'text/csv',
+            extension: 'csv'
+        });
+        if (status !== 'cancelled') {
+            console.log(`[Measure] Exported ${state.measurements.items.length} measurement(s)`);
+            updateInstruction('Measurements exported.');
+        }
+    } catch (error) {
+        console.error('[Measure] Export failed:', error);
+        updateInstruction(`Measurement export failed: ${error.message}`);
+    }
+}
+
+function serializeMeasurements() {
+    return state.measurements.items.map(({ type, plane, label, points, zenith }) => ({
+        type,
+        plane,
+        label,
+        points: points.map(point => point.toArray()),
+        zenith: !!zenith
+    }));
+}
+
+function restoreMeasurements(saved) {
+    state.measurements.items = (saved || [])
+        .filter(item => MEASUREMENT_TOOLS[item.type])
+        .map(item => ({ ...item, points: item.points.map(point => new THREE.Vector3().fromArray(point)) }));
+    setMeasureTool(null);
+}
+
+// ============ Project Files ============
+// Editing session of the current scan, in buildProject's input format.
+// Study specimens keep one of these in memory when the user moves on.
+function captureSession() {
+    return {
+        scan: {
+            filename: state.scan.filename,
+            sourceUnit: state.scan.sourceUnit,
+            sha256: state.scan.sha256,
+            geometry: state.userModel.geometry
+        },
+        alignment: captureAlignment(),
+        landmarks: serializeLandmarks(),
+        measurements: serializeMeasurements(),
+        label: { text: state.label.text, settings: { ...state.label.settings } },
+        workflow: {
+            step: state.currentStep,
+            editTarget: currentEditTarget
+        },
+        // Steps up to the current one, undone steps are not kept
+        history: undoHistory.slice(0, undoIndex + 1).map(entry => ({
+            ...alignmentFromSnapshot(entry.snapshot),
+            label: entry.label
+        })),
+        createdAt: state.project.createdAt
+    };
+}
+
+// Load a session (or opened project) back into the scene. Study specimens
+// share the label settings, so switching between them keeps the current ones.
+function restoreSession(session, { keepLabelSettings = false } = {}) {
+    loadUserGeometry(session.scan.geometry, session.scan.filename);
+    state.project.createdAt = session.createdAt;
+    state.scan.sourceUnit = session.scan.sourceUnit || 'mm';
+    state.scan.sha256 = session.scan.sha256 || null;
+
+    applyAlignment(session.alignment);
+    restoreLandmarks(session.landmarks);
+    restoreMeasurements(session.measurements);
+    state.label.text = session.label?.text ?? null;
+    if (session.label && !keepLabelSettings) state.label.settings = labelSettings(session.label.settings);
+    renderLabelControls();
+
+    // Replace the fresh import step with the saved history. An empty one
+    // still gets the saved alignment as its first step.
+    undoHistory.length = 0;
+    session.history.forEach(entry => undoHistory.push({
+        snapshot: snapshotFromAlignment(entry),
+        label: entry.label
+    }));
+    undoIndex = undoHistory.length - 1;
+    commitHistory('Saved alignment');
+
+    // Land back on the step the session was left at
+    const workflow = session.workflow || {};
+    enableStep(workflow.step || 2);
+    if (workflow.editTarget === 'filler') {
+        enterFillerEditing();
+    } else {
+        enterModelEditing();
+    }
+}
+
+// Rig of the session as stored in projects
+function captureProjectRig() {
+    return {
+        variant: state.rig.variant,
+        // Custom rigs are loaded from local files, keep their name instead
+        template: state.rig.template?.manifest ? state.rig.template.label : state.rig.template?.url
+    };
+}
+
+// Switch to the built-in rig a project was prepared with. Custom rigs are
+// not embedded; returns a note asking for the same one when another is loaded.
+async function restoreProjectRig(rig) {
+    const variant = rig && rig.variant;
+    if (variant === 'custom') {
+        if (state.rig.variant !== 'custom' || state.rig.template.label !== rig.template) {
+            return ` Load the custom rig "${rig.template}" it was prepared with.`;
+        }
+    } else if (variant && variant !== state.rig.variant) {
+        if (!RIG_VARIANTS[variant]) {
+            throw new Error(`Unknown rig variant "${variant}"`);
+        }
+        unprocess();
+        await loadRigTemplate(variant);
+        renderRigStatus(null);
+        renderRigVariant();
+    }
+    return '';
+}
+
+async function saveProject() {
+    if (!state.userModel) {
+        updateInstruction('Import a scan before saving a project.');
+        return;
+    }
+
+    try {
+        const project = buildProject({
+            ...captureSession(),
+            rig: captureProjectRig()
+        });
+        state.project.createdAt = project.createdAt;
+
+        const baseName = (state.scan.filename || 'specimen').replace(/\.[^.]+$/, '');
+        const status = await saveFile(JSON.stringify(project), {
+            defaultName: `${baseName}.${PROJECT_EXTENSION}`,
+            description: 'Model Prep Project',
+            mimeType: 'application/json',
+            extension: PROJECT_EXTENSION
+        });
+
+        if (status === 'cancelled') {
+            updateInstruction('Save cancelled.');
+        } else {
+            updateInstruction('Project saved.');
+            autosave({ projectSaved: true });
+        }
+        console.log(`[Project] Save finished: ${status}`);
+    } catch (error) {
+        console.error('[Project] Save failed:', error);
+        updateInstruction(`Project save failed: ${error.message}`);
+    }
+}
+
+function openProject(file) {
+    const reader = new FileReader();
+
+    reader.onload = async (event) => {
+        try {
+            const project = parseProject(event.target.result);
+            console.log('[Project] Opened:', project.scan.filename, project.modifiedAt);
+
+            // Reload the base plate the project was prepared for
+            const rigNote = await restoreProjectRig(project.rig);
+
+            project.scan.filename = project.scan.filename || file.name;
+            leaveStudy();
+            restoreSession(project);
+
+            updateInstruction(`Project opened (last saved ${new Date(project.modifiedAt).toLocaleString()}).${rigNote}`);
+        } catch (error) {
+            console.error('[Project] Open failed:', error);
+            updateInstruction(`Could not open project: ${error.message}`);
+        }
+    };
+
+    reader.readAsText(file);
+}
+
+// ============ Autosave ============
+// The session of the current scan goes to IndexedDB (see autosave.js) shortly
+// after every committed change. On the next launch it is offered back,
+// unless it was saved as a project since.
+const AUTOSAVE_DELAY = 500; // ms, one write for the steps of one action
+let autosaveTimer = null;
+
+function scheduleAutosave() {
+    if (!state.userModel) return;
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(autosave, AUTOSAVE_DELAY);
+}
+
+async function autosave({ projectSaved = false } = {}) {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+    if (!state.userModel) return;
+
+    const session = captureSession();
+    try {
+        await writeAutosave({
+            savedAt: new Date().toISOString(),
+            projectSaved,
+            rig: captureProjectRig(),
+            session: { ...session, scan: { ...session.scan, geometry: packGeometry(session.scan.geometry) } }
+        });
+    } catch (error) {
+        console.warn('[Autosave] Could not save the session:', error);
+    }
+}
+
+// Offer the session a closed tab or window left behind (after the rig has loaded)
+async function offerSessionRecovery() {
+    let record;
+    try {
+        record = await readAutosave();
+    } catch (error) {
+        console.warn('[Autosave] Could not read the saved session:', error);
+        return;
+    }
+    if (!record || record.projectSaved || state.userModel) return;
+
+    const { session } = record;
+    const savedAt = new Date(record.savedAt).toLocaleString();
+    if (!confirm(`The session of ${session.scan.filename} was not saved (last change ${savedAt}). Restore it?`)) {
+        clearAutosave().catch(error => console.warn('[Autosave] Could not discard the saved session:', error));
+        return;
+    }
+
+    try {
+        const rigNote = await restoreProjectRig(record.rig);
+        restoreSession({ ...session, scan: { ...session.scan, geometry: unpackGeometry(THREE, session.scan.geometry) } });
+        console.log('[Autosave] Restored:', session.scan.filename, record.savedAt);
+        updateInstruction(`Session of ${session.scan.filename} restored.${rigNote}`);
+    } catch (error) {
+        console.error('[Autosave] Restore failed:', error);
+        updateInstruction(`Could not restore the session: ${error.message}`);
+    }
+}
+
+// ============ Study ============
+// Many scans imported at once, worked through one at a time. Leaving a
+// specimen keeps its session in memory (see study.js); the batch then
+// processes and exports every aligned specimen into one folder.
+function isScanFileName(name) {
+    const extension = name.split('.').pop().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(SCAN_FORMATS, extension);
+}
+
+function getActiveSpecimen() {
+    return state.study.specimens.find(specimen => specimen.id === state.study.activeId) || null;
+}
+
+// Keep the live session on the active specimen so its status is current
+function stashActiveSpecimen() {
+    const active = getActiveSpecimen();
+    if (active && state.userModel) active.session = captureSession();
+}
+
+function markActiveSpecimen(changes) {
+    const active = getActiveSpecimen();
+    if (!active) return;
+    Object.assign(active, changes);
+    renderStudy();
+}
+
+// Scans and projects opened outside the study leave the active specimen
+function leaveStudy() {
+    if (!state.study.activeId) return;
+    stashActiveSpecimen();
+    state.study.activeId = null;
+    renderStudy();
+}
+
+// Several scans (or a folder) start or grow the study; one scan without a
+// study is a plain import as before
+function importScanFiles(files) {
+    const scans = Array.from(files).filter(file => isScanFileName(file.name));
+    const skipped = files.length - scans.length;
+    if (skipped > 0) console.log(`[Study] Skipped ${skipped} file(s) that are not scans`);
+
+    if (scans.length === 0) {
+        updateInstruction(`No scans found. Please upload scans in one of: ${Object.values(SCAN_FORMATS).join(', ')}.`);
+        return;
+    }
+    if (scans.length === 1 && state.study.specimens.length === 0) {
+        importUserScan(scans[0]);
+        return;
+    }
+
+    scans.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    const added = scans.map(createSpecimen);
+    state.study.specimens.push(...added);
+    console.log(`[Study] Added ${added.length} specimen(s), ${state.study.specimens.length} in the study`);
+
+    if (!state.study.activeId) {
+        openSpecimen(added[0].id);
+    } else {
+        renderStudy();
+        updateInstruction(`Added ${added.length} scans to the study.`);
+    }
+}
+
+async function openSpecimen(id) {
+    const specimen = state.study.specimens.find(entry => entry.id === id);
+    if (!specimen || specimen.id === state.study.activeId) return;
+
+    // Nothing is active while loading, so a failed import cannot take over
+    // the session of the scan still in the scene
+    stashActiveSpecimen();
+    state.study.activeId = null;
+
+    if (specimen.session) {
+        restoreSession(specimen.session, { keepLabelSettings: true });
+        specimen.error = null;
+    } else {
+        specimen.error = await importUserScan(specimen.file);
+    }
+    if (!specimen.error) state.study.activeId = specimen.id;
+
+    renderStudy();
+    if (!specimen.error) {
+        const index = state.study.specimens.indexOf(specimen);
+        updateInstruction(`Specimen ${index + 1} of ${state.study.specimens.length}: ${specimen.filename} (${SPECIMEN_STATUSES[specimenStatus(specimen)].toLowerCase()}).`);
+    }
+}
+
+function stepSpecimen(direction) {
+    const { specimens } = state.study;
+    if (specimens.length === 0) return;
+    const index = specimens.findIndex(specimen => specimen.id === state.study.activeId);
+    const next = specimens[Math.min(Math.max(index + direction, 0), specimens.length - 1)];
+    openSpecimen(next.id);
+}
+
+function renderStudy() {
+    const { specimens, running } = state.study;
+    document.getElementById('study-panel').classList.toggle('hidden', specimens.length === 0);
+    if (specimens.length === 0) return;
+
+    stashActiveSpecimen();
+    renderReuseSources();
+
+    const peaks = new Map(summarizeSpecimens(linkedRuns().filter(run => run.inStudy))
+        .map(row => [row.specimenId, row]));
+    const list = document.getElementById('study-list');
+    list.replaceChildren(...specimens.map(specimen => {
+        const status = specimenStatus(specimen);
+        const item = document.createElement('li');
+        const button = document.createElement('button');
+        button.className = 'study-item';
+        button.classList.toggle('active', specimen.id === state.study.activeId);
+        button.classList.toggle('warn', !!specimen.error);
+        button.disabled = running;
+        button.title = specimen.error || specimen.filename;
+        button.addEventListener('click', () => openSpecimen(specimen.id));
+
+        const name = document.createElement('span');
+        name.className = 'study-name';
+        name.textContent = specimen.filename;
+        const badge = document.createElement('span');
+        badge.className = `study-status status-${status}`;
+        badge.textContent = specimen.error ? 'Error' : SPECIMEN_STATUSES[status];
+        button.append(name, badge);
+
+        const tested = peaks.get(specimenIdFromFilename(specimen.filename));
+        if (tested) {
+            const force = document.createElement('span');
+            force.className = 'study-force';
+            force.title = `Peak retention force (${tested.runs} run${tested.runs === 1 ? '' : 's'})`;
+            force.textContent = `${tested.peakForce.toFixed(0)} N`;
+            button.append(force);
+        }
+        item.append(button);
+        return item;
+    }));
+
+    const counts = summarizeStudy(specimens);
+    document.getElementById('study-summary').textContent = `${specimens.length} specimens: ` +
+        Object.entries(counts)
+            .filter(([, count]) => count > 0)
+            .map(([status, count]) => `${count} ${SPECIMEN_STATUSES[status].toLowerCase()}`)
+            .join(', ');
+
+    const queued = batchQueue(specimens).length;
+    const batchButton = document.getElementById('btn-study-batch');
+    batchButton.disabled = running || queued === 0;
+    batchButton.querySelector('.label').textContent = running
+        ? 'Processing study...'
+        : `Process & Export Aligned (${queued})`;
+    document.getElementById('btn-study-prev').disabled = running;
+    document.getElementById('btn-study-next').disabled = running;
+}
+
+// Process and export every aligned specimen that has no export yet. Models
+// that fail the printability check are left unexported and flagged.
+async function runStudyBatch() {
+    const queue = batchQueue(state.study.specimens);
+    if (queue.length === 0 || state.study.running) return;
+
+    const folder = await pickOutputFolder();
+    if (!folder) {
+        updateInstruction('Batch cancelled.');
+        return;
+    }
+
+    state.study.running = true;
+    renderStudy();
+    console.log(`[Study] Batch: ${queue.length} specimen(s) into ${folder.name}`);
+
+    let exported = 0;
+    let cancelled = false;
+    for (const specimen of queue) {
+        await openSpecimen(specimen.id);
+        if (specimen.error) continue;
+
+        // A result that is already on screen is exported as it is
+        const { outcome, error } = state.isProcessed
+            ? { outcome: 'processed', error: null }
+            : await processAndMerge({ interactive: false });
+        if (outcome === 'cancelled') {
+            cancelled = true;
+            break;
+        }
+        if (outcome !== 'processed') {
+            specimen.error = `Processing failed: ${error}`;
+            continue;
+        }
+        if (!state.validation.passed) {
+            specimen.error = `Failed the printability check: ${state.validation.failures.join(', ')}`;
+            continue;
+        }
+
+        try {
+            const { data, header, exportedAt } = buildExportSTL();
+            const baseName = specimen.filename.replace(/\.[^.]+$/, '');
+            const filename = `${baseName}_${state.rig.variant}.stl`;
+            await folder.write(filename, data);
+            state.lastExport = { filename, header, exportedAt };
+            markActiveSpecimen({ exportedAt });
+            exported++;
+        } catch (exportError) {
+            console.error('[Study] Export failed:', exportError);
+            specimen.error = `Export failed: ${exportError.message}`;
+        }
+    }
+
+    state.study.running = false;
+    renderStudy();
+
+    const failed = queue.filter(specimen => specimen.error).length;
+    updateInstruction(`${cancelled ? 'Batch cancelled' : 'Batch finished'}: ${exported} of ${queue.length} exported to ${folder.name}` +
+        (failed > 0 ? `, ${failed} flagged (hover a specimen for the reason).` : '.'));
+}
+
+// ============ Test Results ============
+// Instron force-displacement runs, linked to specimens by the specimen ID
+// in their file name or header (see instron-results.js). Links are worked
+// out again on every render, so a study imported after the results still
+// picks them up. Results live in memory only, like the study.
+function knownSpecimenIds() {
+    const filenames = state.study.specimens.map(specimen => specimen.filename);
+    if (state.scan.filename && !state.study.activeId) filenames.push(state.scan.filename);
+    return filenames.map(specimenIdFromFilename);
+}
+
+// Runs with their specimen: { ...run, specimenId, inStudy }
+function linkedRuns() {
+    const knownIds = knownSpecimenIds();
+    const exportSuffixes = [...Object.keys(RIG_VARIANTS), 'custom', 'report'];
+    return state.results.runs.map(run => {
+        const specimenId = matchSpecimen(run.candidates, knownIds);
+        return {
+            ...run,
+            specimenId: specimenId || fallbackSpecimenId(run.candidates, exportSuffixes),
+            inStudy: !!specimenId
+        };
+    });
+}
+
+async function importTestResults(files) {
+    const csvFiles = Array.from(files).filter(file => isResultFileName(file.name));
+    if (csvFiles.length === 0) {
+        updateInstruction('No Instron CSV files found.');
+        return;
+    }
+
+    const failures = [];
+    for (const file of csvFiles) {
+        const path = file.webkitRelativePath || file.name;
+        try {
+            const curve = parseInstronCSV(await file.text());
+            const run = {
+                path,
+                ...curve,
+                ...findPeak(curve),
+                candidates: runCandidates(path, curve.metadata)
+            };
+            // Importing a run again replaces it
+            const existing = state.results.runs.findIndex(other => other.path === path);
+            if (existing >= 0) state.results.runs[existing] = run;
+            else state.results.runs.push(run);
+        } catch (error) {
+            console.warn(`[Results] Could not read ${path}:`, error);
+            failures.push(`${file.name} (${error.message})`);
+        }
+    }
+
+    const imported = csvFiles.length - failures.length;
+    const linked = linkedRuns().filter(run => run.inStudy).length;
+    console.log(`[Results] Imported ${imported} run(s), ${state.results.runs.length} in total`);
+    updateInstruction(`Imported ${imported} test run${imported === 1 ? '' : 's'}. ` +
+        `${linked} of ${state.results.runs.length} linked to a specimen.` +
+        (failures.length > 0 ? ` Could not read: ${failures.join(', ')}.` : ''));
+
+    renderStudy();
+    renderResults();
+    if (imported > 0) showResults();
+}
+
+function renderResults() {
+    const runs = linkedRuns();
+    const specimens = summarizeSpecimens(runs);
+    document.getElementById('btn-show-results').disabled = runs.length === 0;
+    document.getElementById('results-status').textContent = runs.length === 0 ? '' :
+        `${runs.length} run${runs.length === 1 ? '' : 's'} for ${specimens.length} specimen${specimens.length === 1 ? '' : 's'}`;
+
+    if (document.getElementById('results-modal').classList.contains('hidden')) return;
+
+    const groups = summarizeGroups(specimens);
+    const groupIndex = new Map(groups.map((row, index) => [row.group, index]));
+    const unlinked = runs.filter(run => !run.inStudy).length;
+    document.getElementById('results-summary').textContent =
+        `${runs.length} runs, ${specimens.length} specimens in ${groups.length} group${groups.length === 1 ? '' : 's'}.` +
+        (unlinked > 0 ? ` ${unlinked} run${unlinked === 1 ? ' does' : 's do'} not match a specimen in this session.` : '');
+
+    const fixed = (value, digits) => (value == null ? '-' : value.toFixed(digits));
+    const meanSD = ({ mean, sd }, digits) => sd == null ? fixed(mean, digits) : `${fixed(mean, digits)} ± ${fixed(sd, digits)}`;
+    const linkedIds = new Set(runs.filter(run => run.inStudy).map(run => run.specimenId));
+
+    renderTable('results-specimens', ['Specimen', 'Group', 'Runs', 'Peak force (N)', 'Displacement at peak (mm)'],
+        specimens.map(row => ({
+            cells: [row.specimenId, row.group, row.runs, fixed(row.peakForce, 1), fixed(row.displacementAtPeak, 3)],
+            title: linkedIds.has(row.specimenId) ? '' : 'Not a specimen in this session',
+            warn: !linkedIds.has(row.specimenId)
+        })));
+    renderTable('results-groups', ['Group', 'n', 'Peak force (N)', 'Displacement at peak (mm)'],
+        groups.map(row => ({
+            cells: [row.group, row.n, meanSD(row.peakForce, 1), meanSD(row.displacementAtPeak, 3)]
+        })));
+
+    drawForceCurves(document.getElementById('results-curves'),
+        runs.map(run => ({ displacement: run.displacement, force: run.force, groupIndex: groupIndex.get(specimenGroup(run.specimenId)) })),
+        groups.map(row => ({ label: row.group, groupIndex: groupIndex.get(row.group) })));
+    drawGroupBars(document.getElementById('results-bars'),
+        groups.map(row => ({ ...row, groupIndex: groupIndex.get(row.group) })));
+}
+
+function renderTable(tableId, headings, rows) {
+    const head = document.createElement('tr');
+    head.append(...headings.map(text => {
+        const cell = document.createElement('th');
+        cell.textContent = text;
+        return cell;
+    }));
+    document.getElementById(tableId).replaceChildren(head, ...rows.map(({ cells, title, warn }) => {
+        const row = document.createElement('tr');
+        row.classList.toggle('warn', !!warn);
+        if (title) row.title = title;
+        row.append(...cells.map(text => {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            return cell;
+        }));
+        return row;
+    }));
+}
+
+function showResults() {
+    document.getElementById('results-modal').classList.remove('hidden');
+    renderResults();
+}
+
+function hideResults() {
+    document.getElementById('results-modal').classList.add('hidden');
+}
+
+async function exportResults() {
+    if (state.results.runs.length === 0) return;
+
+    try {
+        const status = await saveFile(resultsToCSV(linkedRuns()), {
+            defaultName: 'test_results.csv',
+            description: 'Test results (CSV)',
+            mimeType: 'text/csv',
+            extension: 'csv'
+        });
+        if (status !== 'cancelled') {
+            console.log(`[Results] Exported ${state.results.runs.length} run(s)`);
+            updateInstruction('Test results exported.');
+        }
+    } catch (error) {
+        console.error('[Results] Export failed:', error);
+        updateInstruction(`Test results export failed: ${error.message}`);
+    }
+}
+
+function clearResults() {
+    if (!confirm(`Remove all ${state.results.runs.length} imported test runs?`)) return;
+    state.results.runs = [];
+    hideResults();
+    renderResults();
+    renderStudy();
+}
+
+// ============ Reuse From Specimen ============
+// Start a specimen from another one's model transform or filler fit. Scans
+// are centred on import, so scans from the same scanner setup land close to
+// the other specimen's pose; ICP then registers the scan onto that
+// specimen's aligned scan to take up the difference.
+let registrationRequest = 0;
+
+function getReuseSources() {
+    return state.study.specimens.filter(specimen => specimen.session && specimen.id !== state.study.activeId);
+}
+
+function getReuseSource(selectId) {
+    const id = Number(document.getElementById(selectId).value);
+    return getReuseSources().find(specimen => specimen.id === id) || null;
+}
+
+// Offer every other visited specimen, defaulting to the closest one before
+// the active specimen (the previous stage in a series)
+function renderReuseSources() {
+    const { specimens, activeId } = state.study;
+    const sources = getReuseSources();
+    const activeIndex = specimens.findIndex(specimen => specimen.id === activeId);
+    const preceding = sources.filter(specimen => specimens.indexOf(specimen) < activeIndex);
+    const fallback = preceding.length > 0 ? preceding[preceding.length - 1] : sources[0];
+
+    [['reuse-model', 'reuse-model-source', 'btn-reuse-model'], ['reuse-filler', 'reuse-filler-source', 'btn-reuse-filler']]
+        .forEach(([panelId, selectId, buttonId]) => {
+            document.getElementById(panelId).classList.toggle('hidden', specimens.length < 2);
+            const select = document.getElementById(selectId);
+            const previous = select.value;
+            select.replaceChildren(...(sources.length > 0
+                ? sources.map(specimen => new Option(specimen.filename, specimen.id))
+                : [new Option('No other specimen opened yet', '')]));
+            select.value = sources.some(specimen => String(specimen.id) === previous) ? previous : (fallback ? String(fallback.id) : '');
+            select.disabled = sources.length === 0;
+            document.getElementById(buttonId).disabled = sources.length === 0;
+        });
+}
+
+async function reuseModelTransform() {
+    const source = getReuseSource('reuse-model-source');
+    if (!source || !state.userModel || state.isProcessed) return;
+
+    applySnapshot(snapshotFromAlignment({ model: source.session.alignment.model, filler: null }));
+    commitHistory(`Transform from ${source.filename}`);
+    if (showClosurePreview) checkScanClosure();
+    console.log(`[Reuse] Applied the model transform from ${source.filename}`);
+
+    if (document.getElementById('reuse-icp').checked) {
+        await registerOntoSpecimen(source);
+    } else {
+        updateInstruction(`Applied the transform from ${source.filename}. Fine-tune with Move/Rotate if needed.`);
+    }
+}
+
+// World-space vertex positions of a geometry under `matrix`
+function worldPositions(geometry, matrix) {
+    const position = geometry.attributes.position;
+    const positions = new Float32Array(position.count * 3);
+    const vertex = new THREE.Vector3();
+    for (let i = 0; i < position.count; i++) {
+        vertex.fromBufferAttribute(position, i).applyMatrix4(matrix);
+        positions[i * 3] = vertex.x;
+        positions[i * 3 + 1] = vertex.y;
+        positions[i * 3 + 2] = vertex.z;
+    }
+    return positions;
+}
+
+// Register the scan onto the source specimen's scan at its aligned pose
+async function registerOntoSpecimen(source) {
+    const request = ++registrationRequest;
+    const model = state.userModel;
+    updateInstruction(`Registering onto ${source.filename}...`);
+
+    model.updateMatrixWorld(true);
+    const sourcePose = snapshotFromAlignment({ model: source.session.alignment.model, filler: null });
+    const sourceMatrix = new THREE.Matrix4().compose(
+        sourcePose.modelPosition,
+        new THREE.Quaternion().setFromEuler(sourcePose.modelRotation),
+        new THREE.Vector3(1, 1, 1)
+    );
+    const moving = worldPositions(model.geometry, model.matrixWorld);
+    const fixed = worldPositions(source.session.scan.geometry, sourceMatrix);
+
+    let result;
+    try {
+        result = await analysisWorker.run('register', { moving, fixed }, { transfer: [moving.buffer, fixed.buffer] });
+    } catch (error) {
+        if (request !== registrationRequest || error.cancelled) return;
+        console.error('[Reuse] Registration failed:', error);
+        updateInstruction(`Registration failed: ${error.message} The transform from ${source.filename} is kept.`);
+        return;
+    }
+    if (request !== registrationRequest || state.userModel !== model || state.isProcessed) return;
+
+    // The correction is in world space and the scan sits directly in the scene
+    const pose = new THREE.Matrix4().fromArray(result.matrix).multiply(model.matrix);
+    pose.decompose(model.position, model.quaternion, new THREE.Vector3());
+    syncModelSlidersFromMesh();
+    commitHistory(`Register onto ${source.filename}`);
+    if (showClosurePreview) checkScanClosure();
+    if (showUndercutMap) checkUndercuts();
+
+    console.log(`[Reuse] Registered onto ${source.filename} in ${result.iterations} steps, ` +
+        `${(result.overlap * 100).toFixed(0)}% overlap, ±${result.rms.toFixed(3)} mm`);
+    updateInstruction(`Registered onto ${source.filename}: ${(result.overlap * 100).toFixed(0)}% of the scan matched, ` +
+        `±${result.rms.toFixed(2)} mm. Check the fit and fine-tune if needed.`);
+}
+
+function reuseFillerFit() {
+    const source = getReuseSource('reuse-filler-source');
+    if (!source || state.isProcessed || !source.session.alignment.filler) return;
+
+    applySnapshot(snapshotFromAlignment({ model: null, filler: source.session.alignment.filler }));
+    commitHistory(`Filler fit from ${source.filename}`);
+    renderStudy();
+    console.log(`[Reuse] Applied the filler fit from ${source.filename}`);
+    updateInstruction(`Applied the filler fit from ${source.filename}.`);
+}
+
+// ============ Specimen Label ============
+// Specimen ID engraved into or embossed on the result as the last Boolean
+// (see specimen-label.js). The text defaults to the scan's file name and is
+// kept per specimen; mode, surface, size and depth apply to every specimen.
+// Projects save both, opening one brings back its settings.
+const LABEL_PREVIEW_MATERIALS = {
+    engrave: new THREE.MeshStandardMaterial({ color: 0xE4002B, transparent: true, opacity: 0.6, depthWrite: false }),
+    emboss: new THREE.MeshStandardMaterial({ color: 0xFFD100, roughness: 0.5 })
+};
+// Number fields of the label panel and the setting each one edits
+const LABEL_NUMBER_INPUTS = [['label-size', 'size'], ['label-depth', 'depth'], ['label-offset-x', 'offsetX'], ['label-offset-z', 'offsetZ']];
+let labelFont = null; // Promise of the parsed font, fetched on first use
+
+async function fetchLabelFontJSON(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+}
+
+// The copy bundled with the desktop app, else the CDN (web and dev server)
+function loadLabelFont() {
+    if (!labelFont) {
+        labelFont = fetchLabelFontJSON(LABEL_FONT_PATH)
+            .catch(() => fetchLabelFontJSON(LABEL_FONT_URL))
+            .then(parseLabelFont)
+            .catch(error => {
+                labelFont = null; // Try again next time
+                throw new Error(`Could not load the label font (${error.message}).`);
+            });
+    }
+    return labelFont;
+}
+
+function getLabelText() {
+    if (state.label.text !== null) return labelText(state.label.text);
+    return labelText((state.scan.filename || '').replace(/\.[^.]+$/, ''));
+}
+
+// Labels on the base underside are always engraved
+function getLabelMode() {
+    const { mode, surface } = state.label.settings;
+    return mode === 'emboss' && surface === 'base' ? 'engrave' : mode;
+}
+
+// World-space text solid at the current filler fit, or null
+async function buildLabel() {
+    if (state.label.settings.mode === 'off' || !getLabelText()) return null;
+    const font = await loadLabelFont();
+    return buildLabelGeometry(font, getLabelText(), { ...state.label.settings, mode: getLabelMode() }, {
+        filler: state.rig.fillerTransform,
+        baseTrim: state.rig.baseTrim
+    });
+}
+
+let labelRequest = 0;
+
+async function updateLabelPreview() {
+    const request = ++labelRequest;
+    let geometry = null;
+    if (state.userModel && !state.isProcessed) {
+        try {
+            geometry = await buildLabel();
+        } catch (error) {
+            console.warn('[Label]', error);
+            if (request === labelRequest) document.getElementById('label-status').textContent = error.message;
+            return;
+        }
+    }
+    if (request !== labelRequest) {
+        geometry?.dispose();
+        return;
+    }
+
+    if (state.label.preview) {
+        scene.remove(state.label.preview);
+        state.label.preview.geometry.dispose();
+        state.label.preview = null;
+    }
+    if (geometry) {
+        state.label.preview = new THREE.Mesh(geometry, LABEL_PREVIEW_MATERIALS[getLabelMode()]);
+        state.label.preview.name = 'LabelPreview';
+        scene.add(state.label.preview);
+    }
+    renderLabelStatus();
+}
+
+function renderLabelStatus() {
+    const { mode, surface } = state.label.settings;
+    const text = getLabelText();
+    const status = document.getElementById('label-status');
+    if (mode === 'off') {
+        status.textContent = '';
+    } else if (!text) {
+        status.textContent = 'Type a specimen ID to label the model.';
+    } else {
+        status.textContent = `"${text}" will be ${getLabelMode() === 'emboss' ? 'embossed on' : 'engraved into'} the ` +
+            `${LABEL_SURFACES[surface].toLowerCase()}` +
+            (mode === 'emboss' && surface === 'base' ? ' (raised text would keep the base off the plate).' : '.');
+    }
+}
+
+// Sync the controls with the label state (after a new scan or specimen)
+function renderLabelControls() {
+    const { settings } = state.label;
+    const input = document.getElementById('label-text');
+    input.value = state.label.text ?? '';
+    input.placeholder = labelText((state.scan.filename || 'Specimen ID').replace(/\.[^.]+$/, ''));
+    document.querySelectorAll('[data-label-mode]').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.labelMode === settings.mode);
+    });
+    document.getElementById('label-surface').value = settings.surface;
+    LABEL_NUMBER_INPUTS.forEach(([id, key]) => {
+        document.getElementById(id).value = settings[key];
+    });
+    updateLabelPreview();
+}
+
+function setLabelSetting(key, value) {
+    if (key === 'mode' && !LABEL_MODES[value]) return;
+    if (key === 'surface' && !LABEL_SURFACES[value]) return;
+    if (LABEL_LIMITS[key]) {
+        const { min, max } = LABEL_LIMITS[key];
+        value = Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : LABEL_DEFAULTS[key];
+    } else if (key === 'offsetX' || key === 'offsetZ') {
+        value = Number.isFinite(value) ? value : 0;
+    }
+    state.label.settings[key] = value;
+    renderLabelControls();
+    scheduleAutosave();
+}
+
+// ============ Boolean Operations ============
+// Bake a mesh's world transform into a packed copy of its geometry for the worker
+function bakeForWorker(mesh) {
+    const geometry = mesh.geometry.clone();
+    geometry.applyMatrix4(mesh.matrixWorld);
+    return packGeometry(geometry);
+}
+
+// Describe the Boolean chain: the model, then every rig part with a Boolean
+// operation in role order (by default + filler, - base-trim, - every screw)
+async function buildCSGJob() {
+    const base = { name: 'UserModel', geometry: bakeForWorker(state.userModel) };
+    const closure = isClosureEnabled() ? { floorY: getClosureFloorY() } : null;
+    const blockout = buildBlockoutJob();
+    const { operations, validation } = buildRigOperations(state.rig.root, bakeForWorker);
+
+    // The specimen ID goes on last, after the base has been trimmed flat
+    const labelGeometry = await buildLabel();
+    const label = labelOperation(labelGeometry && packGeometry(labelGeometry), { ...state.label.settings, mode: getLabelMode() });
+    if (label) operations.push(label);
+
+    return { base, closure, blockout, operations, validation };
+}
+
+// Resolves to { outcome: 'processed' | 'cancelled' | 'failed' | 'skipped', error }.
+// The study batch runs without `interactive`: nobody is there to answer the
+// mesh health question, so processing goes ahead and failures are reported.
+async function processAndMerge({ interactive = true } = {}) {
+    if (!state.userModel) {
+        updateInstruction('Please import a model first.');
+        return { outcome: 'skipped', error: 'No scan loaded' };
+    }
+
+    // A bad mesh can fail minutes into the Booleans, offer to repair it first
+    // (holes are left out when scan closing will patch them anyway)
+    if (state.scan.health) {
+        const issues = describeHealthIssues({
+            ...state.scan.health,
+            holes: isClosureEnabled() ? 0 : state.scan.health.holes
+        });
+        if (issues.length > 0 && !interactive) {
+            console.warn(`[CSG] Processing ${state.scan.filename} despite mesh health issues:`, issues);
+        } else if (issues.length > 0 && !confirm(`The mesh health check found:\n- ${issues.join('\n- ')}\n\nThe Boolean operations may fail or produce a broken model. Process anyway?`)) {
+            updateInstruction('Processing skipped. Use the repair actions under Mesh Health in Step 1.');
+            return { outcome: 'skipped', error: 'Mesh health issues' };
+        }
+    }
+
+    // The label font is fetched on first use. Without it the label cannot be
+    // cut, so stop here rather than partway through the Booleans.
+    if (state.label.settings.mode !== 'off' && getLabelText()) {
+        try {
+            await loadLabelFont();
+        } catch (error) {
+            console.error('[Label]', error);
+            updateInstruction(`${error.message} Turn the specimen label off, or try again once online.`);
+            return { outcome: 'failed', error: error.message };
+        }
+    }
+
+    // Disable the process button immediately to prevent double-clicks
+    const processBtn = document.getElementById('btn-process');
+    if (processBtn) {
+        processBtn.disabled = true;
+        processBtn.style.opacity = '0.5';
+    }
+
+    // Show the liquid glass processing overlay
+    showProcessing('Preparing mesh data...');
+
+    return doProcessAndMerge();
+}
+
+async function doProcessAndMerge() {
+    const startTime = performance.now();
+    console.log('[CSG] Starting Boolean operations...');
+
+    try {
+        // CRITICAL: Update all matrix world transforms before reading them
+        console.log('[CSG] Updating matrix world for all meshes...');
+        state.userModel.updateMatrixWorld(true);
+        if (state.rig.fillerTransform) state.rig.fillerTransform.updateMatrixWorld(true);
+        if (state.rig.baseTrim) state.rig.baseTrim.updateMatrixWorld(true);
+        state.rig.screwMeshes.forEach(mesh => mesh.updateMatrixWorld(true));
+
+        // Debug: Log current transforms
+        console.log('[CSG] User model position:', state.userModel.position.toArray());
+        console.log('[CSG] User model rotation:', state.userModel.rotation.toArray().map(r => (r * 180 / Math.PI).toFixed(1) + '°'));
+        console.log('[CSG] User model scale:', state.userModel.scale.toArray());
+        if (state.rig.fillerTransform) {
+            console.log('[CSG] Filler position:', state.rig.fillerTransform.position.toArray());
+            console.log('[CSG] Filler scale:', state.rig.fillerTransform.scale.toArray());
         }
 
-        // Step 4: SUBTRACT - Remove all screw holes from merged result
-        console.log(`[CSG] Step 4: SUBTRACT - Removing ${state.rig.screwMeshes.length} screw holes...`);
-        for (let i = 0; i < state.rig.screwMeshes.length; i++) {
-            const screwMesh = state.rig.screwMeshes[i];
-            if (screwMesh?.geometry) {
-                console.log(`[CSG] Subtracting screw ${i + 1}/${state.rig.screwMeshes.length}: ${screwMesh.name}`);
-                const screwGeo = prepareGeometryForCSG(screwMesh.geometry, screwMesh.name);
-                if (screwGeo) {
-                    // BAKE transform into geometry
-                    screwGeo.applyMatrix4(screwMesh.matrixWorld);
-                    const screwBrush = new Brush(screwGeo);
-                    resultBrush = csgEvaluator.evaluate(resultBrush, screwBrush, SUBTRACTION);
-                }
-            }
-        }
-        console.log('[CSG] All screw SUBTRACTIONS complete');
+        // CRITICAL: Transforms are BAKED into the geometry vertices, not applied to Brushes
+        const job = await buildCSGJob();
+        const labelled = job.operations.some(step => step.name === 'SpecimenLabel');
+        const settings = {
+            closedScan: !!job.closure,
+            blockout: job.blockout
+                ? { residualDepth: job.blockout.residualDepth, residualTeeth: job.blockout.residualSites.length }
+                : null,
+            label: labelled
+                ? { text: getLabelText(), mode: getLabelMode(), surface: state.label.settings.surface }
+                : null
+        };
+        const transfer = transferList(job.base.geometry, ...job.operations.map(step => step.geometry));
+        console.log(`[CSG] Sending ${job.operations.length} operations to the processing worker`);
+
+        const { geometry, validation } = await processingWorker.run('process', job, {
+            transfer,
+            onProgress: setProcessingProgress
+        });
 
         console.log('[CSG] All Boolean operations complete, updating mesh...');
+        const cleanedGeometry = unpackGeometry(THREE, geometry);
 
-        // Mesh cleanup Step 1: Merge duplicate vertices to fix non-manifold edges
-        // This welds vertices that are at the same position (within tolerance)
-        let cleanedGeometry = BufferGeometryUtils.mergeVertices(resultBrush.geometry, 0.0001);
-        console.log('[CSG] Merged duplicate vertices for mesh cleanup');
-
-        // Mesh cleanup Step 2: Recompute normals for proper lighting
-        cleanedGeometry.computeVertexNormals();
-        console.log('[CSG] Vertex normals recomputed for mesh cleanup');
+        if (cleanedGeometry.attributes.position.count === 0) {
+            const hint = state.scan.boundaryLoops > 0 && !isClosureEnabled()
+                ? ' The scan is open - enable "Close open scan before processing".'
+                : ' Check that the scan overlaps the rig.';
+            throw new Error(`Resulting model is empty.${hint}`);
+        }
 
-        // Update the displayed model with final result
-        state.userModel.geometry.dispose();
-        state.userModel.geometry = cleanedGeometry;
-        state.userModel.position.set(0, 0, 0);
-        state.userModel.rotation.set(0, 0, 0);
-        state.userModel.updateMatrix();
+        // Show the result as a separate mesh (vertices are already in world space)
+        // The original scan and its transform stay untouched on state.userModel
+        if (state.processedModel) {
+            scene.remove(state.processedModel);
+            state.processedModel.geometry.dispose();
+        }
+        state.processedModel = new THREE.Mesh(cleanedGeometry, state.materials.model);
+        state.processedModel.name = 'ProcessedModel';
+        scene.add(state.processedModel);
+        state.validation = validation;
+        showValidation(validation);
+        console.log('[Validate] Result:', validation);
+        state.userModel.visible = false;
 
         // Hide filler since it's now merged into the model
         if (state.rig.fillerTransform) {
@@ -1008,6 +3308,7 @@ function doProcessAndMerge() {
         }
 
         // Hide trim helpers after processing
+        hideClosurePreview();
         if (state.rig.baseTrim) state.rig.baseTrim.visible = false;
         state.rig.screwMeshes.forEach(mesh => mesh.visible = false);
 
@@ -1019,8 +3320,8 @@ function doProcessAndMerge() {
         transformControls.detach();
         transformControls.enabled = false; // Disable the control itself
 
-        // Disable UI buttons
-        document.querySelectorAll('.mode-btn').forEach(btn => {
+        // Disable UI buttons (the section plane stays usable on the result)
+        document.querySelectorAll('.mode-btn:not(.section-btn)').forEach(btn => {
             btn.classList.remove('active');
             btn.disabled = true;
             btn.style.opacity = '0.5';
@@ -1028,13 +3329,18 @@ function doProcessAndMerge() {
         });
 
         state.isProcessed = true;
+        updateLabelPreview();
+        renderHistory();
 
         const elapsed = (performance.now() - startTime).toFixed(0);
         document.getElementById('processing-time').textContent = `Processed in ${elapsed}ms`;
         console.log(`[CSG] Processing complete in ${elapsed}ms`);
+        state.processing = { timeMs: Number(elapsed), ...settings };
+        state.lastExport = null;
 
-        // Enable export button
+        // Enable export buttons
         document.getElementById('btn-export').disabled = false;
+        document.getElementById('btn-export-report').disabled = false;
 
         // DISABLE all sliders and controls after processing
         setModelSlidersEnabled(false);
@@ -1060,35 +3366,97 @@ function doProcessAndMerge() {
             btnBack.style.opacity = '0.5';
         }
 
-        // Convert Upload STL to Reset button
-        const uploadLabel = document.querySelector('label.upload-btn');
-        if (uploadLabel) {
-            uploadLabel.innerHTML = '<span class="icon">🔄</span> Reset';
-            uploadLabel.style.cursor = 'pointer';
-            // Remove file input behavior, add reset behavior
-            const fileInput = document.getElementById('stl-upload');
-            if (fileInput) fileInput.disabled = true;
-            uploadLabel.onclick = (e) => {
-                e.preventDefault();
-                window.location.reload();
-            };
-        }
+        // Allow going back to alignment/filler fitting
+        document.getElementById('btn-unprocess').disabled = false;
 
-        updateInstruction('Processing complete! Click Export STL to download. Use Reset to start over.');
+        updateInstruction(validation.passed
+            ? 'Processing complete! Click Export STL to download, or go back to adjust and reprocess.'
+            : `Processing complete, but the model failed validation: ${validation.failures.join(', ')}. Go back to adjust and reprocess.`);
 
         // Hide the processing overlay
         hideProcessing();
+        markActiveSpecimen({ processedAt: new Date().toISOString(), error: null });
+        return { outcome: 'processed', error: null };
 
     } catch (error) {
-        console.error('[CSG] Boolean operation failed:', error);
-        console.error('[CSG] Error stack:', error.stack);
-        updateInstruction(`Boolean failed: ${error.message}. Check console.`);
+        let outcome = 'failed';
+        if (error.cancelled) {
+            outcome = 'cancelled';
+            console.log('[CSG] Processing cancelled by user');
+            updateInstruction('Processing cancelled.');
+        } else {
+            console.error('[CSG] Boolean operation failed:', error);
+            console.error('[CSG] Error stack:', error.stack);
+            updateInstruction(`Boolean failed: ${error.message}. Check console.`);
+        }
+
+        // Let the user adjust and try again
+        const processBtn = document.getElementById('btn-process');
+        processBtn.disabled = false;
+        processBtn.style.opacity = '1';
 
         // Hide the processing overlay on error too
         hideProcessing();
+        return { outcome, error: error.message };
     }
 }
 
+// Discard the processed result and return to the editing step we came from
+function unprocess() {
+    if (!state.isProcessed) return;
+
+    if (state.processedModel) {
+        scene.remove(state.processedModel);
+        state.processedModel.geometry.dispose();
+        state.processedModel = null;
+    }
+
+    // Bring back the original scan and rig helpers
+    if (state.userModel) state.userModel.visible = true;
+    if (state.rig.fillerTransform) state.rig.fillerTransform.visible = true;
+    if (state.rig.baseTrim) state.rig.baseTrim.visible = true;
+    state.rig.screwMeshes.forEach(mesh => mesh.visible = true);
+    if (state.rig.guide2mm) state.rig.guide2mm.visible = true;
+    if (state.rig.hooks) state.rig.hooks.visible = true;
+
+    // Unlock transform controls and mode buttons
+    transformControls.enabled = true;
+    document.querySelectorAll('.mode-btn:not(.section-btn)').forEach(btn => {
+        btn.disabled = false;
+        btn.style.opacity = '';
+        btn.style.cursor = '';
+    });
+    setTransformMode(currentTransformMode);
+
+    state.isProcessed = false;
+    updateLabelPreview();
+    renderHistory();
+    state.validation = null;
+    state.processing = null;
+    state.lastExport = null;
+    showValidation(null);
+
+    const processBtn = document.getElementById('btn-process');
+    processBtn.disabled = false;
+    processBtn.style.opacity = '1';
+    document.getElementById('btn-export').disabled = true;
+    document.getElementById('btn-export-report').disabled = true;
+    document.getElementById('btn-unprocess').disabled = true;
+    document.getElementById('processing-time').textContent = '';
+    if (showClosurePreview) checkScanClosure();
+
+    // Re-enable steps 2-4 and restore the edit target's sliders/buttons
+    enableStep(4);
+    if (currentEditTarget === 'filler') {
+        enterFillerEditing();
+    } else {
+        enterModelEditing();
+    }
+
+    updateInstruction('Back to editing. Adjust the alignment and run Process & Merge again.');
+    console.log('[CSG] Processed result discarded, original scan restored');
+}
+
 // [TEST HELPER] Load internal sample model for debugging
 window.loadSampleModel = function () {
     console.log('[Debug] Loading sample model...');
@@ -1133,7 +3501,45 @@ window.loadSampleModel = function () {
     }
 };
 
-// ============ Export STL ============
+// ============ Output Validation ============
+// Show the worker's printability check (see mesh-validation.js) in Finalize
+function showValidation(validation) {
+    const panel = document.getElementById('validation-summary');
+    const list = document.getElementById('validation-list');
+    const verdict = document.getElementById('validation-verdict');
+
+    panel.classList.toggle('hidden', !validation);
+    list.innerHTML = '';
+    if (!validation) return;
+
+    verdict.textContent = validation.passed ? '✓ Ready to print' : '✗ Not printable';
+    verdict.classList.toggle('fail', !validation.passed);
+
+    const [x, y, z] = validation.size;
+    const rows = [
+        ['Watertight', validation.openEdges === 0 && validation.nonManifoldEdges === 0,
+            validation.openEdges === 0 && validation.nonManifoldEdges === 0
+                ? 'Closed 2-manifold'
+                : `${validation.openEdges} open, ${validation.nonManifoldEdges} non-manifold edges`],
+        ['Volume', validation.volume > 0, `${(validation.volume / 1000).toFixed(2)} cm³`],
+        ['Size', true, `${x.toFixed(1)} × ${y.toFixed(1)} × ${z.toFixed(1)} mm`],
+        ...validation.screws.map(({ name, status }) => [
+            name,
+            status === 'cut',
+            { cut: 'Hole cut', 'not-cut': 'Not cut', outside: 'Misses model' }[status]
+        ])
+    ];
+
+    rows.forEach(([label, ok, text]) => {
+        const term = document.createElement('dt');
+        term.textContent = label;
+        const value = document.createElement('dd');
+        value.textContent = text;
+        value.classList.toggle('fail', !ok);
+        list.append(term, value);
+    });
+}
+
 // ============ Export STL ============
 async function exportSTL() {
     if (!state.userModel) {
@@ -1142,7 +3548,7 @@ async function exportSTL() {
         return;
     }
 
-    if (!state.isProcessed) {
+    if (!state.isProcessed || !state.processedModel) {
         updateInstruction('Please run Process & Merge before exporting.');
         console.warn('[Export] Model not processed yet');
         return;
@@ -1152,13 +3558,13 @@ async function exportSTL() {
     console.log('[Export] Starting export...');
 
     // Validation
-    if (!state.userModel.geometry) {
+    if (!state.processedModel.geometry) {
         console.error('[Export] Model has no geometry!');
         updateInstruction('Export error: Model has no geometry. Try processing again.');
         return;
     }
 
-    const posAttr = state.userModel.geometry.getAttribute('position');
+    const posAttr = state.processedModel.geometry.getAttribute('position');
     if (!posAttr || posAttr.count === 0) {
         console.error('[Export] Geometry has no vertices!');
         updateInstruction('Export error: Resulting model is empty.');
@@ -1167,150 +3573,301 @@ async function exportSTL() {
 
     console.log('[Export] Geometry vertex count:', posAttr.count);
 
+    // A failed check means a broken print: make exporting anyway a deliberate choice
+    if (state.validation && !state.validation.passed) {
+        const proceed = confirm(`This model failed the printability check:\n- ${state.validation.failures.join('\n- ')}\n\nExport anyway?`);
+        if (!proceed) {
+            updateInstruction('Export cancelled. Go back to editing to fix the model.');
+            return;
+        }
+        console.warn('[Export] Exporting a model that failed validation');
+    }
+
     try {
-        // Ensure matrix world is up to date
-        state.userModel.updateMatrixWorld(true);
+        const { data, header, exportedAt } = buildExportSTL();
+
+        // Named like batch exports so test results can be linked back by specimen ID
+        const baseName = (state.scan.filename || 'specimen').replace(/\.[^.]+$/, '');
+        const defaultName = `${baseName}_${state.rig.variant}.stl`;
+
+        const status = await saveFile(data, {
+            defaultName,
+            description: 'Stereolithography File',
+            mimeType: 'model/stl',
+            extension: 'stl'
+        });
+
+        if (status !== 'cancelled') {
+            state.lastExport = { filename: defaultName, header, exportedAt };
+            markActiveSpecimen({ exportedAt });
+        }
 
-        console.log('[Export] Parsing geometry to STL format (Binary)...');
-
-        // Create a clone of the geometry and bake the world transform into it
-        // This ensures all rotations/translations are applied to the vertices
-        const exportGeometry = state.userModel.geometry.clone();
-        exportGeometry.applyMatrix4(state.userModel.matrixWorld);
-
-        // Apply additional rotation to fix orientation for external apps
-        // The geometry has -90° X baked in from processing, so we add +90° to get it flat
-        const rotationMatrix = new THREE.Matrix4().makeRotationX(THREE.MathUtils.degToRad(90));
-        exportGeometry.applyMatrix4(rotationMatrix);
-        console.log('[Export] Applied +90° X rotation to exported geometry');
-
-        // Create a temporary mesh with identity transform for export
-        const exportMesh = new THREE.Mesh(exportGeometry, state.userModel.material);
-
-        const options = { binary: true };
-        const result = stlExporter.parse(exportMesh, options);
-
-        // Check result type
-        let blob;
-        if (result instanceof DataView) {
-            blob = new Blob([result], { type: 'application/octet-stream' });
-        } else if (result instanceof ArrayBuffer) {
-            blob = new Blob([result], { type: 'application/octet-stream' });
-        } else if (typeof result === 'string') {
-            blob = new Blob([result], { type: 'text/plain' });
+        if (status === 'saved') {
+            updateInstruction('STL saved successfully!');
+        } else if (status === 'downloaded') {
+            updateInstruction('STL exported successfully!');
         } else {
-            console.warn('[Export] Unknown result type:', result);
-            blob = new Blob([result], { type: 'application/octet-stream' });
+            updateInstruction('Export cancelled.');
         }
+        console.log(`[Export] Export finished: ${status}`);
+
+    } catch (error) {
+        console.error('[Export] Export failed:', error);
+        console.error('[Export] Error stack:', error.stack);
+        updateInstruction(`Export failed: ${error.message}. Check console.`);
+    }
+}
+
+// Binary STL of the processed model, flat for slicers, with the rig in its header.
+// Returns { data, header, exportedAt }.
+function buildExportSTL() {
+    console.log('[Export] Parsing geometry to STL format (Binary)...');
+
+    // The result's vertices are baked into world space, its mesh is never moved
+    const exportedAt = new Date().toISOString();
+    const header = specimenStlHeader({ exportedAt, rig: describeRig() });
+    const data = buildSpecimenSTL(state.processedModel.geometry, header);
+    console.log('[Export] STL data size:', data.byteLength);
+
+    return { data, header, exportedAt };
+}
+
+// Rig variant as written into exports
+function describeRig() {
+    return state.rig.variant === 'custom' ? `custom:${state.rig.template.label}` : state.rig.variant;
+}
+
+// ============ Specimen Report ============
+// JSON + PDF record of the processed specimen, exported next to the STL.
+// Views are rendered on their own layer so only the result and the lights
+// show, without clipping, overlays or the gizmo.
+const REPORT_LAYER = 1;
+const REPORT_VIEWS = [
+    { label: 'Front', direction: [0, 0, 1], up: [0, 1, 0] },
+    { label: 'Top', direction: [0, 1, 0], up: [0, 0, -1] },
+    { label: 'Left', direction: [1, 0, 0], up: [0, 1, 0] },
+    { label: 'Oblique', direction: [1, 1, 1], up: [0, 1, 0] }
+];
+[ambientLight, directionalLight, fillLight].forEach(light => light.layers.enable(REPORT_LAYER));
+
+function renderReportViews() {
+    const mesh = state.processedModel;
+    mesh.layers.enable(REPORT_LAYER);
+
+    const sphere = new THREE.Box3().setFromObject(mesh).getBoundingSphere(new THREE.Sphere());
+    const size = renderer.getSize(new THREE.Vector2());
+    const aspect = size.x / size.y;
+    const radius = sphere.radius * 1.1;
+    const reportCamera = new THREE.OrthographicCamera(-radius * aspect, radius * aspect, radius, -radius, 0.1, radius * 4);
+    reportCamera.layers.set(REPORT_LAYER);
+
+    const clipping = renderer.localClippingEnabled;
+    renderer.localClippingEnabled = false;
+    try {
+        // Read each frame back before the browser clears the canvas
+        return REPORT_VIEWS.map(view => {
+            const direction = new THREE.Vector3().fromArray(view.direction).normalize();
+            reportCamera.position.copy(sphere.center).addScaledVector(direction, radius * 2);
+            reportCamera.up.fromArray(view.up);
+            reportCamera.lookAt(sphere.center);
+            reportCamera.updateMatrixWorld();
+            renderer.render(scene, reportCamera);
+            return { label: view.label, dataUrl: canvas.toDataURL('image/png'), aspect };
+        });
+    } finally {
+        renderer.localClippingEnabled = clipping;
+        mesh.layers.disable(REPORT_LAYER);
+    }
+}
+
+async function exportReport() {
+    if (!state.isProcessed || !state.processedModel) {
+        updateInstruction('Please run Process & Merge before exporting a report.');
+        return;
+    }
+
+    updateInstruction('Generating specimen report...');
 
-        console.log('[Export] Blob created, size:', blob.size);
-        if (blob.size === 0) {
-            throw new Error('Generated STL file is empty (0 bytes)');
+    try {
+        const geometry = state.processedModel.geometry;
+        const report = buildReport({
+            source: state.scan,
+            rig: describeRig(),
+            alignment: captureAlignment(),
+            processing: state.processing,
+            output: {
+                triangles: (geometry.index ? geometry.index.count : geometry.attributes.position.count) / 3,
+                validation: state.validation
+            },
+            exported: state.lastExport,
+            measurements: state.userModel ? evaluateMeasurements()
+                .filter(row => Number.isFinite(row.value))
+                .map(row => ({
+                    ...row,
+                    label: row.plane ? `${row.label} above ${MEASUREMENT_PLANES[row.plane]}` : row.label
+                })) : []
+        });
+        const views = renderReportViews();
+
+        const baseName = (state.scan.filename || 'specimen').replace(/\.[^.]+$/, '');
+        const jsonStatus = await saveFile(JSON.stringify(report, null, 2), {
+            defaultName: `${baseName}_report.json`,
+            description: 'Specimen Report',
+            mimeType: 'application/json',
+            extension: 'json'
+        });
+        if (jsonStatus === 'cancelled') {
+            updateInstruction('Report export cancelled.');
+            return;
         }
 
-        const defaultName = `maryland_rig_export_${new Date().getTime()}.stl`;
+        const pdf = await reportToPDF(report, views);
+        const pdfStatus = await saveFile(pdf, {
+            defaultName: `${baseName}_report.pdf`,
+            description: 'Specimen Report (PDF)',
+            mimeType: 'application/pdf',
+            extension: 'pdf'
+        });
 
-        // Check for Tauri environment
-        if (window.__TAURI__) {
-            try {
-                const { dialog, fs, path } = window.__TAURI__;
-
-                // Open save dialog
-                const filePath = await dialog.save({
-                    defaultPath: defaultName,
-                    filters: [{
-                        name: 'STL Model',
-                        extensions: ['stl']
-                    }]
-                });
-
-                if (filePath) {
-                    // Convert Blob/Buffer to Uint8Array/Array for writing
-                    let binaryData;
-                    if (result instanceof ArrayBuffer) {
-                        binaryData = new Uint8Array(result);
-                    } else if (result instanceof DataView) {
-                        binaryData = new Uint8Array(result.buffer);
-                    } else {
-                        // Text to binary
-                        const encoder = new TextEncoder();
-                        binaryData = encoder.encode(result);
-                    }
+        updateInstruction(pdfStatus === 'cancelled'
+            ? 'Report JSON saved, PDF cancelled.'
+            : 'Specimen report exported (JSON and PDF).');
+        console.log(`[Report] Export finished: json ${jsonStatus}, pdf ${pdfStatus}`);
+    } catch (error) {
+        console.error('[Report] Export failed:', error);
+        updateInstruction(`Report export failed: ${error.message}`);
+    }
+}
 
-                    // Write file
-                    await fs.writeBinaryFile(filePath, binaryData);
+// ============ File Saving ============
+// Save data with the best available API: Tauri save dialog, File System
+// Access API, then a prompted download as fallback.
+// Returns 'saved', 'downloaded' or 'cancelled'.
+async function saveFile(data, { defaultName, description, mimeType, extension }) {
+    const blob = new Blob([data], { type: mimeType });
 
-                    updateInstruction('STL saved successfully!');
-                    console.log('[Export] File saved via Tauri API to:', filePath);
-                    return;
-                } else {
-                    updateInstruction('Export cancelled.');
-                    return;
-                }
-            } catch (tauriErr) {
-                console.error('[Export] Tauri export failed:', tauriErr);
-                // Fallthrough to standard web export if Tauri fails (unlikely if permissions correct)
-            }
+    // Check for Tauri environment
+    if (window.__TAURI__) {
+        try {
+            const { dialog, fs } = window.__TAURI__;
+
+            // Open save dialog
+            const filePath = await dialog.save({
+                defaultPath: defaultName,
+                filters: [{
+                    name: description,
+                    extensions: [extension]
+                }]
+            });
+
+            if (!filePath) return 'cancelled';
+
+            await fs.writeBinaryFile(filePath, toBinary(data));
+            console.log('[Save] File saved via Tauri API to:', filePath);
+            return 'saved';
+        } catch (tauriErr) {
+            console.error('[Save] Tauri save failed:', tauriErr);
+            // Fallthrough to standard web save if Tauri fails (unlikely if permissions correct)
         }
+    }
 
-        // Modern "Save As" - File System Access API
-        if (window.showSaveFilePicker) {
-            try {
-                const handle = await window.showSaveFilePicker({
-                    suggestedName: defaultName,
-                    types: [{
-                        description: 'Stereolithography File',
-                        accept: { 'model/stl': ['.stl'] },
-                    }],
-                });
-                const writable = await handle.createWritable();
-                await writable.write(blob);
-                await writable.close();
-                updateInstruction('STL saved successfully!');
-                console.log('[Export] File saved via File System Access API');
-                return; // Exit if successful
-            } catch (err) {
-                if (err.name === 'AbortError') {
-                    updateInstruction('Export cancelled.');
-                    return;
-                }
-                console.warn('[Export] File Picker failed, falling back to download:', err);
-                // Fallthrough to download method
-            }
+    // Modern "Save As" - File System Access API
+    if (window.showSaveFilePicker) {
+        try {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: defaultName,
+                types: [{
+                    description,
+                    accept: { [mimeType]: [`.${extension}`] },
+                }],
+            });
+            const writable = await handle.createWritable();
+            await writable.write(blob);
+            await writable.close();
+            console.log('[Save] File saved via File System Access API');
+            return 'saved';
+        } catch (err) {
+            if (err.name === 'AbortError') return 'cancelled';
+            console.warn('[Save] File Picker failed, falling back to download:', err);
+            // Fallthrough to download method
         }
+    }
 
-        // Fallback: Prompt for name and Download
-        const filename = prompt('Enter filename to save:', defaultName);
-        if (!filename) {
-            updateInstruction('Export cancelled.');
-            return;
+    // Fallback: Prompt for name and Download
+    const filename = prompt('Enter filename to save:', defaultName);
+    if (!filename) return 'cancelled';
+
+    const finalName = filename.toLowerCase().endsWith(`.${extension}`) ? filename : `${filename}.${extension}`;
+    downloadBlob(blob, finalName);
+
+    console.log('[Save] Download triggered successfully');
+    return 'downloaded';
+}
+
+// Folder that several files are written into without a dialog each (study
+// batch export). Same fallbacks as saveFile; plain downloads come last.
+// Returns { name, write(filename, data) }, or null when cancelled.
+async function pickOutputFolder() {
+    if (window.__TAURI__) {
+        try {
+            const { dialog, fs } = window.__TAURI__;
+            const folder = await dialog.open({ directory: true });
+            if (!folder) return null;
+            return {
+                name: folder,
+                write: (filename, data) => fs.writeBinaryFile(`${folder}/${filename}`, toBinary(data))
+            };
+        } catch (tauriErr) {
+            console.error('[Save] Tauri folder dialog failed:', tauriErr);
         }
+    }
 
-        const finalName = filename.toLowerCase().endsWith('.stl') ? filename : `${filename}.stl`;
+    if (window.showDirectoryPicker) {
+        try {
+            const folder = await window.showDirectoryPicker({ mode: 'readwrite' });
+            return {
+                name: folder.name,
+                write: async (filename, data) => {
+                    const handle = await folder.getFileHandle(filename, { create: true });
+                    const writable = await handle.createWritable();
+                    await writable.write(new Blob([data]));
+                    await writable.close();
+                }
+            };
+        } catch (err) {
+            if (err.name === 'AbortError') return null;
+            console.warn('[Save] Folder picker failed, falling back to downloads:', err);
+        }
+    }
 
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.style.display = 'none';
-        link.href = url;
-        link.download = finalName;
+    return {
+        name: 'Downloads',
+        write: async (filename, data) => downloadBlob(new Blob([data]), filename)
+    };
+}
 
-        document.body.appendChild(link);
-        link.click();
+// Convert Buffer/text to Uint8Array for writing
+function toBinary(data) {
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (data instanceof DataView) return new Uint8Array(data.buffer);
+    return new TextEncoder().encode(data);
+}
 
-        // Cleanup
-        setTimeout(() => {
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
-        }, 60000);
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.style.display = 'none';
+    link.href = url;
+    link.download = filename;
 
-        updateInstruction('STL exported successfully!');
-        console.log('[Export] Download triggered successfully');
+    document.body.appendChild(link);
+    link.click();
 
-    } catch (error) {
-        console.error('[Export] Export failed:', error);
-        console.error('[Export] Error stack:', error.stack);
-        updateInstruction(`Export failed: ${error.message}. Check console.`);
-    }
+    // Cleanup
+    setTimeout(() => {
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }, 60000);
 }
 
 // Simple geometry merge function
@@ -1364,6 +3921,25 @@ function hideProcessing() {
     if (overlay) {
         overlay.classList.add('hidden');
     }
+
+    // Back to the indeterminate animation for next time
+    const fill = document.querySelector('#processing-overlay .progress-fill');
+    if (fill) {
+        fill.classList.remove('determinate');
+        fill.style.width = '';
+    }
+}
+
+// Real progress reported by the processing worker (fraction 0..1)
+function setProcessingProgress(fraction, label) {
+    const percent = Math.round(fraction * 100);
+    updateProcessingStatus(`${label} (${percent}%)`);
+
+    const fill = document.querySelector('#processing-overlay .progress-fill');
+    if (fill) {
+        fill.classList.add('determinate');
+        fill.style.width = `${percent}%`;
+    }
 }
 
 function updateProcessingStatus(statusText) {
@@ -1381,6 +3957,7 @@ function enableStep(stepNum) {
             section.removeAttribute('disabled');
         }
     });
+    if (stepNum !== state.currentStep) scheduleAutosave();
     state.currentStep = stepNum;
 
     // Sync filler sliders when enabling step 3
@@ -1398,11 +3975,11 @@ function syncModelSlidersFromMesh() {
     const rot = state.userModel.rotation;
 
     document.getElementById('model-pos-x').value = pos.x;
-    document.getElementById('model-pos-x-val').value = pos.x.toFixed(1);
+    document.getElementById('model-pos-x-val').value = pos.x.toFixed(2);
     document.getElementById('model-pos-y').value = pos.y;
-    document.getElementById('model-pos-y-val').value = pos.y.toFixed(1);
+    document.getElementById('model-pos-y-val').value = pos.y.toFixed(2);
     document.getElementById('model-pos-z').value = pos.z;
-    document.getElementById('model-pos-z-val').value = pos.z.toFixed(1);
+    document.getElementById('model-pos-z-val').value = pos.z.toFixed(2);
 
     // Rotation sliders show OFFSET from default rotation
     // Slider = Actual - Default
@@ -1423,11 +4000,11 @@ function syncModelSlidersFromMesh() {
     relRotZ = normalizeAngle(relRotZ);
 
     document.getElementById('model-rot-x').value = relRotX;
-    document.getElementById('model-rot-x-val').value = Math.round(relRotX);
+    document.getElementById('model-rot-x-val').value = relRotX.toFixed(1);
     document.getElementById('model-rot-y').value = relRotY;
-    document.getElementById('model-rot-y-val').value = Math.round(relRotY);
+    document.getElementById('model-rot-y-val').value = relRotY.toFixed(1);
     document.getElementById('model-rot-z').value = relRotZ;
-    document.getElementById('model-rot-z-val').value = Math.round(relRotZ);
+    document.getElementById('model-rot-z-val').value = relRotZ.toFixed(1);
 }
 
 function syncFillerSlidersFromMesh() {
@@ -1441,9 +4018,9 @@ function syncFillerSlidersFromMesh() {
     const posOffsetX = pos.x - state.originalFillerPosition.x;
     const posOffsetZ = pos.z - state.originalFillerPosition.z;
     document.getElementById('filler-pos-x').value = posOffsetX;
-    document.getElementById('filler-pos-x-val').value = posOffsetX.toFixed(1);
+    document.getElementById('filler-pos-x-val').value = posOffsetX.toFixed(2);
     document.getElementById('filler-pos-z').value = posOffsetZ;
-    document.getElementById('filler-pos-z-val').value = posOffsetZ.toFixed(1);
+    document.getElementById('filler-pos-z-val').value = posOffsetZ.toFixed(2);
 
     // Scale sliders show MULTIPLIER of original scale
     const scaleMultX = state.originalFillerScale.x > 0 ? scale.x / state.originalFillerScale.x : 1;
@@ -1529,13 +4106,121 @@ function setFillerSlidersEnabled(enabled) {
 
 // ============ Event Listeners ============
 // File upload
-document.getElementById('stl-upload').addEventListener('change', (e) => {
+const scanUpload = document.getElementById('stl-upload');
+scanUpload.accept = SCAN_ACCEPT;
+scanUpload.addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+        importScanFiles(e.target.files);
+    }
+    // Allow re-importing the same file
+    e.target.value = '';
+});
+
+// Study: a whole folder of scans, one specimen each
+document.getElementById('study-upload').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+        importScanFiles(e.target.files);
+    }
+    e.target.value = '';
+});
+document.getElementById('btn-study-prev').addEventListener('click', () => stepSpecimen(-1));
+document.getElementById('btn-study-next').addEventListener('click', () => stepSpecimen(1));
+document.getElementById('btn-study-batch').addEventListener('click', runStudyBatch);
+
+// Test results
+document.getElementById('results-upload').addEventListener('change', (e) => {
+    if (e.target.files.length > 0) {
+        importTestResults(e.target.files);
+    }
+    e.target.value = '';
+});
+document.getElementById('btn-show-results').addEventListener('click', showResults);
+document.getElementById('btn-results-export').addEventListener('click', exportResults);
+document.getElementById('btn-results-clear').addEventListener('click', clearResults);
+document.getElementById('btn-results-close').addEventListener('click', hideResults);
+document.querySelector('#results-modal .help-overlay').addEventListener('click', hideResults);
+document.getElementById('btn-reuse-model').addEventListener('click', reuseModelTransform);
+document.getElementById('btn-reuse-filler').addEventListener('click', reuseFillerFit);
+
+// Unit conversion buttons
+document.querySelectorAll('#unit-warning [data-unit]').forEach(btn => {
+    btn.addEventListener('click', () => convertScanUnits(btn.dataset.unit));
+});
+
+document.getElementById('btn-unit-dismiss').addEventListener('click', () => {
+    document.getElementById('unit-warning').classList.add('hidden');
+    updateInstruction('Keeping scan units as millimetres.');
+});
+
+// Base plate variant
+document.querySelectorAll('button[data-rig-variant]').forEach(btn => {
+    btn.addEventListener('click', () => selectRigVariant(btn.dataset.rigVariant));
+});
+
+document.getElementById('rig-upload').addEventListener('change', (e) => {
+    loadCustomRig(Array.from(e.target.files));
+    // Allow reloading the same files after editing them
+    e.target.value = '';
+});
+
+// Landmark picking and alignment
+document.querySelectorAll('[data-landmark]').forEach(btn => {
+    btn.addEventListener('click', () => setLandmarkPickMode(btn.dataset.landmark));
+});
+document.getElementById('btn-landmark-align').addEventListener('click', alignToLandmarks);
+document.getElementById('btn-landmark-clear').addEventListener('click', clearLandmarks);
+document.getElementById('btn-auto-cusps').addEventListener('click', findCuspTips);
+document.getElementById('btn-level-occlusal').addEventListener('click', levelOcclusalPlane);
+canvas.addEventListener('pointerdown', (event) => landmarkPointerDown.set(event.clientX, event.clientY));
+canvas.addEventListener('pointerup', pickLandmark);
+canvas.addEventListener('pointerup', pickMeasurePoint);
+
+// Undercut map and block-out
+document.getElementById('btn-undercut-map').addEventListener('click', toggleUndercutMap);
+document.getElementById('blockout-undercuts').addEventListener('change', updateBlockoutStatus);
+document.getElementById('blockout-residual').addEventListener('change', updateBlockoutStatus);
+document.getElementById('btn-residual-clear').addEventListener('click', clearResidualTeeth);
+
+// Measurements
+document.querySelectorAll('[data-measure]').forEach(btn => {
+    btn.addEventListener('click', () => setMeasureTool(btn.dataset.measure));
+});
+document.getElementById('btn-measure-zeniths').addEventListener('click', measureZeniths);
+document.getElementById('btn-measure-export').addEventListener('click', exportMeasurements);
+document.getElementById('btn-measure-clear').addEventListener('click', clearMeasurements);
+
+// Mesh health repairs
+document.querySelectorAll('#mesh-health [data-repair]').forEach(btn => {
+    btn.addEventListener('click', () => repairScan(btn.dataset.repair));
+});
+
+// Specimen label (an empty text field falls back to the file name)
+document.getElementById('label-text').addEventListener('input', (e) => {
+    state.label.text = e.target.value.trim() ? e.target.value : null;
+    updateLabelPreview();
+    scheduleAutosave();
+});
+document.querySelectorAll('[data-label-mode]').forEach(btn => {
+    btn.addEventListener('click', () => setLabelSetting('mode', btn.dataset.labelMode));
+});
+document.getElementById('label-surface').addEventListener('change', (e) => setLabelSetting('surface', e.target.value));
+LABEL_NUMBER_INPUTS.forEach(([id, key]) => {
+    const input = document.getElementById(id);
+    input.addEventListener('change', () => setLabelSetting(key, parseFloat(input.value)));
+});
+
+// Project open/save
+document.getElementById('project-upload').addEventListener('change', (e) => {
     const file = e.target.files[0];
     if (file) {
-        importUserSTL(file);
+        openProject(file);
     }
+    // Allow reopening the same file
+    e.target.value = '';
 });
 
+document.getElementById('btn-save-project').addEventListener('click', saveProject);
+
 // Drag and Drop Support
 let dragCounter = 0;
 const body = document.body;
@@ -1566,13 +4251,37 @@ body.addEventListener('dragleave', (e) => {
     }
 });
 
-body.addEventListener('drop', (e) => {
+// Dropped folders are walked through the entries API. The entries have to
+// be taken from the event before the first await.
+async function readDroppedFiles(dataTransfer) {
+    const entries = Array.from(dataTransfer.items || [], item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+    if (!entries.some(entry => entry.isDirectory)) return Array.from(dataTransfer.files);
+
+    const files = [];
+    const walk = async (entry) => {
+        if (entry.isFile) {
+            files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+        } else if (entry.isDirectory) {
+            // A folder is read in chunks until an empty one comes back
+            const reader = entry.createReader();
+            let chunk;
+            do {
+                chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of chunk) await walk(child);
+            } while (chunk.length > 0);
+        }
+    };
+    for (const entry of entries) await walk(entry);
+    return files;
+}
+
+body.addEventListener('drop', async (e) => {
     console.log('[DragDrop] Drop event fired');
     dragCounter = 0;
     body.classList.remove('drag-active');
 
-    const dt = e.dataTransfer;
-    const files = dt.files;
+    const files = await readDroppedFiles(e.dataTransfer);
 
     console.log(`[DragDrop] Files dropped: ${files.length}`);
 
@@ -1580,11 +4289,17 @@ body.addEventListener('drop', (e) => {
         const file = files[0];
         console.log(`[DragDrop] File: ${file.name}, Type: ${file.type}, Size: ${file.size}`);
 
-        if (file.name.toLowerCase().endsWith('.stl')) {
-            importUserSTL(file);
+        // Scan formats are detected from the file contents in importUserScan;
+        // several scans (or a folder) dropped together become a study, and
+        // Instron CSVs are test results
+        if (file.name.toLowerCase().endsWith(`.${PROJECT_EXTENSION}`)) {
+            openProject(file);
+        } else if (files.every(other => isResultFileName(other.name))) {
+            importTestResults(files);
+        } else if (files.length > 1 || state.study.specimens.length > 0) {
+            importScanFiles(files);
         } else {
-            console.warn('[DragDrop] Invalid file type');
-            updateInstruction('Error: Please upload a valid .stl file.');
+            importUserScan(file);
         }
     } else {
         console.warn('[DragDrop] No files found in dataTransfer');
@@ -1690,6 +4405,39 @@ body.addEventListener('drop', (e) => {
     });
 });
 
+// Study status and label preview follow the filler fit once a slider is released
+['pos', 'scale'].forEach(kind => {
+    ['x', 'z'].forEach(axis => {
+        [`filler-${kind}-${axis}`, `filler-${kind}-${axis}-val`].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                renderStudy();
+                updateLabelPreview();
+            });
+        });
+    });
+});
+
+// Closing wall preview and undercut map follow the model sliders once they are released
+['pos', 'rot'].forEach(kind => {
+    ['x', 'y', 'z'].forEach(axis => {
+        [`model-${kind}-${axis}`, `model-${kind}-${axis}-val`].forEach(id => {
+            const input = document.getElementById(id);
+            input.addEventListener('input', () => {
+                hideClosurePreview();
+                hideUndercutMap();
+            });
+            input.addEventListener('change', () => {
+                if (showClosurePreview) checkScanClosure();
+                if (showUndercutMap) checkUndercuts();
+            });
+        });
+    });
+});
+
+// Scan closing option and preview
+document.getElementById('close-scan').addEventListener('change', updateClosureStatus);
+document.getElementById('btn-preview-closure').addEventListener('click', toggleClosurePreview);
+
 // Process button
 document.getElementById('btn-process').addEventListener('click', () => {
     enableStep(4);
@@ -1698,6 +4446,18 @@ document.getElementById('btn-process').addEventListener('click', () => {
 
 // Export button
 document.getElementById('btn-export').addEventListener('click', exportSTL);
+document.getElementById('btn-export-report').addEventListener('click', exportReport);
+
+// Cancel button on the processing overlay
+document.getElementById('btn-cancel-processing').addEventListener('click', () => {
+    processingWorker.cancel();
+});
+
+// Unprocess button - back to alignment/filler fitting with the original scan
+document.getElementById('btn-unprocess').addEventListener('click', () => {
+    unprocess();
+    markActiveSpecimen({ processedAt: null, exportedAt: null });
+});
 
 // Continue to Filler button
 const btnContinueFiller = document.getElementById('btn-continue-filler');
@@ -1707,6 +4467,18 @@ btnContinueFiller.addEventListener('click', () => {
     // Ignore if already processed
     if (state.isProcessed) return;
 
+    enterFillerEditing();
+});
+
+// Back to Model Alignment button
+btnBackToModel.addEventListener('click', () => {
+    // Ignore if already processed
+    if (state.isProcessed) return;
+
+    enterModelEditing();
+});
+
+function enterFillerEditing() {
     enableStep(4); // Enable steps 3 and 4 together
 
     // Switch TransformControls to the filler
@@ -1729,6 +4501,7 @@ btnContinueFiller.addEventListener('click', () => {
     setFillerSlidersEnabled(true);
 
     updateInstruction('Adjust the Arch Filler to fill the palatal/lingual void. Use G for move, R for rotate.');
+    renderStudy();
 
     // Auto-scroll sidebar to show the Export STL button with smooth animation
     setTimeout(() => {
@@ -1741,13 +4514,9 @@ btnContinueFiller.addEventListener('click', () => {
             });
         }
     }, 200);
-});
-
-// Back to Model Alignment button
-btnBackToModel.addEventListener('click', () => {
-    // Ignore if already processed
-    if (state.isProcessed) return;
+}
 
+function enterModelEditing() {
     // Switch TransformControls back to the user model
     if (state.userModel) {
         transformControls.attach(state.userModel);
@@ -1768,7 +4537,8 @@ btnBackToModel.addEventListener('click', () => {
     setFillerSlidersEnabled(false);
 
     updateInstruction('Model alignment mode. Use Move/Rotate to adjust the model position.');
-});
+    renderStudy();
+}
 
 // Initialize Back to Model button as disabled (start in model mode)
 btnBackToModel.disabled = true;
@@ -1782,6 +4552,9 @@ setFillerSlidersEnabled(false);
 // Mode button handlers
 document.getElementById('mode-translate').addEventListener('click', () => setTransformMode('translate'));
 document.getElementById('mode-rotate').addEventListener('click', () => setTransformMode('rotate'));
+document.getElementById('toggle-section').addEventListener('click', () => setSectionEnabled(!section.enabled));
+document.getElementById('section-axis').addEventListener('change', (event) => setSectionAxis(event.target.value));
+document.getElementById('section-flip').addEventListener('click', flipSection);
 
 // Gizmo visibility toggle
 let gizmoVisible = true;
@@ -1793,6 +4566,19 @@ document.getElementById('toggle-gizmo').addEventListener('click', () => {
     console.log(`[Gizmo] Visibility: ${gizmoVisible}`);
 });
 
+// Undo history (the desktop Edit menu clicks these buttons)
+document.getElementById('btn-undo').addEventListener('click', undo);
+document.getElementById('btn-redo').addEventListener('click', redo);
+document.getElementById('toggle-history').addEventListener('click', () => {
+    document.getElementById('history-panel').classList.toggle('hidden');
+    renderHistory();
+});
+
+// Write a pending autosave before the tab or window goes away
+window.addEventListener('pagehide', () => {
+    if (autosaveTimer) autosave();
+});
+
 // Window resize
 window.addEventListener('resize', () => {
     const aspect = window.innerWidth / window.innerHeight;
@@ -1857,12 +4643,221 @@ controls.addEventListener('end', () => {
     }
 });
 
+// ============ Keyboard Transforms ============
+// Precise moves without the gizmo, on whichever object is being edited, in
+// the current Move/Rotate mode. Arrow keys and PageUp/PageDown nudge along
+// X, Z and Y (one history step per key press, however long it is held).
+// X, Y or Z starts typing a value along that axis, Enter applies it. Pressed
+// during a gizmo drag (G, X, 1.5, Enter) it takes over from the drag.
+const NUDGE_STEPS = {
+    translate: { fine: 0.01, normal: 0.1, coarse: 1 }, // mm
+    rotate: { fine: 0.1, normal: 1, coarse: 5 } // degrees
+};
+const NUDGE_KEYS = {
+    ArrowLeft: ['x', -1],
+    ArrowRight: ['x', 1],
+    ArrowDown: ['z', -1],
+    ArrowUp: ['z', 1],
+    PageDown: ['y', -1],
+    PageUp: ['y', 1]
+};
+const TRANSFORM_UNITS = { translate: ' mm', rotate: '°' };
+
+let nudge = null; // { key, total, label } while a nudge key is held
+let typedEntry = null; // { mode, axis, text } while a value is being typed
+
+// Why the edit target cannot take a change along `axis`, or null
+function keyboardTransformProblem(mode, axis) {
+    if (state.isProcessed) return 'Go back to editing before moving the model.';
+    if (currentEditTarget === 'filler') {
+        if (!state.rig.fillerTransform) return 'The rig has no arch filler.';
+        if (mode !== 'translate' || axis === 'y') return 'The arch filler only moves along X and Z (scale it with the sliders).';
+        return null;
+    }
+    return state.userModel ? null : 'Import a scan first.';
+}
+
+// Move (mm) or rotate (degrees, as the rotation sliders) the edit target
+function transformEditTarget(mode, axis, amount) {
+    if (currentEditTarget === 'filler') {
+        state.rig.fillerTransform.position[axis] += amount;
+        syncFillerSlidersFromMesh();
+        return;
+    }
+
+    if (mode === 'translate') {
+        state.userModel.position[axis] += amount;
+    } else {
+        state.userModel.rotation[axis] += THREE.MathUtils.degToRad(amount);
+    }
+    syncModelSlidersFromMesh();
+    hideClosurePreview();
+    hideUndercutMap();
+}
+
+// Refresh what follows the pose and record the change, as after a gizmo drag
+function finishKeyboardTransform(label) {
+    if (showClosurePreview) checkScanClosure();
+    if (currentEditTarget === 'filler') {
+        renderStudy();
+        updateLabelPreview();
+    } else if (showUndercutMap) {
+        checkUndercuts();
+    }
+    commitHistory(label);
+}
+
+function describeKeyboardTransform(mode, axis, amount) {
+    const value = +amount.toFixed(3);
+    return `${TRANSFORM_VERBS[mode]} ${currentEditTarget} ${axis.toUpperCase()} ${value > 0 ? '+' : ''}${value}${TRANSFORM_UNITS[mode]}`;
+}
+
+function nudgeEditTarget(event) {
+    const [axis, direction] = NUDGE_KEYS[event.key];
+    const mode = currentTransformMode;
+    const problem = keyboardTransformProblem(mode, axis);
+    if (problem) {
+        updateInstruction(problem);
+        return;
+    }
+
+    const size = event.altKey ? 'fine' : event.shiftKey ? 'coarse' : 'normal';
+    const amount = direction * NUDGE_STEPS[mode][size];
+    transformEditTarget(mode, axis, amount);
+
+    // Held keys repeat, the history gets the total once the key is let go
+    if (!nudge || nudge.key !== event.key) {
+        if (nudge) finishKeyboardTransform(nudge.label);
+        nudge = { key: event.key, total: 0 };
+    }
+    nudge.total += amount;
+    nudge.label = describeKeyboardTransform(mode, axis, nudge.total);
+    updateInstruction(`${nudge.label} (${NUDGE_STEPS[mode][size]}${TRANSFORM_UNITS[mode]} steps; Alt for fine, Shift for coarse)`);
+}
+
+function endNudge() {
+    if (!nudge) return;
+    finishKeyboardTransform(nudge.label);
+    nudge = null;
+}
+
+function startTypedEntry(axis) {
+    const problem = keyboardTransformProblem(currentTransformMode, axis);
+    if (problem) {
+        updateInstruction(problem);
+        return;
+    }
+    // Mid-drag the typed value replaces the drag: put the target back where
+    // the drag started and let go of it (nothing to record, the pose is unchanged)
+    if (transformControls.dragging) {
+        transformControls.reset();
+        transformControls.pointerUp({ button: 0 });
+    }
+    typedEntry = { mode: currentTransformMode, axis, text: '' };
+    renderTypedEntry();
+}
+
+function renderTypedEntry() {
+    const { mode, axis, text } = typedEntry;
+    updateInstruction(`${TRANSFORM_VERBS[mode]} ${currentEditTarget} along ${axis.toUpperCase()}: ` +
+        `${text || '_'}${TRANSFORM_UNITS[mode]} (Enter to apply, Esc to cancel)`);
+}
+
+// Keys while a value is being typed; returns true when the key was used
+function handleTypedEntryKey(event) {
+    const key = event.key;
+    if (/^[0-9.]$/.test(key)) {
+        typedEntry.text += key;
+    } else if (key === '-') {
+        // Flips the sign wherever it is typed
+        typedEntry.text = typedEntry.text.startsWith('-') ? typedEntry.text.slice(1) : `-${typedEntry.text}`;
+    } else if (key === 'Backspace') {
+        typedEntry.text = typedEntry.text.slice(0, -1);
+    } else if (/^[xyz]$/i.test(key)) {
+        const problem = keyboardTransformProblem(typedEntry.mode, key.toLowerCase());
+        if (problem) {
+            updateInstruction(problem);
+            return true;
+        }
+        typedEntry.axis = key.toLowerCase();
+    } else if (/^[gr]$/i.test(key)) {
+        // G and R still switch between moving and rotating
+        const mode = key.toLowerCase() === 'g' ? 'translate' : 'rotate';
+        const problem = keyboardTransformProblem(mode, typedEntry.axis);
+        if (problem) {
+            updateInstruction(problem);
+            return true;
+        }
+        setTransformMode(mode);
+        typedEntry.mode = mode;
+    } else if (key === 'Escape') {
+        typedEntry = null;
+        updateInstruction('Typed transform cancelled.');
+        return true;
+    } else if (key === 'Enter') {
+        const { mode, axis, text } = typedEntry;
+        const amount = parseFloat(text);
+        typedEntry = null;
+        if (!Number.isFinite(amount) || amount === 0) {
+            updateInstruction('No value typed, nothing moved.');
+            return true;
+        }
+        const problem = keyboardTransformProblem(mode, axis);
+        if (problem) {
+            updateInstruction(problem);
+            return true;
+        }
+        transformEditTarget(mode, axis, amount);
+        const label = describeKeyboardTransform(mode, axis, amount);
+        finishKeyboardTransform(label);
+        updateInstruction(`${label}.`);
+        return true;
+    } else {
+        return false;
+    }
+    renderTypedEntry();
+    return true;
+}
+
 // Keyboard shortcuts
 window.addEventListener('keydown', (e) => {
-    // Ctrl+Z or Cmd+Z for undo
+    // Ctrl+S or Cmd+S to save the project
+    if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+        e.preventDefault();
+        saveProject();
+        return;
+    }
+    // Leave typing (and its own undo) to text and number fields
+    if (e.target.matches('input[type="text"], input[type="number"], textarea')) {
+        return;
+    }
+    // Ctrl+Shift+Z or Ctrl+Y for redo, Ctrl+Z for undo (Cmd on macOS)
+    if ((e.ctrlKey || e.metaKey) && (e.key.toLowerCase() === 'y' || (e.key.toLowerCase() === 'z' && e.shiftKey))) {
+        e.preventDefault();
+        redo();
+        return;
+    }
     if ((e.ctrlKey || e.metaKey) && e.key === 'z') {
         e.preventDefault();
         undo();
+        return;
+    }
+    // A typed value takes the keys until Enter or Escape
+    if (typedEntry && !e.ctrlKey && !e.metaKey && handleTypedEntryKey(e)) {
+        e.preventDefault();
+        return;
+    }
+    // Arrow keys and PageUp/PageDown nudge (sliders keep their own arrow keys)
+    if (NUDGE_KEYS[e.key] && !e.ctrlKey && !e.metaKey && !e.target.matches('input, select')) {
+        e.preventDefault();
+        nudgeEditTarget(e);
+        return;
+    }
+    // X, Y or Z to type a value along that axis (a focused select keeps its
+    // own type-to-pick, e.g. the section axis)
+    if (/^[xyz]$/i.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey && !e.target.matches('input, select')) {
+        startTypedEntry(e.key.toLowerCase());
+        return;
     }
     // G for move (translate)
     if (e.key === 'g' || e.key === 'G') {
@@ -1872,6 +4867,10 @@ window.addEventListener('keydown', (e) => {
     if (e.key === 'r' || e.key === 'R') {
         setTransformMode('rotate');
     }
+    // C for the section (cut) plane
+    if ((e.key === 'c' || e.key === 'C') && !e.ctrlKey && !e.metaKey) {
+        setSectionEnabled(!section.enabled);
+    }
     // ? for help
     if (e.key === '?') {
         const modal = document.getElementById('help-modal');
@@ -1883,6 +4882,12 @@ window.addEventListener('keydown', (e) => {
     }
 });
 
+// A nudge becomes one history step when its key is let go
+window.addEventListener('keyup', (e) => {
+    if (nudge && e.key === nudge.key) endNudge();
+});
+window.addEventListener('blur', endNudge);
+
 // Help Popup Logic
 // Help Popup Logic
 const btnHelp = document.getElementById('btn-help');
@@ -1910,10 +4915,20 @@ if (helpOverlay) {
     });
 }
 
-// Save state before slider changes (on mousedown/focus)
-document.querySelectorAll('input[type="range"], input[type="number"]').forEach(input => {
-    input.addEventListener('mousedown', saveUndoState);
-    input.addEventListener('focus', saveUndoState);
+// Slider and number edits become one history step each once committed
+// (registered after the listeners that apply them)
+Object.entries({
+    'model-pos': 'Model position',
+    'model-rot': 'Model rotation',
+    'filler-pos': 'Filler position',
+    'filler-scale': 'Filler scale'
+}).forEach(([prefix, label]) => {
+    const axes = prefix.startsWith('model') ? ['x', 'y', 'z'] : ['x', 'z'];
+    axes.forEach(axis => {
+        [`${prefix}-${axis}`, `${prefix}-${axis}-val`].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => commitHistory(`${label} ${axis.toUpperCase()}`));
+        });
+    });
 });
 
 // ============ Render Loop ============
@@ -1947,6 +4962,8 @@ function animate() {
     }
 
     // Render main scene
+    refreshMeasurementsIfMoved();
+    updateSectionPlane();
     renderer.render(scene, activeCamera);
 
     // Render view cube
@@ -1955,7 +4972,8 @@ function animate() {
 }
 
 // ============ Initialize ============
-loadRigTemplate();
+loadRigTemplate().then(offerSessionRecovery, () => {}); // Failures are shown in the loading overlay
+renderRigVariant();
 animate();
 
 console.log('Maryland Retention Rig App initialized');
@@ -0,0 +1,66 @@
+/**
+ * measurements.js
+ * Ruler, angle and point-to-plane measurements on the aligned scan, and
+ * their CSV export. Points are world-space THREE.Vector3; the reference
+ * planes are horizontal, so a point's distance to one is its height above it.
+ */
+
+export const MEASUREMENT_TOOLS = {
+    distance: { label: 'Distance', points: 2, unit: 'mm', prompt: 'Click two points on the scan.' },
+    angle: { label: 'Angle', points: 3, unit: 'deg', prompt: 'Click three points on the scan, the angle is at the second.' },
+    plane: { label: 'Height', points: 1, unit: 'mm', prompt: 'Click a point on the scan to measure its height above the plane.' }
+};
+
+export const MEASUREMENT_PLANES = {
+    guide: '2mm guide',
+    trim: 'base trim cut'
+};
+
+/**
+ * Value of a measurement.
+ *   distance  straight-line distance between points[0] and points[1]
+ *   angle     degrees between points[0] and points[2], seen from points[1]
+ *   plane     signed height of points[0] above `planeY` (negative = below)
+ */
+export function measure(type, points, planeY = 0) {
+    switch (type) {
+        case 'distance':
+            return points[0].distanceTo(points[1]);
+        case 'angle': {
+            const a = points[0].clone().sub(points[1]);
+            const b = points[2].clone().sub(points[1]);
+            return a.angleTo(b) * 180 / Math.PI;
+        }
+        case 'plane':
+            return points[0].y - planeY;
+        default:
+            throw new Error(`Unknown measurement: ${type}`);
+    }
+}
+
+function csvField(value) {
+    const text = String(value ?? '');
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV of measured rows ({ label, type, plane, value, unit, points }), with
+ * the scan and rig named on every row so exports from several specimens can
+ * be concatenated. Coordinates are world space, in mm.
+ */
+export function measurementsToCSV(rows, { scan, rig, measuredAt }) {
+    const header = ['scan', 'rig', 'measured_at', 'label', 'type', 'plane', 'value', 'unit', 'points'];
+    const lines = rows.map(row => [
+        scan,
+        rig,
+        measuredAt,
+        row.label,
+        row.type,
+        row.plane ? MEASUREMENT_PLANES[row.plane] : '',
+        row.value.toFixed(3),
+        row.unit,
+        row.points.map(point => point.toArray().map(v => v.toFixed(3)).join(' ')).join('; ')
+    ].map(csvField).join(','));
+
+    return [header.join(','), ...lines].join('\n') + '\n';
+}
@@ -0,0 +1,152 @@
+/**
+ * mesh-closing.js
+ * Turn an open intraoral scan into a watertight solid for the Boolean chain.
+ * The scan's open border is extruded straight down (world -Y) to a floor
+ * inside the base-trim and capped flat; smaller holes in the surface are
+ * filled in place. The base-trim subtraction then cuts a clean flat base.
+ * Three.js is passed in by the caller so this also runs inside the worker.
+ */
+
+import { weldVertices, findBoundaryLoops, loopPerimeter } from './mesh-topology.js';
+
+// The wall always drops at least this far below the lowest border vertex (mm)
+const MIN_WALL_HEIGHT = 1;
+
+// Signed area of a 2D polygon given as THREE.Vector2[]
+function signedArea(points) {
+    let area = 0;
+    for (let i = 0; i < points.length; i++) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+}
+
+/**
+ * Triangulate a loop whose vertices project to `points` (THREE.Vector2[]).
+ * The new faces are wound against the loop so they own the reverse of its
+ * edges, which keeps the closed mesh consistently oriented.
+ * Returns a flat array of vertex indices from `loopVertices`.
+ */
+function capLoop(THREE, points, loopVertices) {
+    const loopSign = Math.sign(signedArea(points));
+    const triangles = THREE.ShapeUtils.triangulateShape(points.slice(), []);
+    const indices = [];
+
+    triangles.forEach(([a, b, c]) => {
+        const triangleSign = Math.sign(signedArea([points[a], points[b], points[c]]));
+        if (triangleSign === loopSign) {
+            indices.push(loopVertices[a], loopVertices[c], loopVertices[b]);
+        } else {
+            indices.push(loopVertices[a], loopVertices[b], loopVertices[c]);
+        }
+    });
+
+    return indices;
+}
+
+// Project a (roughly planar) hole loop onto its best-fit plane
+function projectLoop(THREE, vertices, loop) {
+    const points = loop.map(v => new THREE.Vector3().fromArray(vertices, v * 3));
+
+    // Newell's method: robust normal for non-planar polygons
+    const normal = new THREE.Vector3();
+    points.forEach((a, i) => {
+        const b = points[(i + 1) % points.length];
+        normal.x += (a.y - b.y) * (a.z + b.z);
+        normal.y += (a.z - b.z) * (a.x + b.x);
+        normal.z += (a.x - b.x) * (a.y + b.y);
+    });
+    if (normal.lengthSq() === 0) normal.set(0, 1, 0);
+    normal.normalize();
+
+    const u = new THREE.Vector3(1, 0, 0);
+    if (Math.abs(normal.dot(u)) > 0.9) u.set(0, 1, 0);
+    u.cross(normal).normalize();
+    const v = new THREE.Vector3().crossVectors(normal, u);
+
+    return points.map(p => new THREE.Vector2(p.dot(u), p.dot(v)));
+}
+
+/**
+ * Fill a hole loop in place. Returns a flat array of new triangle indices
+ * into `vertices`, wound to match the faces around the hole.
+ */
+export function fillLoop(THREE, vertices, loop) {
+    return capLoop(THREE, projectLoop(THREE, vertices, loop), loop);
+}
+
+/**
+ * Close an open scan (world-space geometry) into a watertight solid.
+ *   options.floorY         world height the border wall is extruded down to
+ *   options.weldTolerance  distance under which corners are merged (mm)
+ * Returns { geometry, wall, loopCount } where `geometry` is the closed
+ * indexed mesh and `wall` shares its vertices but holds only the generated
+ * faces (null when the scan was already closed).
+ */
+export function closeOpenSurface(THREE, geometry, { floorY, weldTolerance = 1e-4 }) {
+    const position = geometry.attributes.position.array;
+    const index = geometry.index ? geometry.index.array : null;
+    const { vertices, indices } = weldVertices(position, index, { tolerance: weldTolerance });
+    const loops = findBoundaryLoops(indices, vertices.length / 3);
+
+    const toGeometry = (vertexArray, indexArray) => {
+        const result = new THREE.BufferGeometry();
+        result.setAttribute('position', new THREE.BufferAttribute(vertexArray, 3));
+        result.setIndex(new THREE.BufferAttribute(indexArray, 1));
+        result.computeVertexNormals();
+        return result;
+    };
+
+    if (loops.length === 0) {
+        return { geometry: toGeometry(vertices, indices), wall: null, loopCount: 0 };
+    }
+
+    // The scan's open border is the longest loop, the rest are holes in the surface
+    loops.sort((a, b) => loopPerimeter(vertices, b) - loopPerimeter(vertices, a));
+    const [border, ...holes] = loops;
+
+    const newVertices = Array.from(vertices);
+    const newIndices = [];
+
+    // Wall: drop every border vertex to the floor and stitch a quad per edge
+    let borderMinY = Infinity;
+    border.forEach(v => { borderMinY = Math.min(borderMinY, vertices[v * 3 + 1]); });
+    const bottomY = Math.min(floorY, borderMinY - MIN_WALL_HEIGHT);
+
+    const bottom = border.map(v => {
+        newVertices.push(vertices[v * 3], bottomY, vertices[v * 3 + 2]);
+        return newVertices.length / 3 - 1;
+    });
+
+    border.forEach((a, i) => {
+        const next = (i + 1) % border.length;
+        const b = border[next];
+        // Scan faces own a -> b, so the wall takes b -> a
+        newIndices.push(b, a, bottom[i]);
+        newIndices.push(b, bottom[i], bottom[next]);
+    });
+
+    // Flat cap under the wall
+    const floorPoints = border.map(v => new THREE.Vector2(vertices[v * 3], vertices[v * 3 + 2]));
+    // (appended one by one: spreading a long border into push() can pass
+    // more arguments than the engine allows)
+    capLoop(THREE, floorPoints, bottom).forEach(index => newIndices.push(index));
+
+    // Patch smaller holes where they are
+    holes.forEach(hole => {
+        fillLoop(THREE, vertices, hole).forEach(index => newIndices.push(index));
+    });
+
+    const closedVertices = new Float32Array(newVertices);
+    const closedIndices = new Uint32Array(indices.length + newIndices.length);
+    closedIndices.set(indices);
+    closedIndices.set(newIndices, indices.length);
+
+    return {
+        geometry: toGeometry(closedVertices, closedIndices),
+        wall: toGeometry(closedVertices, new Uint32Array(newIndices)),
+        loopCount: loops.length
+    };
+}
@@ -0,0 +1,467 @@
+/**
+ * mesh-health.js
+ * Fitness-for-processing report on a scan and the repairs offered for it.
+ * Works on packed geometry ({ position, index, color }, see
+ * geometry-transfer.js) so it runs inside the processing worker.
+ * Three.js is only needed (and passed in) for hole filling.
+ */
+
+import { weldVertices, findBoundaryLoops, loopPerimeter } from './mesh-topology.js';
+import { fillLoop } from './mesh-closing.js';
+
+export const HEALTH_LIMITS = {
+    weldTolerance: 1e-4, // mm
+    degenerateArea: 1e-8, // mm², triangles below this count as degenerate
+    smallShellFraction: 0.01, // Shells under 1% of the largest shell's triangles
+    smallHolePerimeter: 20, // mm, bigger loops are left to scan closing
+    maxSelfIntersections: 1000 // Stop counting after this many
+};
+
+export const REPAIR_ACTIONS = {
+    weld: 'Weld vertices',
+    shells: 'Remove small shells',
+    winding: 'Fix winding',
+    holes: 'Fill small holes'
+};
+
+// ============ Mesh Access ============
+function weldPacked(packed) {
+    return weldVertices(packed.position, packed.index, {
+        tolerance: HEALTH_LIMITS.weldTolerance,
+        colors: packed.color
+    });
+}
+
+function toPacked(mesh) {
+    return {
+        position: mesh.vertices,
+        normal: null,
+        color: mesh.colors,
+        index: mesh.indices
+    };
+}
+
+function triangleArea(vertices, a, b, c) {
+    const ax = vertices[b * 3] - vertices[a * 3];
+    const ay = vertices[b * 3 + 1] - vertices[a * 3 + 1];
+    const az = vertices[b * 3 + 2] - vertices[a * 3 + 2];
+    const bx = vertices[c * 3] - vertices[a * 3];
+    const by = vertices[c * 3 + 1] - vertices[a * 3 + 1];
+    const bz = vertices[c * 3 + 2] - vertices[a * 3 + 2];
+    return Math.hypot(ay * bz - az * by, az * bx - ax * bz, ax * by - ay * bx) / 2;
+}
+
+// ============ Shells ============
+// Label every triangle with its vertex-connected shell
+function findShells(indices, vertexCount) {
+    const parent = new Int32Array(vertexCount);
+    for (let i = 0; i < vertexCount; i++) parent[i] = i;
+
+    const find = (v) => {
+        while (parent[v] !== v) {
+            parent[v] = parent[parent[v]];
+            v = parent[v];
+        }
+        return v;
+    };
+
+    for (let i = 0; i < indices.length; i += 3) {
+        const root = find(indices[i]);
+        parent[find(indices[i + 1])] = root;
+        parent[find(indices[i + 2])] = find(root);
+    }
+
+    const shellIds = new Map();
+    const triangleShell = new Int32Array(indices.length / 3);
+    const shells = [];
+    for (let t = 0; t < triangleShell.length; t++) {
+        const root = find(indices[t * 3]);
+        if (!shellIds.has(root)) {
+            shellIds.set(root, shells.length);
+            shells.push({ triangles: 0, min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] });
+        }
+        triangleShell[t] = shellIds.get(root);
+        shells[triangleShell[t]].triangles++;
+    }
+
+    return { triangleShell, shells };
+}
+
+// Shells to drop: tiny fragments and exact copies of an earlier shell
+function findExtraShells(vertices, indices, { triangleShell, shells }) {
+    for (let t = 0; t < triangleShell.length; t++) {
+        const shell = shells[triangleShell[t]];
+        for (let k = 0; k < 3; k++) {
+            const v = indices[t * 3 + k] * 3;
+            for (let axis = 0; axis < 3; axis++) {
+                shell.min[axis] = Math.min(shell.min[axis], vertices[v + axis]);
+                shell.max[axis] = Math.max(shell.max[axis], vertices[v + axis]);
+            }
+        }
+    }
+
+    const largest = shells.reduce((max, shell) => Math.max(max, shell.triangles), 0);
+    const seen = new Set();
+    const small = new Set();
+    const duplicate = new Set();
+
+    shells.forEach((shell, id) => {
+        const signature = [shell.triangles, ...shell.min, ...shell.max].map(n => Math.round(n * 100)).join(',');
+        if (seen.has(signature)) {
+            duplicate.add(id);
+        } else if (shell.triangles < largest * HEALTH_LIMITS.smallShellFraction) {
+            small.add(id);
+        }
+        seen.add(signature);
+    });
+
+    return { small, duplicate };
+}
+
+// ============ Edges and Winding ============
+// Undirected edge -> the triangles using it
+function buildEdgeMap(indices, vertexCount) {
+    const firstFace = new Map();
+    const secondFace = new Map();
+    const nonManifold = new Set();
+
+    for (let t = 0; t < indices.length / 3; t++) {
+        for (let k = 0; k < 3; k++) {
+            const a = indices[t * 3 + k];
+            const b = indices[t * 3 + (k + 1) % 3];
+            const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+
+            if (!firstFace.has(key)) {
+                firstFace.set(key, t);
+            } else if (!secondFace.has(key)) {
+                secondFace.set(key, t);
+            } else {
+                nonManifold.add(key);
+            }
+        }
+    }
+
+    return { firstFace, secondFace, nonManifold };
+}
+
+// Does triangle t run a -> b (true) or b -> a (false)?
+function runsForward(indices, t, a, b) {
+    for (let k = 0; k < 3; k++) {
+        if (indices[t * 3 + k] === a && indices[t * 3 + (k + 1) % 3] === b) return true;
+    }
+    return false;
+}
+
+/**
+ * Decide which triangles to flip so every patch (triangles connected over
+ * manifold edges) is consistently wound. Closed patches are oriented outward
+ * (positive volume); open ones keep the winding of most of their triangles.
+ * Returns a Uint8Array with 1 for every triangle that should be flipped.
+ */
+function findFlippedTriangles(vertices, indices, edges) {
+    const vertexCount = vertices.length / 3;
+    const triangleCount = indices.length / 3;
+    const flip = new Uint8Array(triangleCount);
+    const visited = new Uint8Array(triangleCount);
+
+    for (let seed = 0; seed < triangleCount; seed++) {
+        if (visited[seed]) continue;
+
+        // Walk the patch of triangles reachable over manifold edges
+        const patch = [seed];
+        visited[seed] = 1;
+        let open = false;
+
+        for (let i = 0; i < patch.length; i++) {
+            const t = patch[i];
+            for (let k = 0; k < 3; k++) {
+                const a = indices[t * 3 + k];
+                const b = indices[t * 3 + (k + 1) % 3];
+                const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+                if (edges.nonManifold.has(key)) continue;
+
+                const first = edges.firstFace.get(key);
+                const second = edges.secondFace.get(key);
+                if (second === undefined) {
+                    open = true;
+                    continue;
+                }
+
+                const neighbor = first === t ? second : first;
+                if (visited[neighbor]) continue;
+
+                // Neighbors must run the shared edge in opposite directions
+                const tForward = runsForward(indices, t, a, b) !== !!flip[t];
+                const neighborForward = runsForward(indices, neighbor, a, b);
+                flip[neighbor] = neighborForward === tForward ? 1 : 0;
+                visited[neighbor] = 1;
+                patch.push(neighbor);
+            }
+        }
+
+        // Choose the patch's overall orientation
+        let invert;
+        if (open) {
+            const flipped = patch.reduce((count, t) => count + flip[t], 0);
+            invert = flipped > patch.length / 2;
+        } else {
+            let volume = 0;
+            patch.forEach(t => {
+                let [a, b, c] = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+                if (flip[t]) [b, c] = [c, b];
+                volume += signedTetraVolume(vertices, a, b, c);
+            });
+            invert = volume < 0;
+        }
+        if (invert) patch.forEach(t => { flip[t] ^= 1; });
+    }
+
+    return flip;
+}
+
+function signedTetraVolume(vertices, a, b, c) {
+    const [ax, ay, az] = [vertices[a * 3], vertices[a * 3 + 1], vertices[a * 3 + 2]];
+    const [bx, by, bz] = [vertices[b * 3], vertices[b * 3 + 1], vertices[b * 3 + 2]];
+    const [cx, cy, cz] = [vertices[c * 3], vertices[c * 3 + 1], vertices[c * 3 + 2]];
+    return (ax * (by * cz - bz * cy) - ay * (bx * cz - bz * cx) + az * (bx * cy - by * cx)) / 6;
+}
+
+// ============ Self-Intersections ============
+// Segment p->q against triangle (a, b, c), Moller-Trumbore with t in [0, 1]
+function segmentHitsTriangle(p, q, a, b, c) {
+    const dir = [q[0] - p[0], q[1] - p[1], q[2] - p[2]];
+    const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    const h = [dir[1] * e2[2] - dir[2] * e2[1], dir[2] * e2[0] - dir[0] * e2[2], dir[0] * e2[1] - dir[1] * e2[0]];
+    const det = e1[0] * h[0] + e1[1] * h[1] + e1[2] * h[2];
+    if (Math.abs(det) < 1e-12) return false; // Parallel (coplanar overlaps are not counted)
+
+    const inv = 1 / det;
+    const s = [p[0] - a[0], p[1] - a[1], p[2] - a[2]];
+    const u = inv * (s[0] * h[0] + s[1] * h[1] + s[2] * h[2]);
+    if (u < 0 || u > 1) return false;
+
+    const qv = [s[1] * e1[2] - s[2] * e1[1], s[2] * e1[0] - s[0] * e1[2], s[0] * e1[1] - s[1] * e1[0]];
+    const v = inv * (dir[0] * qv[0] + dir[1] * qv[1] + dir[2] * qv[2]);
+    if (v < 0 || u + v > 1) return false;
+
+    const t = inv * (e2[0] * qv[0] + e2[1] * qv[1] + e2[2] * qv[2]);
+    return t >= 0 && t <= 1;
+}
+
+function trianglesIntersect(corners, s, t) {
+    const [a, b, c] = corners(s);
+    const [d, e, f] = corners(t);
+    return segmentHitsTriangle(a, b, d, e, f) || segmentHitsTriangle(b, c, d, e, f) || segmentHitsTriangle(c, a, d, e, f) ||
+        segmentHitsTriangle(d, e, a, b, c) || segmentHitsTriangle(e, f, a, b, c) || segmentHitsTriangle(f, d, a, b, c);
+}
+
+/**
+ * Count pairs of non-adjacent triangles that cross each other, using a
+ * uniform grid so only nearby triangles are tested. Stops at `limit`.
+ */
+function countSelfIntersections(vertices, indices, limit) {
+    const triangleCount = indices.length / 3;
+    if (triangleCount === 0) return 0;
+
+    const boxes = new Float32Array(triangleCount * 6);
+    let edgeLength = 0;
+    for (let t = 0; t < triangleCount; t++) {
+        for (let axis = 0; axis < 3; axis++) {
+            const values = [0, 1, 2].map(k => vertices[indices[t * 3 + k] * 3 + axis]);
+            boxes[t * 6 + axis] = Math.min(...values);
+            boxes[t * 6 + 3 + axis] = Math.max(...values);
+            edgeLength += boxes[t * 6 + 3 + axis] - boxes[t * 6 + axis];
+        }
+    }
+
+    // Cells about twice the average triangle extent
+    const cellSize = Math.max(2 * edgeLength / (triangleCount * 3), 1e-6);
+    const cellOf = (value) => Math.floor(value / cellSize);
+    const cellKey = (x, y, z) => `${x},${y},${z}`;
+
+    const cells = new Map();
+    for (let t = 0; t < triangleCount; t++) {
+        for (let x = cellOf(boxes[t * 6]); x <= cellOf(boxes[t * 6 + 3]); x++) {
+            for (let y = cellOf(boxes[t * 6 + 1]); y <= cellOf(boxes[t * 6 + 4]); y++) {
+                for (let z = cellOf(boxes[t * 6 + 2]); z <= cellOf(boxes[t * 6 + 5]); z++) {
+                    const key = cellKey(x, y, z);
+                    if (!cells.has(key)) cells.set(key, []);
+                    cells.get(key).push(t);
+                }
+            }
+        }
+    }
+
+    const corners = (t) => [0, 1, 2].map(k => {
+        const v = indices[t * 3 + k] * 3;
+        return [vertices[v], vertices[v + 1], vertices[v + 2]];
+    });
+    const sharesVertex = (s, t) => {
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                if (indices[s * 3 + i] === indices[t * 3 + j]) return true;
+            }
+        }
+        return false;
+    };
+
+    let count = 0;
+    for (const [key, list] of cells) {
+        for (let i = 0; i < list.length; i++) {
+            for (let j = i + 1; j < list.length; j++) {
+                const s = list[i];
+                const t = list[j];
+
+                // Boxes must overlap, and each pair is only tested in the cell
+                // holding the low corner of the overlap
+                const low = [];
+                let overlaps = true;
+                for (let axis = 0; axis < 3 && overlaps; axis++) {
+                    const min = Math.max(boxes[s * 6 + axis], boxes[t * 6 + axis]);
+                    overlaps = min <= Math.min(boxes[s * 6 + 3 + axis], boxes[t * 6 + 3 + axis]);
+                    low.push(cellOf(min));
+                }
+                if (!overlaps || cellKey(...low) !== key || sharesVertex(s, t)) continue;
+
+                if (trianglesIntersect(corners, s, t) && ++count >= limit) {
+                    return count;
+                }
+            }
+        }
+    }
+
+    return count;
+}
+
+// ============ Report ============
+/**
+ * Analyse a packed geometry. Every count is measured after welding, so a
+ * triangle-soup STL reports the same as its indexed equivalent.
+ */
+export function analyzeMesh(packed) {
+    const mesh = weldPacked(packed);
+    const { vertices, indices } = mesh;
+    const vertexCount = vertices.length / 3;
+
+    let degenerate = mesh.droppedCount;
+    for (let t = 0; t < indices.length / 3; t++) {
+        if (triangleArea(vertices, indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]) < HEALTH_LIMITS.degenerateArea) {
+            degenerate++;
+        }
+    }
+
+    const edges = buildEdgeMap(indices, vertexCount);
+    const shellInfo = findShells(indices, vertexCount);
+    const extraShells = findExtraShells(vertices, indices, shellInfo);
+    const flip = findFlippedTriangles(vertices, indices, edges);
+
+    const loops = findBoundaryLoops(indices, vertexCount)
+        .map(loop => loopPerimeter(vertices, loop))
+        .sort((a, b) => b - a);
+    const holes = loops.slice(1); // The longest loop is the scan's open border
+
+    const selfIntersections = countSelfIntersections(vertices, indices, HEALTH_LIMITS.maxSelfIntersections);
+
+    return {
+        triangles: indices.length / 3,
+        vertices: vertexCount,
+        degenerateTriangles: degenerate,
+        nonManifoldEdges: edges.nonManifold.size,
+        boundaryLoops: loops.length,
+        holes: holes.length,
+        smallHoles: holes.filter(perimeter => perimeter < HEALTH_LIMITS.smallHolePerimeter).length,
+        flippedTriangles: flip.reduce((count, value) => count + value, 0),
+        shells: shellInfo.shells.length,
+        smallShells: extraShells.small.size,
+        duplicateShells: extraShells.duplicate.size,
+        selfIntersections,
+        selfIntersectionsCapped: selfIntersections >= HEALTH_LIMITS.maxSelfIntersections
+    };
+}
+
+// Human-readable list of the problems in a report (empty = fit for processing)
+export function describeHealthIssues(report) {
+    const issues = [];
+    const add = (count, singular, plural, capped = false) => {
+        if (count > 0) issues.push(`${count}${capped ? '+' : ''} ${count === 1 ? singular : plural}`);
+    };
+
+    add(report.nonManifoldEdges, 'non-manifold edge', 'non-manifold edges');
+    add(report.holes, 'hole', 'holes');
+    add(report.flippedTriangles, 'flipped triangle', 'flipped triangles');
+    add(report.degenerateTriangles, 'degenerate triangle', 'degenerate triangles');
+    add(report.smallShells, 'small loose shell', 'small loose shells');
+    add(report.duplicateShells, 'duplicate shell', 'duplicate shells');
+    add(report.selfIntersections, 'self-intersection', 'self-intersections', report.selfIntersectionsCapped);
+    return issues;
+}
+
+// ============ Repairs ============
+/**
+ * Apply one repair (a REPAIR_ACTIONS key) and return a new packed,
+ * welded geometry. Vertex colors are kept.
+ */
+export function repairMesh(THREE, packed, action) {
+    const mesh = weldPacked(packed);
+    const { vertices } = mesh;
+    const vertexCount = vertices.length / 3;
+    let indices = mesh.indices;
+
+    switch (action) {
+        case 'weld': {
+            // Welding already happened; also drop zero-area slivers
+            const kept = [];
+            for (let t = 0; t < indices.length / 3; t++) {
+                const [a, b, c] = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+                if (triangleArea(vertices, a, b, c) >= HEALTH_LIMITS.degenerateArea) kept.push(a, b, c);
+            }
+            indices = new Uint32Array(kept);
+            break;
+        }
+        case 'shells': {
+            const shellInfo = findShells(indices, vertexCount);
+            const { small, duplicate } = findExtraShells(vertices, indices, shellInfo);
+            const kept = [];
+            shellInfo.triangleShell.forEach((shell, t) => {
+                if (!small.has(shell) && !duplicate.has(shell)) {
+                    kept.push(indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]);
+                }
+            });
+            indices = new Uint32Array(kept);
+            break;
+        }
+        case 'winding': {
+            const edges = buildEdgeMap(indices, vertexCount);
+            const flip = findFlippedTriangles(vertices, indices, edges);
+            indices = indices.slice();
+            flip.forEach((flipped, t) => {
+                if (!flipped) return;
+                const b = indices[t * 3 + 1];
+                indices[t * 3 + 1] = indices[t * 3 + 2];
+                indices[t * 3 + 2] = b;
+            });
+            break;
+        }
+        case 'holes': {
+            const holes = findBoundaryLoops(indices, vertexCount)
+                .map(loop => ({ loop, perimeter: loopPerimeter(vertices, loop) }))
+                .sort((a, b) => b.perimeter - a.perimeter)
+                .slice(1) // Leave the scan's open border to scan closing
+                .filter(hole => hole.perimeter < HEALTH_LIMITS.smallHolePerimeter);
+
+            const added = [];
+            holes.forEach(({ loop }) => fillLoop(THREE, vertices, loop).forEach(index => added.push(index)));
+
+            const filled = new Uint32Array(indices.length + added.length);
+            filled.set(indices);
+            filled.set(added, indices.length);
+            indices = filled;
+            break;
+        }
+        default:
+            throw new Error(`Unknown repair: ${action}`);
+    }
+
+    return toPacked({ vertices, indices, colors: mesh.colors });
+}
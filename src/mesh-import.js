@@ -0,0 +1,155 @@
+/**
+ * mesh-import.js
+ * Scan file format detection and parsing (STL, OBJ, PLY, 3MF).
+ * Every format is reduced to a single BufferGeometry with a position
+ * attribute and, when the file has them, per-vertex colors.
+ */
+
+import * as THREE from 'three';
+import { STLLoader } from 'three/addons/loaders/STLLoader.js';
+import { OBJLoader } from 'three/addons/loaders/OBJLoader.js';
+import { PLYLoader } from 'three/addons/loaders/PLYLoader.js';
+import { ThreeMFLoader } from 'three/addons/loaders/3MFLoader.js';
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js';
+
+export const SCAN_FORMATS = {
+    stl: 'STL',
+    obj: 'OBJ',
+    ply: 'PLY',
+    '3mf': '3MF'
+};
+
+// For file input `accept` attributes
+export const SCAN_ACCEPT = Object.keys(SCAN_FORMATS).map(ext => `.${ext}`).join(',');
+
+const stlLoader = new STLLoader();
+const objLoader = new OBJLoader();
+const plyLoader = new PLYLoader();
+const threeMFLoader = new ThreeMFLoader();
+
+// ============ Format Detection ============
+function getExtension(filename) {
+    const match = /\.([^.]+)$/.exec(filename || '');
+    return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Detect the scan format from magic bytes, falling back to the extension
+ * and finally to content heuristics. Returns a SCAN_FORMATS key or null.
+ */
+export function detectScanFormat(filename, buffer) {
+    const bytes = new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 512));
+    const header = String.fromCharCode(...bytes);
+
+    // Unambiguous signatures first
+    if (bytes[0] === 0x50 && bytes[1] === 0x4b && bytes[2] === 0x03 && bytes[3] === 0x04) {
+        return '3mf'; // 3MF is a ZIP container
+    }
+    if (/^ply\r?\n/.test(header)) {
+        return 'ply';
+    }
+
+    const extension = getExtension(filename);
+    if (SCAN_FORMATS[extension]) {
+        return extension;
+    }
+
+    // Binary STL: 80-byte header + triangle count + 50 bytes per triangle
+    if (buffer.byteLength >= 84) {
+        const triangles = new DataView(buffer).getUint32(80, true);
+        if (84 + triangles * 50 === buffer.byteLength) {
+            return 'stl';
+        }
+    }
+    if (/^\s*solid\b/.test(header)) {
+        return 'stl';
+    }
+    if (/^(v|vn|vt|f|o|g|mtllib|#)\s/m.test(header)) {
+        return 'obj';
+    }
+
+    return null;
+}
+
+// ============ Parsing ============
+// Collect every mesh of a loaded scene into one world-space geometry
+function mergeSceneMeshes(object) {
+    object.updateMatrixWorld(true);
+
+    const geometries = [];
+    object.traverse((child) => {
+        if (child.isMesh && child.geometry.attributes.position) {
+            const geometry = child.geometry.index ? child.geometry.toNonIndexed() : child.geometry.clone();
+            geometry.applyMatrix4(child.matrixWorld);
+            geometries.push(geometry);
+        }
+    });
+
+    if (geometries.length === 0) {
+        throw new Error('File contains no mesh data.');
+    }
+    if (geometries.length === 1) {
+        return geometries[0];
+    }
+
+    // mergeGeometries needs matching attributes: keep colors only if every part has them
+    const keepColor = geometries.every(geometry => geometry.attributes.color);
+    geometries.forEach(geometry => stripAttributes(geometry, keepColor));
+    return mergeGeometries(geometries);
+}
+
+// Keep only position (and optionally color); normals are recomputed by the app
+function stripAttributes(geometry, keepColor = true) {
+    Object.keys(geometry.attributes).forEach(name => {
+        if (name !== 'position' && !(keepColor && name === 'color')) {
+            geometry.deleteAttribute(name);
+        }
+    });
+
+    // Some loaders store RGBA colors; the model material only needs RGB
+    const color = geometry.attributes.color;
+    if (color && color.itemSize === 4) {
+        const rgb = new Float32Array(color.count * 3);
+        for (let i = 0; i < color.count; i++) {
+            rgb[i * 3] = color.getX(i);
+            rgb[i * 3 + 1] = color.getY(i);
+            rgb[i * 3 + 2] = color.getZ(i);
+        }
+        geometry.setAttribute('color', new THREE.BufferAttribute(rgb, 3));
+    }
+    return geometry;
+}
+
+/**
+ * Parse a scan file into a BufferGeometry.
+ * The result has a `color` attribute when the file carries vertex colors.
+ */
+export function parseScan(buffer, format) {
+    let geometry;
+
+    switch (format) {
+        case 'stl':
+            geometry = stlLoader.parse(buffer);
+            break;
+        case 'obj':
+            geometry = mergeSceneMeshes(objLoader.parse(new TextDecoder().decode(buffer)));
+            break;
+        case 'ply':
+            geometry = plyLoader.parse(buffer);
+            if (!geometry.index) {
+                throw new Error('PLY file has no faces (point clouds are not supported).');
+            }
+            break;
+        case '3mf':
+            geometry = mergeSceneMeshes(threeMFLoader.parse(buffer));
+            break;
+        default:
+            throw new Error(`Unsupported format: ${format}`);
+    }
+
+    stripAttributes(geometry);
+    if (geometry.attributes.position.count === 0) {
+        throw new Error('File contains no triangles.');
+    }
+    return geometry;
+}
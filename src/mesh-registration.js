@@ -0,0 +1,252 @@
+/**
+ * mesh-registration.js
+ * Rigid registration (ICP) of one scan onto another, used to carry an
+ * alignment over between scans of the same arch (e.g. serial aligner
+ * stages). Point-to-point ICP on a sample of the moving scan, with each
+ * step's rotation from Horn's quaternion method. Matches are searched in a
+ * grid over the fixed scan and limited to a shrinking distance, so parts
+ * that differ between the scans (moved teeth, trimmed borders) drop out.
+ * Works on packed world-space positions so it runs inside the processing
+ * worker.
+ */
+
+export const REGISTRATION_LIMITS = {
+    samples: 4000, // Points taken from the moving scan
+    stages: [4, 2, 1], // mm, match distance of each coarse-to-fine stage
+    iterations: 30, // Per stage
+    minPairs: 50, // Fewer matches than this means the scans do not overlap
+    tolerance: 1e-5 // Stop a stage once a step moves less than this (mm / rad)
+};
+
+// ============ Linear Algebra ============
+/**
+ * Largest eigenvector of a symmetric 4x4 matrix (cyclic Jacobi rotations).
+ * `m` is a row-major array of 16 numbers.
+ */
+function largestEigenvector4(m) {
+    const a = m.slice();
+    const v = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < 3; p++) {
+            for (let q = p + 1; q < 4; q++) offDiagonal += Math.abs(a[p * 4 + q]);
+        }
+        if (offDiagonal < 1e-12) break;
+
+        for (let p = 0; p < 3; p++) {
+            for (let q = p + 1; q < 4; q++) {
+                const apq = a[p * 4 + q];
+                if (Math.abs(apq) < 1e-15) continue;
+
+                const theta = (a[q * 4 + q] - a[p * 4 + p]) / (2 * apq);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < 4; k++) {
+                    const akp = a[k * 4 + p];
+                    const akq = a[k * 4 + q];
+                    a[k * 4 + p] = c * akp - s * akq;
+                    a[k * 4 + q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < 4; k++) {
+                    const apk = a[p * 4 + k];
+                    const aqk = a[q * 4 + k];
+                    a[p * 4 + k] = c * apk - s * aqk;
+                    a[q * 4 + k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < 4; k++) {
+                    const vkp = v[k * 4 + p];
+                    const vkq = v[k * 4 + q];
+                    v[k * 4 + p] = c * vkp - s * vkq;
+                    v[k * 4 + q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    let best = 0;
+    for (let i = 1; i < 4; i++) {
+        if (a[i * 4 + i] > a[best * 4 + best]) best = i;
+    }
+    return [v[best], v[4 + best], v[8 + best], v[12 + best]];
+}
+
+// Row-major 3x3 rotation of unit quaternion (w, x, y, z)
+function quaternionToMatrix([w, x, y, z]) {
+    return [
+        1 - 2 * (y * y + z * z), 2 * (x * y - w * z), 2 * (x * z + w * y),
+        2 * (x * y + w * z), 1 - 2 * (x * x + z * z), 2 * (y * z - w * x),
+        2 * (x * z - w * y), 2 * (y * z + w * x), 1 - 2 * (x * x + y * y)
+    ];
+}
+
+/**
+ * Rotation and translation that best map points p onto points q
+ * (Horn 1987). `pairs` is a flat array of [px, py, pz, qx, qy, qz, ...].
+ * Returns { rotation (row-major 3x3), translation }.
+ */
+function fitRigid(pairs, count) {
+    const pc = [0, 0, 0];
+    const qc = [0, 0, 0];
+    for (let i = 0; i < count; i++) {
+        for (let k = 0; k < 3; k++) {
+            pc[k] += pairs[i * 6 + k];
+            qc[k] += pairs[i * 6 + 3 + k];
+        }
+    }
+    for (let k = 0; k < 3; k++) {
+        pc[k] /= count;
+        qc[k] /= count;
+    }
+
+    // S[a][b] = sum of (p - pc)[a] * (q - qc)[b]
+    const S = new Array(9).fill(0);
+    for (let i = 0; i < count; i++) {
+        for (let r = 0; r < 3; r++) {
+            const p = pairs[i * 6 + r] - pc[r];
+            for (let c = 0; c < 3; c++) S[r * 3 + c] += p * (pairs[i * 6 + 3 + c] - qc[c]);
+        }
+    }
+    const [sxx, sxy, sxz, syx, syy, syz, szx, szy, szz] = S;
+    const rotation = quaternionToMatrix(largestEigenvector4([
+        sxx + syy + szz, syz - szy, szx - sxz, sxy - syx,
+        syz - szy, sxx - syy - szz, sxy + syx, szx + sxz,
+        szx - sxz, sxy + syx, -sxx + syy - szz, syz + szy,
+        sxy - syx, szx + sxz, syz + szy, -sxx - syy + szz
+    ]));
+
+    const translation = [0, 1, 2].map(r =>
+        qc[r] - (rotation[r * 3] * pc[0] + rotation[r * 3 + 1] * pc[1] + rotation[r * 3 + 2] * pc[2]));
+    return { rotation, translation };
+}
+
+// ============ Nearest Neighbours ============
+// Hash grid over the fixed points with cells as large as the match distance,
+// so a point's match is always in its own or a neighbouring cell
+function buildPointGrid(points, cellSize) {
+    const cells = new Map();
+    const key = (x, y, z) => `${x},${y},${z}`;
+    for (let i = 0; i < points.length; i += 3) {
+        const k = key(Math.floor(points[i] / cellSize), Math.floor(points[i + 1] / cellSize), Math.floor(points[i + 2] / cellSize));
+        const cell = cells.get(k);
+        if (cell) cell.push(i);
+        else cells.set(k, [i]);
+    }
+
+    return {
+        // Offset of the closest fixed point within cellSize, or -1
+        nearest(x, y, z) {
+            const cx = Math.floor(x / cellSize);
+            const cy = Math.floor(y / cellSize);
+            const cz = Math.floor(z / cellSize);
+            let best = -1;
+            let bestDistance = cellSize * cellSize;
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        const cell = cells.get(key(cx + dx, cy + dy, cz + dz));
+                        if (!cell) continue;
+                        for (const i of cell) {
+                            const ex = points[i] - x;
+                            const ey = points[i + 1] - y;
+                            const ez = points[i + 2] - z;
+                            const distance = ex * ex + ey * ey + ez * ez;
+                            if (distance < bestDistance) {
+                                bestDistance = distance;
+                                best = i;
+                            }
+                        }
+                    }
+                }
+            }
+            return best;
+        }
+    };
+}
+
+// ============ ICP ============
+/**
+ * Register `moving` onto `fixed` (flat world-space xyz arrays).
+ * Returns { matrix, rms, overlap, iterations } where matrix is the rigid
+ * correction for the moving scan in world space (column-major 4x4, as
+ * THREE.Matrix4.fromArray expects), rms the final match distance (mm) and
+ * overlap the fraction of samples that found a match.
+ */
+export function registerScans(moving, fixed) {
+    const { samples, stages, iterations, minPairs, tolerance } = REGISTRATION_LIMITS;
+    const vertexCount = moving.length / 3;
+    const stride = Math.max(1, Math.floor(vertexCount / samples));
+    const sampleCount = Math.floor(vertexCount / stride);
+
+    const current = new Float64Array(sampleCount * 3);
+    for (let s = 0; s < sampleCount; s++) {
+        for (let k = 0; k < 3; k++) current[s * 3 + k] = moving[s * stride * 3 + k];
+    }
+
+    // Accumulated correction: x' = R x + t
+    let R = [1, 0, 0, 0, 1, 0, 0, 0, 1];
+    let t = [0, 0, 0];
+    const pairs = new Float64Array(sampleCount * 6);
+    let pairCount = 0;
+    let squaredSum = 0;
+    let steps = 0;
+
+    const match = (grid) => {
+        pairCount = 0;
+        squaredSum = 0;
+        for (let s = 0; s < sampleCount; s++) {
+            const x = current[s * 3], y = current[s * 3 + 1], z = current[s * 3 + 2];
+            const i = grid.nearest(x, y, z);
+            if (i < 0) continue;
+            pairs.set([x, y, z, fixed[i], fixed[i + 1], fixed[i + 2]], pairCount * 6);
+            squaredSum += (fixed[i] - x) ** 2 + (fixed[i + 1] - y) ** 2 + (fixed[i + 2] - z) ** 2;
+            pairCount++;
+        }
+    };
+
+    for (const distance of stages) {
+        const grid = buildPointGrid(fixed, distance);
+
+        for (let iteration = 0; iteration < iterations; iteration++) {
+            match(grid);
+            if (pairCount < minPairs) {
+                throw new Error('The scans barely overlap here. Apply the transform first, or check that both scans are of the same arch.');
+            }
+
+            const step = fitRigid(pairs, pairCount);
+            const r = step.rotation;
+            for (let s = 0; s < sampleCount; s++) {
+                const x = current[s * 3], y = current[s * 3 + 1], z = current[s * 3 + 2];
+                for (let k = 0; k < 3; k++) {
+                    current[s * 3 + k] = r[k * 3] * x + r[k * 3 + 1] * y + r[k * 3 + 2] * z + step.translation[k];
+                }
+            }
+
+            // Compose: R <- r R, t <- r t + step.t
+            R = [0, 1, 2].flatMap(row => [0, 1, 2].map(col =>
+                r[row * 3] * R[col] + r[row * 3 + 1] * R[3 + col] + r[row * 3 + 2] * R[6 + col]));
+            t = [0, 1, 2].map(row =>
+                r[row * 3] * t[0] + r[row * 3 + 1] * t[1] + r[row * 3 + 2] * t[2] + step.translation[row]);
+            steps++;
+
+            const angle = Math.acos(Math.min(1, Math.max(-1, (r[0] + r[4] + r[8] - 1) / 2)));
+            const shift = Math.hypot(...step.translation);
+            if (angle < tolerance && shift < tolerance) break;
+        }
+    }
+
+    match(buildPointGrid(fixed, stages[stages.length - 1]));
+    return {
+        matrix: [
+            R[0], R[3], R[6], 0,
+            R[1], R[4], R[7], 0,
+            R[2], R[5], R[8], 0,
+            t[0], t[1], t[2], 1
+        ],
+        rms: pairCount > 0 ? Math.sqrt(squaredSum / pairCount) : Infinity,
+        overlap: pairCount / sampleCount,
+        iterations: steps
+    };
+}
@@ -0,0 +1,234 @@
+/**
+ * mesh-topology.js
+ * Connectivity helpers on plain typed arrays: welding triangle soup into
+ * shared vertices and walking open borders.
+ * Kept free of imports so it loads both on the page and inside workers.
+ */
+
+/**
+ * Weld coincident corners into shared vertices.
+ * `positions` is a flat xyz array; `index` is optional (null = triangle soup).
+ * Per-vertex `colors` (rgb) are carried over from the first welded corner.
+ * Degenerate triangles (two corners welded together) are dropped.
+ * Returns { vertices: Float32Array, indices: Uint32Array, colors, droppedCount }.
+ */
+export function weldVertices(positions, index = null, { tolerance = 1e-4, colors = null } = {}) {
+    const cornerCount = index ? index.length : positions.length / 3;
+    const lookup = new Map();
+    const vertices = [];
+    const weldedColors = colors ? [] : null;
+    const remap = new Uint32Array(cornerCount);
+
+    for (let corner = 0; corner < cornerCount; corner++) {
+        const source = (index ? index[corner] : corner) * 3;
+        const x = positions[source];
+        const y = positions[source + 1];
+        const z = positions[source + 2];
+        const key = `${Math.round(x / tolerance)},${Math.round(y / tolerance)},${Math.round(z / tolerance)}`;
+
+        let vertex = lookup.get(key);
+        if (vertex === undefined) {
+            vertex = vertices.length / 3;
+            lookup.set(key, vertex);
+            vertices.push(x, y, z);
+            if (colors) weldedColors.push(colors[source], colors[source + 1], colors[source + 2]);
+        }
+        remap[corner] = vertex;
+    }
+
+    const indices = [];
+    let droppedCount = 0;
+    for (let corner = 0; corner + 2 < cornerCount; corner += 3) {
+        const a = remap[corner];
+        const b = remap[corner + 1];
+        const c = remap[corner + 2];
+        if (a !== b && b !== c && c !== a) {
+            indices.push(a, b, c);
+        } else {
+            droppedCount++;
+        }
+    }
+
+    return {
+        vertices: new Float32Array(vertices),
+        indices: new Uint32Array(indices),
+        colors: weldedColors ? new Float32Array(weldedColors) : null,
+        droppedCount
+    };
+}
+
+/**
+ * Find the closed loops of boundary edges (edges used by only one triangle).
+ * Each loop is an array of vertex indices in the winding direction of the
+ * triangles that own its edges, so loop[i] -> loop[i + 1] is a face edge.
+ * Open chains that never close (non-manifold borders) are skipped.
+ */
+export function findBoundaryLoops(indices, vertexCount) {
+    const edgeKey = (a, b) => a * vertexCount + b;
+    const halfEdges = new Set();
+
+    for (let i = 0; i < indices.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            halfEdges.add(edgeKey(indices[i + k], indices[i + (k + 1) % 3]));
+        }
+    }
+
+    // Boundary half-edges, grouped by their start vertex
+    const outgoing = new Map();
+    for (let i = 0; i < indices.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            const a = indices[i + k];
+            const b = indices[i + (k + 1) % 3];
+            if (!halfEdges.has(edgeKey(b, a))) {
+                if (!outgoing.has(a)) outgoing.set(a, []);
+                outgoing.get(a).push(b);
+            }
+        }
+    }
+
+    const loops = [];
+    for (const start of outgoing.keys()) {
+        while (outgoing.get(start).length > 0) {
+            const loop = [start];
+            let current = outgoing.get(start).pop();
+
+            while (current !== start) {
+                const next = outgoing.get(current);
+                if (!next || next.length === 0) break; // Chain does not close
+                loop.push(current);
+                current = next.pop();
+            }
+
+            if (current === start && loop.length >= 3) {
+                loops.push(loop);
+            }
+        }
+    }
+
+    return loops;
+}
+
+// Total edge length of a closed loop
+export function loopPerimeter(vertices, loop) {
+    let length = 0;
+    for (let i = 0; i < loop.length; i++) {
+        const a = loop[i] * 3;
+        const b = loop[(i + 1) % loop.length] * 3;
+        length += Math.hypot(
+            vertices[b] - vertices[a],
+            vertices[b + 1] - vertices[a + 1],
+            vertices[b + 2] - vertices[a + 2]
+        );
+    }
+    return length;
+}
+
+/**
+ * Count edges that break a closed 2-manifold.
+ *   nonManifoldEdges  edges shared by three or more triangles
+ *   boundaryEdges     edges used by a single triangle
+ *   openEdges         boundary edges that are really open. Boolean results
+ *                     are full of T-junctions, where one long edge on one side
+ *                     of a seam meets several shorter ones on the other: all
+ *                     of them are boundary edges but the surface has no gap.
+ *                     An edge is open only if opposite boundary edges along
+ *                     the same line do not cover its whole length.
+ */
+export function countEdgeDefects(vertices, indices, tolerance = 1e-3) {
+    const vertexCount = vertices.length / 3;
+    const usage = new Map();
+    for (let i = 0; i < indices.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            const a = indices[i + k];
+            const b = indices[i + (k + 1) % 3];
+            const key = Math.min(a, b) * vertexCount + Math.max(a, b);
+            usage.set(key, (usage.get(key) || 0) + 1);
+        }
+    }
+
+    let nonManifoldEdges = 0;
+    usage.forEach(count => {
+        if (count > 2) nonManifoldEdges++;
+    });
+
+    const point = (v) => [vertices[v * 3], vertices[v * 3 + 1], vertices[v * 3 + 2]];
+    const boundary = [];
+    let edgeLength = 0;
+    for (let i = 0; i < indices.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            const a = indices[i + k];
+            const b = indices[i + (k + 1) % 3];
+            if (usage.get(Math.min(a, b) * vertexCount + Math.max(a, b)) === 1) {
+                const p = point(a);
+                const q = point(b);
+                const length = Math.hypot(q[0] - p[0], q[1] - p[1], q[2] - p[2]);
+                boundary.push({ p, q, length });
+                edgeLength += length;
+            }
+        }
+    }
+    if (boundary.length === 0) {
+        return { boundaryEdges: 0, openEdges: 0, nonManifoldEdges };
+    }
+
+    // Hash boundary edges into every grid cell their bounding box touches
+    const cellSize = Math.max(2 * edgeLength / boundary.length, tolerance * 10);
+    const cellOf = (value) => Math.floor(value / cellSize);
+    const cellRange = ({ p, q }) => [
+        p.map((value, axis) => cellOf(Math.min(value, q[axis]) - tolerance)),
+        p.map((value, axis) => cellOf(Math.max(value, q[axis]) + tolerance))
+    ];
+    const forEachCell = ([low, high], visit) => {
+        for (let x = low[0]; x <= high[0]; x++) {
+            for (let y = low[1]; y <= high[1]; y++) {
+                for (let z = low[2]; z <= high[2]; z++) visit(`${x},${y},${z}`);
+            }
+        }
+    };
+
+    const grid = new Map();
+    boundary.forEach((edge, i) => {
+        forEachCell(cellRange(edge), key => {
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(i);
+        });
+    });
+
+    let openEdges = 0;
+    boundary.forEach((edge, i) => {
+        if (edge.length === 0) return;
+        const { p, q, length } = edge;
+        const dir = [(q[0] - p[0]) / length, (q[1] - p[1]) / length, (q[2] - p[2]) / length];
+        const along = (r) => (r[0] - p[0]) * dir[0] + (r[1] - p[1]) * dir[1] + (r[2] - p[2]) * dir[2];
+        const offLine = (r) => {
+            const s = along(r);
+            return Math.hypot(p[0] + dir[0] * s - r[0], p[1] + dir[1] * s - r[1], p[2] + dir[2] * s - r[2]);
+        };
+
+        // Opposite-running collinear edges, as covered intervals along this edge
+        const seen = new Set();
+        const intervals = [];
+        forEachCell(cellRange(edge), key => {
+            grid.get(key).forEach(j => {
+                if (j === i || seen.has(j)) return;
+                seen.add(j);
+                const other = boundary[j];
+                if (offLine(other.p) > tolerance || offLine(other.q) > tolerance) return;
+                const start = along(other.q);
+                const end = along(other.p);
+                if (end <= start) return; // Runs the same way, not a matching side
+                intervals.push([Math.max(start, 0), Math.min(end, length)]);
+            });
+        });
+
+        intervals.sort((a, b) => a[0] - b[0]);
+        let covered = 0;
+        for (const [start, end] of intervals) {
+            if (start > covered + tolerance) break;
+            covered = Math.max(covered, end);
+        }
+        if (covered < length - tolerance) openEdges++;
+    });
+
+    return { boundaryEdges: boundary.length, openEdges, nonManifoldEdges };
+}
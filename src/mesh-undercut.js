@@ -0,0 +1,368 @@
+/**
+ * mesh-undercut.js
+ * Undercuts of a scan relative to the rig's pull-out axis (world +Y).
+ * A surface point is undercut when the scan covers it from above; its depth
+ * is how far it sits horizontally inside that cover, measured on a top-down
+ * height grid. The survey line is the height of contour (normal at right
+ * angles to the pull axis) where it borders the undercuts.
+ * The block-out fills the undercuts, optionally leaving a set depth at
+ * chosen teeth, as a solid that is unioned into the scan before processing.
+ * Works on packed world-space geometry (see geometry-transfer.js) so it runs
+ * inside the processing worker.
+ */
+
+export const UNDERCUT_LIMITS = {
+    cellSize: 0.05, // mm, height grid resolution
+    maxCells: 4000, // Per side, the grid coarsens for very large scans
+    maxDepth: 1, // mm, deeper undercuts are reported at this depth
+    minDepth: 0.1 // mm, anything shallower is below the grid's resolution
+};
+
+export const BLOCKOUT_LIMITS = {
+    cellSize: 0.05, // mm, block-out is stepped at this resolution
+    overlap: 0.2, // mm, how far the block-out reaches into the scan above the undercut
+    toothRadius: 4 // mm, around a picked tooth that keeps its residual undercut
+};
+
+// ============ Height Grid ============
+// Highest surface point over every grid column, rasterised from the triangles
+function buildHeightGrid(position, index, cellSize) {
+    let minX = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+    for (let i = 0; i < position.length; i += 3) {
+        minX = Math.min(minX, position[i]);
+        maxX = Math.max(maxX, position[i]);
+        minZ = Math.min(minZ, position[i + 2]);
+        maxZ = Math.max(maxZ, position[i + 2]);
+    }
+
+    const size = Math.max(cellSize, (maxX - minX) / UNDERCUT_LIMITS.maxCells, (maxZ - minZ) / UNDERCUT_LIMITS.maxCells);
+    const columns = Math.floor((maxX - minX) / size) + 1;
+    const rows = Math.floor((maxZ - minZ) / size) + 1;
+    const top = new Float32Array(columns * rows).fill(-Infinity);
+    const cellX = (x) => Math.min(columns - 1, Math.floor((x - minX) / size));
+    const cellZ = (z) => Math.min(rows - 1, Math.floor((z - minZ) / size));
+    const grid = { top, columns, rows, size, minX, minZ, cellX, cellZ };
+
+    // Vertices first, so thin near-vertical triangles still mark their columns
+    for (let i = 0; i < position.length; i += 3) {
+        const cell = cellZ(position[i + 2]) * columns + cellX(position[i]);
+        top[cell] = Math.max(top[cell], position[i + 1]);
+    }
+
+    const triangleCount = index ? index.length / 3 : position.length / 9;
+    for (let t = 0; t < triangleCount; t++) {
+        const a = (index ? index[t * 3] : t * 3) * 3;
+        const b = (index ? index[t * 3 + 1] : t * 3 + 1) * 3;
+        const c = (index ? index[t * 3 + 2] : t * 3 + 2) * 3;
+
+        forEachCoveredColumn(grid, position, a, b, c, (cell, y) => {
+            if (y > top[cell]) top[cell] = y;
+        });
+    }
+
+    return grid;
+}
+
+// Visit the column centres inside a triangle's top-down projection, with the
+// triangle's height there. Vertical triangles cover no centre.
+function forEachCoveredColumn(grid, position, a, b, c, visit) {
+    const { size, minX, minZ, cellX, cellZ } = grid;
+    const e1x = position[b] - position[a];
+    const e1z = position[b + 2] - position[a + 2];
+    const e2x = position[c] - position[a];
+    const e2z = position[c + 2] - position[a + 2];
+    const det = e1x * e2z - e2x * e1z;
+    if (det === 0) return;
+
+    const x0 = cellX(Math.min(position[a], position[b], position[c]));
+    const x1 = cellX(Math.max(position[a], position[b], position[c]));
+    const z0 = cellZ(Math.min(position[a + 2], position[b + 2], position[c + 2]));
+    const z1 = cellZ(Math.max(position[a + 2], position[b + 2], position[c + 2]));
+    for (let cz = z0; cz <= z1; cz++) {
+        const pz = minZ + (cz + 0.5) * size - position[a + 2];
+        for (let cx = x0; cx <= x1; cx++) {
+            const px = minX + (cx + 0.5) * size - position[a];
+            const s = (px * e2z - e2x * pz) / det;
+            const r = (e1x * pz - px * e1z) / det;
+            if (s < 0 || r < 0 || s + r > 1) continue;
+
+            visit(cz * grid.columns + cx, position[a + 1] + s * (position[b + 1] - position[a + 1]) + r * (position[c + 1] - position[a + 1]));
+        }
+    }
+}
+
+// Grid offsets within `radius` cells, nearest first
+function ringOffsets(radius) {
+    const offsets = [];
+    for (let dz = -radius; dz <= radius; dz++) {
+        for (let dx = -radius; dx <= radius; dx++) {
+            const distance = Math.hypot(dx, dz);
+            if (distance <= radius) offsets.push({ dx, dz, distance });
+        }
+    }
+    return offsets.sort((a, b) => a.distance - b.distance);
+}
+
+// ============ Vertex Normals ============
+function vertexNormalY(position, index) {
+    const vertexCount = position.length / 3;
+    const normals = new Float32Array(vertexCount * 3);
+    const triangleCount = index ? index.length / 3 : vertexCount / 3;
+
+    for (let t = 0; t < triangleCount; t++) {
+        const corners = [0, 1, 2].map(k => index ? index[t * 3 + k] : t * 3 + k);
+        const [a, b, c] = corners.map(v => v * 3);
+        const e1 = [position[b] - position[a], position[b + 1] - position[a + 1], position[b + 2] - position[a + 2]];
+        const e2 = [position[c] - position[a], position[c + 1] - position[a + 1], position[c + 2] - position[a + 2]];
+        // Area-weighted face normal
+        const n = [
+            e1[1] * e2[2] - e1[2] * e2[1],
+            e1[2] * e2[0] - e1[0] * e2[2],
+            e1[0] * e2[1] - e1[1] * e2[0]
+        ];
+        corners.forEach(v => {
+            normals[v * 3] += n[0];
+            normals[v * 3 + 1] += n[1];
+            normals[v * 3 + 2] += n[2];
+        });
+    }
+
+    const normalY = new Float32Array(vertexCount);
+    for (let v = 0; v < vertexCount; v++) {
+        const length = Math.hypot(normals[v * 3], normals[v * 3 + 1], normals[v * 3 + 2]);
+        normalY[v] = length > 0 ? normals[v * 3 + 1] / length : 0;
+    }
+    return normalY;
+}
+
+// Horizontal distance (mm) from a point to the nearest column that is clear
+// down to it, i.e. how far it sits under the scan. 0 when it is open above.
+function coverDepth(grid, offsets, x, y, z) {
+    const column = grid.cellX(x);
+    const row = grid.cellZ(z);
+    const clearY = y + grid.size * 0.1;
+    if (grid.top[row * grid.columns + column] <= clearY) return 0;
+
+    for (const { dx, dz, distance } of offsets) {
+        const cx = column + dx;
+        const cz = row + dz;
+        const outside = cx < 0 || cz < 0 || cx >= grid.columns || cz >= grid.rows;
+        if (outside || grid.top[cz * grid.columns + cx] <= clearY) {
+            return Math.min(distance * grid.size, UNDERCUT_LIMITS.maxDepth);
+        }
+    }
+    return UNDERCUT_LIMITS.maxDepth;
+}
+
+// ============ Analysis ============
+/**
+ * Undercut map of a world-space scan.
+ *   options.floorY  world height below which the base trim removes the scan;
+ *                   surfaces under it are not reported (default: keep all)
+ * Returns {
+ *   depth        Float32Array per vertex, mm (0 = reachable from above)
+ *   angle        Float32Array per vertex, degrees between normal and +Y
+ *   surveyLine   Float32Array of line segment end points (world xyz)
+ *   undercutArea mm² of triangles entirely in undercut
+ *   deepest      mm, capped at UNDERCUT_LIMITS.maxDepth
+ * }
+ */
+export function analyzeUndercuts(packed, { floorY = -Infinity } = {}) {
+    const { position, index } = packed;
+    const vertexCount = position.length / 3;
+    const grid = buildHeightGrid(position, index, UNDERCUT_LIMITS.cellSize);
+    const offsets = ringOffsets(Math.ceil(UNDERCUT_LIMITS.maxDepth / grid.size));
+
+    const depth = new Float32Array(vertexCount);
+    let deepest = 0;
+    for (let v = 0; v < vertexCount; v++) {
+        if (position[v * 3 + 1] < floorY) continue;
+        const distance = coverDepth(grid, offsets, position[v * 3], position[v * 3 + 1], position[v * 3 + 2]);
+        if (distance >= UNDERCUT_LIMITS.minDepth) {
+            depth[v] = distance;
+            deepest = Math.max(deepest, distance);
+        }
+    }
+
+    const normalY = vertexNormalY(position, index);
+    const angle = new Float32Array(vertexCount);
+    for (let v = 0; v < vertexCount; v++) {
+        angle[v] = Math.acos(Math.max(-1, Math.min(1, normalY[v]))) * 180 / Math.PI;
+    }
+
+    // Survey line: where the normal turns horizontal on surface that is
+    // open from above (the height of contour, not folds hidden under it)
+    const surveyLine = [];
+    let undercutArea = 0;
+    const triangleCount = index ? index.length / 3 : vertexCount / 3;
+    for (let t = 0; t < triangleCount; t++) {
+        const corners = [0, 1, 2].map(k => index ? index[t * 3 + k] : t * 3 + k);
+
+        if (corners.every(v => depth[v] > 0)) {
+            const [a, b, c] = corners.map(v => v * 3);
+            const e1 = [position[b] - position[a], position[b + 1] - position[a + 1], position[b + 2] - position[a + 2]];
+            const e2 = [position[c] - position[a], position[c + 1] - position[a + 1], position[c + 2] - position[a + 2]];
+            undercutArea += Math.hypot(
+                e1[1] * e2[2] - e1[2] * e2[1],
+                e1[2] * e2[0] - e1[0] * e2[2],
+                e1[0] * e2[1] - e1[1] * e2[0]
+            ) / 2;
+            continue;
+        }
+
+        const crossings = [];
+        for (let k = 0; k < 3; k++) {
+            const a = corners[k];
+            const b = corners[(k + 1) % 3];
+            if ((normalY[a] > 0) === (normalY[b] > 0)) continue;
+            const s = normalY[a] / (normalY[a] - normalY[b]);
+            for (let axis = 0; axis < 3; axis++) {
+                crossings.push(position[a * 3 + axis] + s * (position[b * 3 + axis] - position[a * 3 + axis]));
+            }
+        }
+        if (crossings.length !== 6) continue;
+
+        const [x, y, z] = [0, 1, 2].map(axis => (crossings[axis] + crossings[axis + 3]) / 2);
+        if (y < floorY) continue;
+        if (coverDepth(grid, offsets, x, y, z) < UNDERCUT_LIMITS.minDepth) crossings.forEach(value => surveyLine.push(value));
+    }
+
+    return {
+        depth,
+        angle,
+        surveyLine: new Float32Array(surveyLine),
+        undercutArea,
+        deepest
+    };
+}
+
+// ============ Block-out ============
+/**
+ * Solid that fills the undercuts of a world-space scan when unioned with it.
+ * Every grid column under an undercut is filled from `floorY` up to just above
+ * the undercut surface, so the blocked-out scan comes straight off along +Y.
+ *   options.floorY         bottom of the block-out, inside the base trim
+ *   options.residualDepth  mm of undercut left at the residual sites
+ *   options.residualSites  [{ x, z }] picked teeth; within
+ *                          BLOCKOUT_LIMITS.toothRadius of one, undercuts are
+ *                          only filled deeper than residualDepth
+ * Undercuts shallower than one grid cell are left everywhere.
+ * Returns { position, index, cellCount } (packed, world space), or null when
+ * there is nothing to fill.
+ */
+export function buildBlockout(packed, { floorY, residualDepth = 0, residualSites = [] }) {
+    const { position, index } = packed;
+    const grid = buildHeightGrid(position, index, BLOCKOUT_LIMITS.cellSize);
+    const { top, columns, rows, size } = grid;
+    const cellCount = columns * rows;
+
+    // Allowed undercut per column, in cells
+    const minRadius = 1;
+    const residualRadius = Math.max(minRadius, Math.round(residualDepth / size));
+    const radius = new Uint8Array(cellCount).fill(minRadius);
+    residualSites.forEach(site => {
+        const reach = Math.ceil(BLOCKOUT_LIMITS.toothRadius / size);
+        const siteX = grid.cellX(site.x);
+        const siteZ = grid.cellZ(site.z);
+        for (let cz = Math.max(0, siteZ - reach); cz <= Math.min(rows - 1, siteZ + reach); cz++) {
+            for (let cx = Math.max(0, siteX - reach); cx <= Math.min(columns - 1, siteX + reach); cx++) {
+                if (Math.hypot(cx - siteX, cz - siteZ) <= reach) radius[cz * columns + cx] = residualRadius;
+            }
+        }
+    });
+
+    // Surface below `limit` is more than the allowed depth inside the cover:
+    // every column within that distance reaches higher
+    const offsets = ringOffsets(residualRadius);
+    const limit = new Float32Array(cellCount);
+    for (let cz = 0; cz < rows; cz++) {
+        for (let cx = 0; cx < columns; cx++) {
+            const cell = cz * columns + cx;
+            let lowest = top[cell];
+            for (const { dx, dz, distance } of offsets) {
+                if (distance > radius[cell]) break;
+                const nx = cx + dx;
+                const nz = cz + dz;
+                const outside = nx < 0 || nz < 0 || nx >= columns || nz >= rows;
+                lowest = Math.min(lowest, outside ? -Infinity : top[nz * columns + nx]);
+                if (lowest === -Infinity) break;
+            }
+            limit[cell] = lowest;
+        }
+    }
+
+    // Fill height per column: the highest undercut surface, plus some overlap
+    const fill = new Float32Array(cellCount).fill(-Infinity);
+    const mark = (cell, y) => {
+        if (y > floorY && y < limit[cell] && y > fill[cell]) fill[cell] = y;
+    };
+    for (let i = 0; i < position.length; i += 3) {
+        mark(grid.cellZ(position[i + 2]) * columns + grid.cellX(position[i]), position[i + 1]);
+    }
+    const triangleCount = index ? index.length / 3 : position.length / 9;
+    for (let t = 0; t < triangleCount; t++) {
+        const a = (index ? index[t * 3] : t * 3) * 3;
+        const b = (index ? index[t * 3 + 1] : t * 3 + 1) * 3;
+        const c = (index ? index[t * 3 + 2] : t * 3 + 2) * 3;
+        forEachCoveredColumn(grid, position, a, b, c, mark);
+    }
+
+    let filledCells = 0;
+    for (let cell = 0; cell < cellCount; cell++) {
+        if (fill[cell] === -Infinity) continue;
+        fill[cell] = Math.min(limit[cell], fill[cell] + BLOCKOUT_LIMITS.overlap);
+        filledCells++;
+    }
+    if (filledCells === 0) return null;
+
+    // Stepped solid over the filled columns: a top and bottom per cell and
+    // walls along the border. Corners take the lowest neighbouring fill so the
+    // top never rises above what any of its cells allow.
+    const vertices = [];
+    const corners = new Map();
+    const corner = (cx, cz) => {
+        const key = cz * (columns + 1) + cx;
+        let vertex = corners.get(key);
+        if (vertex === undefined) {
+            let height = Infinity;
+            for (const [nx, nz] of [[cx - 1, cz - 1], [cx, cz - 1], [cx - 1, cz], [cx, cz]]) {
+                if (nx < 0 || nz < 0 || nx >= columns || nz >= rows) continue;
+                const cellFill = fill[nz * columns + nx];
+                if (cellFill !== -Infinity) height = Math.min(height, cellFill);
+            }
+            const x = grid.minX + cx * size;
+            const z = grid.minZ + cz * size;
+            vertex = vertices.length / 3;
+            vertices.push(x, height, z, x, floorY, z);
+            corners.set(key, vertex);
+        }
+        return vertex;
+    };
+    const filled = (cx, cz) => cx >= 0 && cz >= 0 && cx < columns && cz < rows && fill[cz * columns + cx] !== -Infinity;
+
+    const indices = [];
+    // Wall from corner a to corner b, facing to the right of a -> b seen from above
+    const wall = (a, b) => indices.push(a, a + 1, b, b, a + 1, b + 1);
+    for (let cz = 0; cz < rows; cz++) {
+        for (let cx = 0; cx < columns; cx++) {
+            if (!filled(cx, cz)) continue;
+            const p00 = corner(cx, cz);
+            const p10 = corner(cx + 1, cz);
+            const p01 = corner(cx, cz + 1);
+            const p11 = corner(cx + 1, cz + 1);
+
+            indices.push(p00, p01, p10, p10, p01, p11); // Top, facing +Y
+            indices.push(p00 + 1, p10 + 1, p01 + 1, p10 + 1, p11 + 1, p01 + 1); // Bottom, facing -Y
+            if (!filled(cx - 1, cz)) wall(p00, p01);
+            if (!filled(cx + 1, cz)) wall(p11, p10);
+            if (!filled(cx, cz - 1)) wall(p10, p00);
+            if (!filled(cx, cz + 1)) wall(p01, p11);
+        }
+    }
+
+    return {
+        position: new Float32Array(vertices),
+        index: new Uint32Array(indices),
+        cellCount: filledCells
+    };
+}
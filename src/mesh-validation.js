@@ -0,0 +1,180 @@
+/**
+ * mesh-validation.js
+ * Printability checks on the processed model: closed 2-manifold, volume,
+ * bounding box, and whether every screw hole was really subtracted.
+ * Works on packed world-space geometry (see geometry-transfer.js) so it
+ * runs inside the processing worker after the Boolean chain.
+ */
+
+import { weldVertices, countEdgeDefects } from './mesh-topology.js';
+
+// Samples taken along each screw axis that must all be empty space
+const AXIS_SAMPLES = 5;
+
+// How far outside the screw radius we look for surrounding material (mm)
+const WALL_PROBE_DISTANCE = 1;
+
+// ============ Point Containment ============
+// Per-triangle bounding boxes so each ray only tests triangles it can hit
+function buildTriangleBoxes(vertices, indices) {
+    const boxes = new Float32Array(indices.length * 2);
+    for (let t = 0; t < indices.length / 3; t++) {
+        for (let axis = 0; axis < 3; axis++) {
+            const a = vertices[indices[t * 3] * 3 + axis];
+            const b = vertices[indices[t * 3 + 1] * 3 + axis];
+            const c = vertices[indices[t * 3 + 2] * 3 + axis];
+            boxes[t * 6 + axis] = Math.min(a, b, c);
+            boxes[t * 6 + 3 + axis] = Math.max(a, b, c);
+        }
+    }
+    return boxes;
+}
+
+// Number of triangles crossed by a ray from `point` along +axis
+function countCrossings(vertices, indices, boxes, point, axis) {
+    const u = (axis + 1) % 3;
+    const v = (axis + 2) % 3;
+    let crossings = 0;
+
+    for (let t = 0; t < indices.length / 3; t++) {
+        if (boxes[t * 6 + 3 + axis] < point[axis] ||
+            boxes[t * 6 + u] > point[u] || boxes[t * 6 + 3 + u] < point[u] ||
+            boxes[t * 6 + v] > point[v] || boxes[t * 6 + 3 + v] < point[v]) {
+            continue;
+        }
+
+        // Barycentric coordinates of the ray in the triangle's (u, v) projection
+        const a = indices[t * 3] * 3;
+        const b = indices[t * 3 + 1] * 3;
+        const c = indices[t * 3 + 2] * 3;
+        const e1u = vertices[b + u] - vertices[a + u];
+        const e1v = vertices[b + v] - vertices[a + v];
+        const e2u = vertices[c + u] - vertices[a + u];
+        const e2v = vertices[c + v] - vertices[a + v];
+        const det = e1u * e2v - e2u * e1v;
+        if (det === 0) continue;
+
+        const pu = point[u] - vertices[a + u];
+        const pv = point[v] - vertices[a + v];
+        const s = (pu * e2v - e2u * pv) / det;
+        const r = (e1u * pv - pu * e1v) / det;
+        if (s < 0 || r < 0 || s + r > 1) continue;
+
+        const hit = vertices[a + axis] + s * (vertices[b + axis] - vertices[a + axis]) + r * (vertices[c + axis] - vertices[a + axis]);
+        if (hit >= point[axis]) crossings++;
+    }
+
+    return crossings;
+}
+
+// Small sideways ray offsets (mm). Rig parts are symmetric about their axes,
+// so a ray from a screw centre would otherwise run exactly along mesh edges.
+const RAY_JITTER = [0.0123, 0.0271, 0.0197];
+
+// Parity test along all three axes, majority vote to ride out edge hits
+function isInside(vertices, indices, boxes, point) {
+    let votes = 0;
+    for (let axis = 0; axis < 3; axis++) {
+        const origin = point.slice();
+        origin[(axis + 1) % 3] += RAY_JITTER[axis];
+        origin[(axis + 2) % 3] += RAY_JITTER[(axis + 1) % 3];
+        if (countCrossings(vertices, indices, boxes, origin, axis) % 2 === 1) votes++;
+    }
+    return votes >= 2;
+}
+
+// ============ Checks ============
+function signedVolume(vertices, indices) {
+    let volume = 0;
+    for (let t = 0; t < indices.length / 3; t++) {
+        const a = indices[t * 3] * 3;
+        const b = indices[t * 3 + 1] * 3;
+        const c = indices[t * 3 + 2] * 3;
+        volume += (
+            vertices[a] * (vertices[b + 1] * vertices[c + 2] - vertices[b + 2] * vertices[c + 1]) -
+            vertices[a + 1] * (vertices[b] * vertices[c + 2] - vertices[b + 2] * vertices[c]) +
+            vertices[a + 2] * (vertices[b] * vertices[c + 1] - vertices[b + 1] * vertices[c])
+        ) / 6;
+    }
+    return volume;
+}
+
+function boundingBox(vertices) {
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < vertices.length; i += 3) {
+        for (let axis = 0; axis < 3; axis++) {
+            min[axis] = Math.min(min[axis], vertices[i + axis]);
+            max[axis] = Math.max(max[axis], vertices[i + axis]);
+        }
+    }
+    return { min, max };
+}
+
+/**
+ * A screw is checked along its vertical axis, where it overlaps the model:
+ *   'cut'     every axis sample is empty space and material surrounds the hole
+ *   'not-cut' material remains inside the screw volume
+ *   'outside' the screw does not reach into the model at all
+ */
+function checkScrewHole(mesh, box, screw) {
+    const low = Math.max(box.min[1], screw.min[1]);
+    const high = Math.min(box.max[1], screw.max[1]);
+    if (high <= low) return 'outside';
+
+    const x = (screw.min[0] + screw.max[0]) / 2;
+    const z = (screw.min[2] + screw.max[2]) / 2;
+    const heightAt = (fraction) => low + (high - low) * fraction;
+
+    for (let i = 0; i < AXIS_SAMPLES; i++) {
+        const y = heightAt((i + 0.5) / AXIS_SAMPLES);
+        if (isInside(mesh.vertices, mesh.indices, mesh.boxes, [x, y, z])) return 'not-cut';
+    }
+
+    // A hole with no material around it means the screw missed the part
+    const radius = Math.min(screw.max[0] - screw.min[0], screw.max[2] - screw.min[2]) / 2 + WALL_PROBE_DISTANCE;
+    const y = heightAt(0.5);
+    const probes = [[x + radius, y, z], [x - radius, y, z], [x, y, z + radius], [x, y, z - radius]];
+    return probes.some(point => isInside(mesh.vertices, mesh.indices, mesh.boxes, point)) ? 'cut' : 'outside';
+}
+
+/**
+ * Validate a processed model.
+ *   screws  [{ name, min: [x, y, z], max: [x, y, z] }] world-space screw boxes
+ * Returns { passed, failures, openEdges, nonManifoldEdges, volume,
+ * min, max, size, screws: [{ name, status }] }.
+ */
+export function validatePrintability(packed, { screws = [] } = {}) {
+    const { vertices, indices } = weldVertices(packed.position, packed.index);
+    const { openEdges, nonManifoldEdges } = countEdgeDefects(vertices, indices);
+    const volume = signedVolume(vertices, indices);
+    const box = boundingBox(vertices);
+    const mesh = { vertices, indices, boxes: buildTriangleBoxes(vertices, indices) };
+
+    const screwResults = indices.length === 0 ? [] : screws.map(screw => ({
+        name: screw.name,
+        status: checkScrewHole(mesh, box, screw)
+    }));
+
+    const failures = [];
+    if (indices.length === 0) failures.push('Model is empty');
+    if (openEdges > 0) failures.push(`${openEdges} open edge${openEdges === 1 ? '' : 's'}`);
+    if (nonManifoldEdges > 0) failures.push(`${nonManifoldEdges} non-manifold edge${nonManifoldEdges === 1 ? '' : 's'}`);
+    if (indices.length > 0 && volume <= 0) failures.push('Volume is not positive (inside-out mesh)');
+    screwResults.forEach(({ name, status }) => {
+        if (status === 'not-cut') failures.push(`${name} hole was not cut`);
+        if (status === 'outside') failures.push(`${name} misses the model`);
+    });
+
+    return {
+        passed: failures.length === 0,
+        failures,
+        openEdges,
+        nonManifoldEdges,
+        volume,
+        min: box.min,
+        max: box.max,
+        size: box.max.map((value, axis) => value - box.min[axis]),
+        screws: screwResults
+    };
+}
@@ -0,0 +1,104 @@
+/**
+ * processing-worker.js
+ * Module Web Worker that runs heavy geometry work off the main thread.
+ * Import maps do not apply inside workers, so dependencies are loaded by
+ * full URL - keep these versions in sync with the import map in index.html
+ * and with package.json.
+ *
+ * Messages in:  { id, type, payload }
+ * Messages out: { id, type: 'progress', fraction, label }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ */
+
+import * as THREE from 'https://esm.sh/three@0.160.0';
+import { mergeVertices } from 'https://esm.sh/three@0.160.0/examples/jsm/utils/BufferGeometryUtils.js';
+import { Evaluator, Brush, ADDITION, SUBTRACTION } from 'https://esm.sh/three-bvh-csg@0.0.16?deps=three@0.160.0';
+import { createCSGPipeline } from './csg-pipeline.js';
+import { closeOpenSurface } from './mesh-closing.js';
+import { analyzeMesh, repairMesh } from './mesh-health.js';
+import { validatePrintability } from './mesh-validation.js';
+import { analyzeUndercuts } from './mesh-undercut.js';
+import { registerScans } from './mesh-registration.js';
+import { packGeometry, unpackGeometry, transferList } from './geometry-transfer.js';
+
+const pipeline = createCSGPipeline({ THREE, Evaluator, Brush, ADDITION, SUBTRACTION, mergeVertices });
+
+// ============ Task Handlers ============
+// Each handler returns { result, transfer }
+const handlers = {
+    process(payload, progress) {
+        const job = {
+            base: {
+                name: payload.base.name,
+                geometry: unpackGeometry(THREE, payload.base.geometry)
+            },
+            closure: payload.closure,
+            blockout: payload.blockout,
+            operations: payload.operations.map(step => ({
+                ...step,
+                geometry: unpackGeometry(THREE, step.geometry)
+            }))
+        };
+
+        // Booleans take nearly all the time; validation gets the last few percent
+        const geometry = packGeometry(pipeline.run(job, (fraction, label) => progress(fraction * 0.95, label)));
+
+        progress(0.95, 'Validating result...');
+        const validation = validatePrintability(geometry, payload.validation);
+
+        return { result: { geometry, validation }, transfer: transferList(geometry) };
+    },
+
+    // Boundary loops of a world-space scan and the wall that would close it
+    close(payload) {
+        const { wall, loopCount } = closeOpenSurface(THREE, unpackGeometry(THREE, payload.geometry), {
+            floorY: payload.floorY
+        });
+
+        const packed = wall ? packGeometry(wall) : null;
+        return { result: { wall: packed, loopCount }, transfer: packed ? transferList(packed) : [] };
+    },
+
+    // Mesh health report (see mesh-health.js)
+    analyze(payload) {
+        return { result: { report: analyzeMesh(payload.geometry) } };
+    },
+
+    // One repair action, returning the repaired geometry and its new report
+    repair(payload) {
+        const geometry = repairMesh(THREE, payload.geometry, payload.action);
+        const report = analyzeMesh(geometry);
+        return { result: { geometry, report }, transfer: transferList(geometry) };
+    },
+
+    // Undercut depth per vertex and the survey line (see mesh-undercut.js)
+    undercuts(payload) {
+        const result = analyzeUndercuts(payload.geometry, { floorY: payload.floorY });
+        return { result, transfer: [result.depth.buffer, result.angle.buffer, result.surveyLine.buffer] };
+    },
+
+    // Rigid correction that registers one scan onto another (see mesh-registration.js)
+    register(payload) {
+        return { result: registerScans(payload.moving, payload.fixed) };
+    }
+};
+
+self.onmessage = (event) => {
+    const { id, type, payload } = event.data;
+    const handler = handlers[type];
+
+    if (!handler) {
+        self.postMessage({ id, type: 'error', message: `Unknown task: ${type}` });
+        return;
+    }
+
+    try {
+        const progress = (fraction, label) => self.postMessage({ id, type: 'progress', fraction, label });
+        const { result, transfer } = handler(payload, progress);
+        self.postMessage({ id, type: 'result', result }, transfer || []);
+    } catch (error) {
+        console.error(`[Worker] ${type} failed:`, error);
+        self.postMessage({ id, type: 'error', message: error.message });
+    }
+};
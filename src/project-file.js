@@ -0,0 +1,163 @@
+/**
+ * project-file.js
+ * Save/open format for prep sessions (.mprep).
+ * A project embeds the scan geometry and stores every transform relative to
+ * the app defaults (MODEL_ROTATION_OFFSET, original filler position/scale),
+ * so reopening it lands back at the exact alignment step.
+ */
+
+import * as THREE from 'three';
+
+export const PROJECT_FORMAT = 'maryland-pull-out-device-project';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXTENSION = 'mprep';
+
+// Default rotation offsets (Corrected: X=-90 keeps model upright and flips facing)
+export const MODEL_ROTATION_OFFSET = {
+    x: THREE.MathUtils.degToRad(-90),
+    y: 0,
+    z: 0
+};
+
+// Typed array constructors we are willing to rebuild from a project file
+const ARRAY_TYPES = {
+    Float32Array,
+    Uint32Array,
+    Uint16Array,
+    Uint8Array
+};
+
+// ============ Binary <-> Base64 ============
+function typedArrayToBase64(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    let binary = '';
+    // Chunk to stay under the argument limit of String.fromCharCode
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+function base64ToTypedArray(base64, typeName) {
+    const ArrayType = ARRAY_TYPES[typeName];
+    if (!ArrayType) {
+        throw new Error(`Unsupported array type in project: ${typeName}`);
+    }
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new ArrayType(bytes.buffer);
+}
+
+// ============ Geometry ============
+function serializeArray(array) {
+    return {
+        type: array.constructor.name,
+        data: typedArrayToBase64(array)
+    };
+}
+
+export function serializeGeometry(geometry) {
+    const attributes = {};
+    for (const [name, attribute] of Object.entries(geometry.attributes)) {
+        // Normals are recomputed on load, undercut colours on the next analysis
+        if (name === 'normal' || name === 'undercutColor') continue;
+        attributes[name] = {
+            itemSize: attribute.itemSize,
+            normalized: attribute.normalized,
+            ...serializeArray(attribute.array)
+        };
+    }
+
+    return {
+        attributes,
+        index: geometry.index ? serializeArray(geometry.index.array) : null
+    };
+}
+
+export function deserializeGeometry(data) {
+    if (!data || !data.attributes || !data.attributes.position) {
+        throw new Error('Project has no scan geometry.');
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    for (const [name, attribute] of Object.entries(data.attributes)) {
+        const array = base64ToTypedArray(attribute.data, attribute.type);
+        geometry.setAttribute(name, new THREE.BufferAttribute(array, attribute.itemSize, attribute.normalized));
+    }
+    if (data.index) {
+        geometry.setIndex(new THREE.BufferAttribute(base64ToTypedArray(data.index.data, data.index.type), 1));
+    }
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+// ============ Project ============
+/**
+ * Build a plain JSON-serializable project object.
+ * `alignment` and every `history` entry use the relative format produced by
+ * captureAlignment() in main.js, history entries with the step's `label`.
+ * `landmarks` holds the picked alignment, occlusal and block-out landmarks as
+ * model-space [x, y, z] arrays (null in older projects). `measurements` lists { type, plane, label, points } with
+ * model-space points, so values are recomputed for the restored alignment.
+ * `label` is { text, settings }: the typed specimen ID (null to label with
+ * the scan's file name) and the label settings of specimen-label.js.
+ */
+export function buildProject({ scan, rig, alignment, landmarks, measurements, label, workflow, history, createdAt }) {
+    const now = new Date().toISOString();
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        createdAt: createdAt || now,
+        modifiedAt: now,
+        rig,
+        scan: {
+            filename: scan.filename,
+            sourceUnit: scan.sourceUnit || 'mm',
+            sha256: scan.sha256 || null,
+            geometry: serializeGeometry(scan.geometry)
+        },
+        alignment,
+        landmarks: landmarks || null,
+        measurements: measurements || [],
+        label: label ?? null,
+        workflow,
+        history: history || []
+    };
+}
+
+/**
+ * Parse and validate project file text.
+ * Returns the project with `scan.geometry` rebuilt as a BufferGeometry and
+ * `history` always a list.
+ */
+export function parseProject(text) {
+    let project;
+    try {
+        project = JSON.parse(text);
+    } catch (error) {
+        throw new Error('File is not a valid project (invalid JSON).');
+    }
+
+    if (project.format !== PROJECT_FORMAT) {
+        throw new Error('File is not a Maryland Pull-Out Device project.');
+    }
+    if (project.version > PROJECT_VERSION) {
+        throw new Error(`Project version ${project.version} is newer than this app supports (${PROJECT_VERSION}).`);
+    }
+    if (!project.alignment || !project.alignment.model) {
+        throw new Error('Project has no model alignment.');
+    }
+
+    return {
+        ...project,
+        scan: {
+            ...project.scan,
+            geometry: deserializeGeometry(project.scan && project.scan.geometry)
+        },
+        history: project.history || []
+    };
+}
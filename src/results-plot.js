@@ -0,0 +1,178 @@
+/**
+ * results-plot.js
+ * Canvas plots for the Instron test results: force-displacement curves of
+ * every run, and mean peak force per group with SD error bars. Groups are
+ * coloured the same in both plots.
+ */
+
+// Maryland gold/red first, then the app's accent colours
+const GROUP_COLORS = ['#FFD100', '#E4002B', '#5AC8FA', '#34C759', '#AF52DE', '#FF9500', '#FFFFFF', '#8E8E93'];
+
+const MARGIN = { left: 52, right: 12, top: 24, bottom: 36 };
+const CURVE_POINTS = 1500; // Per run, longer curves are thinned for drawing
+
+export function groupColor(index) {
+    return GROUP_COLORS[index % GROUP_COLORS.length];
+}
+
+// Size the canvas backing store for the display and return its 2D context
+function prepareCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px Inter, -apple-system, sans-serif';
+    return { ctx, width, height };
+}
+
+// Round tick step (1, 2 or 5 x 10^n) giving about `count` ticks over `span`
+function tickStep(span, count = 5) {
+    const raw = span / count;
+    const magnitude = 10 ** Math.floor(Math.log10(raw));
+    const normalized = raw / magnitude;
+    return (normalized < 1.5 ? 1 : normalized < 3.5 ? 2 : normalized < 7.5 ? 5 : 10) * magnitude;
+}
+
+function drawAxes(ctx, width, height, { xMax, yMax, xLabel, yLabel, xTicks = true }) {
+    const plotWidth = width - MARGIN.left - MARGIN.right;
+    const plotHeight = height - MARGIN.top - MARGIN.bottom;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+    ctx.lineWidth = 1;
+
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    const yStep = tickStep(yMax);
+    for (let value = 0; value <= yMax + 1e-9; value += yStep) {
+        const y = MARGIN.top + plotHeight * (1 - value / yMax);
+        ctx.beginPath();
+        ctx.moveTo(MARGIN.left, y);
+        ctx.lineTo(width - MARGIN.right, y);
+        ctx.stroke();
+        ctx.fillText(String(+value.toFixed(6)), MARGIN.left - 6, y);
+    }
+
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    if (xTicks) {
+        const xStep = tickStep(xMax);
+        for (let value = 0; value <= xMax + 1e-9; value += xStep) {
+            const x = MARGIN.left + plotWidth * (value / xMax);
+            ctx.fillText(String(+value.toFixed(6)), x, height - MARGIN.bottom + 4);
+        }
+        ctx.fillText(xLabel, MARGIN.left + plotWidth / 2, height - 14);
+    }
+
+    ctx.save();
+    ctx.translate(12, MARGIN.top + plotHeight / 2);
+    ctx.rotate(-Math.PI / 2);
+    ctx.fillText(yLabel, 0, -6);
+    ctx.restore();
+
+    return { plotWidth, plotHeight };
+}
+
+/**
+ * Force-displacement curves.
+ *   runs    [{ displacement, force, groupIndex }] in mm and N
+ *   legend  [{ label, groupIndex }] drawn across the top
+ */
+export function drawForceCurves(canvas, runs, legend) {
+    const { ctx, width, height } = prepareCanvas(canvas);
+    if (runs.length === 0) return;
+
+    let xMax = 0;
+    let yMax = 0;
+    runs.forEach(({ displacement, force }) => {
+        displacement.forEach(value => { xMax = Math.max(xMax, value); });
+        force.forEach(value => { yMax = Math.max(yMax, value); });
+    });
+    xMax = xMax > 0 ? xMax * 1.05 : 1;
+    yMax = yMax > 0 ? yMax * 1.1 : 1;
+
+    const { plotWidth, plotHeight } = drawAxes(ctx, width, height, {
+        xMax, yMax, xLabel: 'Displacement (mm)', yLabel: 'Force (N)'
+    });
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(MARGIN.left, MARGIN.top, plotWidth, plotHeight);
+    ctx.clip();
+    ctx.lineWidth = 1.25;
+    ctx.globalAlpha = 0.85;
+    runs.forEach(({ displacement, force, groupIndex }) => {
+        const stride = Math.max(1, Math.floor(force.length / CURVE_POINTS));
+        ctx.strokeStyle = groupColor(groupIndex);
+        ctx.beginPath();
+        for (let i = 0; i < force.length; i += stride) {
+            const x = MARGIN.left + plotWidth * Math.max(0, displacement[i]) / xMax;
+            const y = MARGIN.top + plotHeight * (1 - force[i] / yMax);
+            if (i === 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+        ctx.stroke();
+    });
+    ctx.restore();
+
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'middle';
+    let x = MARGIN.left;
+    legend.forEach(({ label, groupIndex }) => {
+        ctx.fillStyle = groupColor(groupIndex);
+        ctx.fillRect(x, 8, 10, 3);
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillText(label, x + 14, 10);
+        x += ctx.measureText(label).width + 28;
+    });
+}
+
+/**
+ * Mean peak force per group with SD error bars.
+ *   groups  [{ group, n, peakForce: { mean, sd }, groupIndex }]
+ */
+export function drawGroupBars(canvas, groups) {
+    const { ctx, width, height } = prepareCanvas(canvas);
+    if (groups.length === 0) return;
+
+    const yMax = Math.max(...groups.map(({ peakForce }) => peakForce.mean + (peakForce.sd || 0)), 1) * 1.15;
+    const { plotWidth, plotHeight } = drawAxes(ctx, width, height, {
+        xMax: 1, yMax, xLabel: '', yLabel: 'Peak force (N)', xTicks: false
+    });
+
+    const slot = plotWidth / groups.length;
+    const barWidth = Math.min(48, slot * 0.6);
+    const toY = (value) => MARGIN.top + plotHeight * (1 - value / yMax);
+
+    groups.forEach(({ group, n, peakForce, groupIndex }, index) => {
+        const center = MARGIN.left + slot * (index + 0.5);
+        ctx.fillStyle = groupColor(groupIndex);
+        ctx.globalAlpha = 0.75;
+        ctx.fillRect(center - barWidth / 2, toY(peakForce.mean), barWidth, toY(0) - toY(peakForce.mean));
+        ctx.globalAlpha = 1;
+
+        if (peakForce.sd) {
+            const top = toY(peakForce.mean + peakForce.sd);
+            const bottom = toY(Math.max(0, peakForce.mean - peakForce.sd));
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.beginPath();
+            ctx.moveTo(center, top);
+            ctx.lineTo(center, bottom);
+            ctx.moveTo(center - 6, top);
+            ctx.lineTo(center + 6, top);
+            ctx.moveTo(center - 6, bottom);
+            ctx.lineTo(center + 6, bottom);
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${group} (n=${n})`, center, height - MARGIN.bottom + 4);
+    });
+}
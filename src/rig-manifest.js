@@ -0,0 +1,130 @@
+/**
+ * rig-manifest.js
+ * Which part of a rig template does what. Every mesh node gets a role
+ * (base trim, filler, guide, hooks, sample, screw) and each role a Boolean
+ * operation in Process & Merge. The shipped GLB is classified by node name;
+ * custom GLBs come with a JSON manifest that lists their nodes explicitly.
+ *
+ * Manifest format:
+ *   {
+ *     "format": "maryland-rig-manifest",
+ *     "version": 1,
+ *     "name": "Thick base plate",
+ *     "nodes": { "Base-trim": "baseTrim", "Filler": "filler", "Ant_Top": "screw", ... },
+ *     "operations": { "baseTrim": "subtract" }   // optional, overrides RIG_ROLES defaults
+ *   }
+ */
+
+export const RIG_MANIFEST_FORMAT = 'maryland-rig-manifest';
+export const RIG_MANIFEST_VERSION = 1;
+
+export const RIG_OPERATIONS = ['union', 'subtract', 'none'];
+
+// Roles in the order their Boolean operations run
+export const RIG_ROLES = {
+    filler: { label: 'Arch filler', operation: 'union', required: true, multiple: false },
+    baseTrim: { label: 'Base trim', operation: 'subtract', required: true, multiple: false },
+    screw: { label: 'Screw', operation: 'subtract', required: true, multiple: true },
+    guide2mm: { label: '2mm guide', operation: 'none', required: true, multiple: false },
+    hooks: { label: 'Hooks', operation: 'none', required: true, multiple: false },
+    sample: { label: 'Sample model', operation: 'none', required: false, multiple: false }
+};
+
+// Screw meshes are named <Position>_Top / <Position>_Body
+const SCREW_NAME_PATTERN = /^(ant|post|l|r)(_[lr])?_(top|body)/i;
+
+/**
+ * Role of a node in the shipped template, from its name. Returns null for
+ * nodes that play no part (e.g. the hidden Original_* plates).
+ */
+export function defaultRigRole(nodeName) {
+    const name = nodeName.toLowerCase();
+    if (name.includes('base') && name.includes('trim')) return 'baseTrim';
+    if (name.includes('filler')) return 'filler';
+    if (name.includes('guide') || name.includes('2mm')) return 'guide2mm';
+    if (name.includes('hook')) return 'hooks';
+    if (name.includes('sample')) return 'sample';
+    if (SCREW_NAME_PATTERN.test(name)) return 'screw';
+    return null;
+}
+
+/**
+ * Parse and check the shape of manifest text.
+ * Structural problems throw; mismatches with the GLB are reported by assignRigRoles.
+ */
+export function parseRigManifest(text) {
+    let manifest;
+    try {
+        manifest = JSON.parse(text);
+    } catch (error) {
+        throw new Error('Rig manifest is not valid JSON.');
+    }
+
+    if (manifest.format !== RIG_MANIFEST_FORMAT) {
+        throw new Error(`Rig manifest must have "format": "${RIG_MANIFEST_FORMAT}".`);
+    }
+    if (manifest.version > RIG_MANIFEST_VERSION) {
+        throw new Error(`Rig manifest version ${manifest.version} is newer than this app supports (${RIG_MANIFEST_VERSION}).`);
+    }
+    if (!manifest.nodes || typeof manifest.nodes !== 'object' || Array.isArray(manifest.nodes)) {
+        throw new Error('Rig manifest has no "nodes" map (node name -> role).');
+    }
+
+    return {
+        name: manifest.name || null,
+        nodes: manifest.nodes,
+        operations: manifest.operations || {}
+    };
+}
+
+/**
+ * Assign roles to the mesh nodes of a loaded template.
+ *   manifest   parsed manifest, or null to classify by name (shipped template)
+ *   nodeNames  names of every mesh node in the GLB
+ * Returns { assignments: Map(nodeName -> { role, operation }), errors: string[] }.
+ * Nodes without a role are absent from `assignments`.
+ */
+export function assignRigRoles(manifest, nodeNames) {
+    const assignments = new Map();
+    const errors = [];
+    const operations = manifest ? manifest.operations : {};
+
+    Object.entries(operations).forEach(([role, operation]) => {
+        if (!RIG_ROLES[role]) {
+            errors.push(`Unknown role "${role}" in operations`);
+        } else if (!RIG_OPERATIONS.includes(operation)) {
+            errors.push(`Unknown operation "${operation}" for ${role} (use ${RIG_OPERATIONS.join(', ')})`);
+        }
+    });
+
+    const roleOf = manifest ? (name => manifest.nodes[name] || null) : defaultRigRole;
+    nodeNames.forEach(name => {
+        const role = roleOf(name);
+        if (!role) return;
+        if (!RIG_ROLES[role]) {
+            errors.push(`Unknown role "${role}" for node "${name}"`);
+            return;
+        }
+        assignments.set(name, { role, operation: operations[role] || RIG_ROLES[role].operation });
+    });
+
+    if (manifest) {
+        Object.keys(manifest.nodes)
+            .filter(name => !nodeNames.includes(name))
+            .forEach(name => errors.push(`Node "${name}" is not in the GLB`));
+    }
+
+    const counts = {};
+    assignments.forEach(({ role }) => { counts[role] = (counts[role] || 0) + 1; });
+    const missing = Object.keys(RIG_ROLES).filter(role => RIG_ROLES[role].required && !counts[role]);
+    if (missing.length > 0) {
+        errors.push(`Missing roles: ${missing.map(role => `${role} (${RIG_ROLES[role].label})`).join(', ')}`);
+    }
+    Object.entries(counts).forEach(([role, count]) => {
+        if (count > 1 && !RIG_ROLES[role].multiple) {
+            errors.push(`Role ${role} is assigned to ${count} nodes, only one is allowed`);
+        }
+    });
+
+    return { assignments, errors };
+}
@@ -0,0 +1,180 @@
+/**
+ * rig-template.js
+ * Turn a loaded rig GLB into the parts Process & Merge works with, shared by
+ * the app (main.js) and the command line (cli/process-scan.mjs).
+ * Meshes are tagged with userData.rigRole and userData.csgOperation (see
+ * rig-manifest.js); buildRigOperations reads those tags back in role order.
+ */
+
+import * as THREE from 'three';
+import { assignRigRoles, RIG_ROLES } from './rig-manifest.js';
+
+// Rig templates per base plate. The shipped GLB is modelled for the 3-screw
+// plate (Ant_/L_/R_ screws); variants with a `screwLayout` re-lay its screws
+// at the listed world X/Z centres, taken from the plate STLs in models/.
+// URLs are relative to the app root.
+export const RIG_VARIANTS = {
+    '3-screw': {
+        label: '3-screw',
+        url: 'public/rigs/Maryland_Retention_Rig.glb',
+        screwLayout: null
+    },
+    '4-screw': {
+        label: '4-screw',
+        url: 'public/rigs/Maryland_Retention_Rig.glb',
+        screwLayout: [
+            { name: 'Ant_L', x: 9.36, z: 8.74 },
+            { name: 'Ant_R', x: -9.36, z: 8.74 },
+            { name: 'Post_L', x: 6.53, z: -7.05 },
+            { name: 'Post_R', x: -6.53, z: -7.05 }
+        ]
+    }
+};
+export const DEFAULT_RIG_VARIANT = '3-screw';
+
+// Single-mesh roles and the key they are stored under in `parts`
+const PART_KEYS = {
+    baseTrim: 'baseTrim',
+    filler: 'fillerTransform',
+    guide2mm: 'guide2mm',
+    hooks: 'hooks',
+    sample: 'sampleModel'
+};
+
+/**
+ * Orient a loaded template scene, tag its meshes with their roles and re-lay
+ * the screws for variants with a `screwLayout`.
+ *   variant  entry of RIG_VARIANTS, or a custom rig with a parsed `manifest`
+ * Returns { parts, errors }. `parts` holds screwMeshes, baseTrim,
+ * fillerTransform, guide2mm, hooks and sampleModel; it is null and the scene
+ * is left untouched when the template does not match its manifest.
+ * Pass `logger` to route the screw layout messages away from the console.
+ */
+export function prepareRigTemplate(root, variant, { logger = console } = {}) {
+    const nodeNames = [];
+    root.traverse(child => { if (child.isMesh) nodeNames.push(child.name); });
+    const { assignments, errors } = assignRigRoles(variant.manifest || null, nodeNames);
+    if (errors.length > 0) return { parts: null, errors };
+
+    // Rotate rig template to correct orientation
+    root.rotation.y = Math.PI;
+
+    const parts = {
+        screwMeshes: [],
+        baseTrim: null,
+        fillerTransform: null,
+        guide2mm: null,
+        hooks: null,
+        sampleModel: null
+    };
+    root.traverse(child => {
+        if (!child.isMesh) return;
+        const assignment = assignments.get(child.name);
+        child.userData.rigRole = assignment ? assignment.role : null;
+        child.userData.csgOperation = assignment ? assignment.operation : 'none';
+
+        if (child.userData.rigRole === 'screw') {
+            parts.screwMeshes.push(child);
+        } else if (PART_KEYS[child.userData.rigRole]) {
+            parts[PART_KEYS[child.userData.rigRole]] = child;
+        }
+    });
+
+    if (variant.screwLayout) parts.screwMeshes = layoutScrews(root, parts.screwMeshes, variant.screwLayout, logger);
+    return { parts, errors };
+}
+
+/**
+ * Replace the template's screws with copies of its anterior screw, one per
+ * layout entry. Entries give the world X/Z centre; the screw keeps its depth.
+ * Returns the new screw meshes (or the template's own if it has no Ant_ screw).
+ */
+function layoutScrews(root, templateScrews, layout, logger) {
+    root.updateMatrixWorld(true);
+
+    const prototype = templateScrews.filter(mesh => mesh.name.toLowerCase().startsWith('ant_'));
+    if (prototype.length === 0) {
+        logger.warn('[Rig] Template has no Ant_ screw to copy, keeping its own screws');
+        return templateScrews;
+    }
+
+    const center = new THREE.Box3();
+    prototype.forEach(mesh => center.expandByObject(mesh));
+    const from = center.getCenter(new THREE.Vector3());
+
+    const screws = [];
+    layout.forEach(({ name, x, z }) => {
+        prototype.forEach(part => {
+            const screw = part.clone();
+            screw.name = name + part.name.slice(part.name.indexOf('_'));
+            screw.material = part.material.clone();
+
+            // Move by the world-space offset, expressed in the parent's frame
+            const target = part.parent.worldToLocal(new THREE.Vector3(x, from.y, z));
+            const origin = part.parent.worldToLocal(from.clone());
+            screw.position.add(target.sub(origin));
+
+            part.parent.add(screw);
+            screws.push(screw);
+        });
+    });
+
+    templateScrews.forEach(mesh => mesh.removeFromParent());
+    logger.log('[Rig] Screw layout:', screws.map(mesh => mesh.name).join(', '));
+    return screws;
+}
+
+// Progress label for one rig part's Boolean operation
+function describeRigOperation(mesh, screws) {
+    const { rigRole, csgOperation } = mesh.userData;
+    if (rigRole === 'filler' && csgOperation === 'union') return 'Merging arch filler...';
+    if (rigRole === 'baseTrim' && csgOperation === 'subtract') return 'Trimming base...';
+    if (rigRole === 'screw' && csgOperation === 'subtract') {
+        return `Cutting screw hole ${screws.indexOf(mesh) + 1}/${screws.length} (${mesh.name})...`;
+    }
+    const verb = csgOperation === 'union' ? 'Merging' : 'Subtracting';
+    return `${verb} ${RIG_ROLES[rigRole].label.toLowerCase()} (${mesh.name})...`;
+}
+
+/**
+ * Boolean operations of a prepared rig, in role order, for csg-pipeline.js.
+ *   bake(mesh)  world-space geometry of a mesh, in whatever form the caller
+ *               hands to the pipeline (packed for the worker, or as is)
+ * Returns { operations, validation } where validation lists the boxes the
+ * screw holes should end up in (see mesh-validation.js).
+ */
+export function buildRigOperations(root, bake) {
+    const parts = [];
+    root?.traverse(child => {
+        if (child.isMesh && child.geometry && ['union', 'subtract'].includes(child.userData.csgOperation)) {
+            parts.push(child);
+        }
+    });
+    const roleOrder = Object.keys(RIG_ROLES);
+    parts.sort((a, b) => roleOrder.indexOf(a.userData.rigRole) - roleOrder.indexOf(b.userData.rigRole));
+
+    const screws = parts.filter(mesh => mesh.userData.rigRole === 'screw');
+    const operations = parts.map(mesh => ({
+        name: mesh.name,
+        label: describeRigOperation(mesh, screws),
+        operation: mesh.userData.csgOperation,
+        geometry: bake(mesh)
+    }));
+
+    // Where the screw holes should end up, to check they were really cut
+    const validation = {
+        screws: screws.filter(mesh => mesh.userData.csgOperation === 'subtract').map(screwMesh => {
+            const box = new THREE.Box3().setFromObject(screwMesh);
+            return { name: screwMesh.name, min: box.min.toArray(), max: box.max.toArray() };
+        })
+    };
+
+    return { operations, validation };
+}
+
+// Height the open scan border is extended down to: the middle of the base trim
+export function closureFloorY(baseTrim) {
+    baseTrim.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(baseTrim);
+    return (box.min.y + box.max.y) / 2;
+}
@@ -0,0 +1,50 @@
+/**
+ * scan-units.js
+ * Detect scans exported in non-millimetre units from their size.
+ * The rig template is modelled in millimetres, so an arch that comes in
+ * 25x too small (inches) or 1000x too small (metres) is almost certainly
+ * a unit mismatch rather than a real specimen.
+ */
+
+export const SCAN_UNITS = {
+    mm: { label: 'mm', toMillimetres: 1 },
+    cm: { label: 'cm', toMillimetres: 10 },
+    in: { label: 'in', toMillimetres: 25.4 },
+    m: { label: 'm', toMillimetres: 1000 }
+};
+
+// Largest bounding-box dimension of a plausible dental arch model (mm)
+export const EXPECTED_SCAN_SIZE_MM = {
+    min: 20,
+    max: 150,
+    typical: 60
+};
+
+/**
+ * Check the largest bounding-box dimension of a scan read as millimetres.
+ * Returns { plausible, suggestedUnit } where suggestedUnit is the unit that
+ * brings the scan closest to a typical arch, or null if none fits.
+ */
+export function checkScanUnits(maxDimension) {
+    const inRange = (size) => size >= EXPECTED_SCAN_SIZE_MM.min && size <= EXPECTED_SCAN_SIZE_MM.max;
+
+    if (inRange(maxDimension)) {
+        return { plausible: true, suggestedUnit: 'mm' };
+    }
+
+    // Compare on a log scale: 2x too big and 2x too small are equally wrong
+    let suggestedUnit = null;
+    let bestDistance = Infinity;
+    Object.entries(SCAN_UNITS).forEach(([unit, { toMillimetres }]) => {
+        const size = maxDimension * toMillimetres;
+        if (unit === 'mm' || !inRange(size)) return;
+
+        const distance = Math.abs(Math.log(size / EXPECTED_SCAN_SIZE_MM.typical));
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            suggestedUnit = unit;
+        }
+    });
+
+    return { plausible: false, suggestedUnit };
+}
@@ -0,0 +1,159 @@
+/**
+ * specimen-label.js
+ * Specimen ID text cut into (engraved) or raised from (embossed) the
+ * processed model, so printed specimens of one study can be told apart.
+ * The text is built as a world-space solid and runs as one more operation
+ * at the end of the Boolean chain (see buildCSGJob in main.js).
+ * Two flat regions take a label: the top of the arch filler, read from
+ * above with the anterior towards the reader, and the underside of the base
+ * (the base-trim cut), read with the specimen turned over.
+ */
+
+import * as THREE from 'three';
+import { Font } from 'three/addons/loaders/FontLoader.js';
+
+export const LABEL_MODES = {
+    off: 'Off',
+    engrave: 'Engrave',
+    emboss: 'Emboss'
+};
+
+export const LABEL_SURFACES = {
+    filler: 'Filler top',
+    base: 'Base underside' // Engrave only, raised text would keep the base off the plate
+};
+
+export const LABEL_DEFAULTS = {
+    mode: 'off',
+    surface: 'filler',
+    size: 4, // mm, font size (capital letters come out about 0.7x this)
+    depth: 0.6, // mm into or out of the surface
+    offsetX: 0, // mm from the centre of the filler
+    offsetZ: 0
+};
+
+export const LABEL_LIMITS = {
+    maxLength: 24,
+    size: { min: 1.5, max: 10 },
+    depth: { min: 0.2, max: 2 }
+};
+
+// Bold sans-serif from the three.js examples; keep the version in sync with
+// the import map in index.html. FONT_FILE is the same font inside the npm
+// package, FONT_PATH the copy build-context.js bundles with the desktop app.
+export const LABEL_FONT_URL = 'https://esm.sh/three@0.160.0/examples/fonts/helvetiker_bold.typeface.json';
+export const LABEL_FONT_FILE = 'three/examples/fonts/helvetiker_bold.typeface.json';
+export const LABEL_FONT_PATH = 'public/fonts/helvetiker_bold.typeface.json';
+
+// How far the text reaches past the surface, so the Boolean never meets
+// coplanar faces (mm)
+const SURFACE_OVERLAP = 0.3;
+
+export function parseLabelFont(json) {
+    return new Font(json);
+}
+
+// Text as it will be cut: trimmed and cut to the length limit
+export function labelText(text) {
+    return String(text || '').trim().slice(0, LABEL_LIMITS.maxLength);
+}
+
+/**
+ * Settings as saved in a project, completed with LABEL_DEFAULTS and held to
+ * LABEL_LIMITS. Unknown modes and surfaces fall back to the defaults.
+ */
+export function labelSettings(saved) {
+    const settings = { ...LABEL_DEFAULTS };
+    if (!saved) return settings;
+    if (LABEL_MODES[saved.mode]) settings.mode = saved.mode;
+    if (LABEL_SURFACES[saved.surface]) settings.surface = saved.surface;
+    ['size', 'depth'].forEach(key => {
+        const { min, max } = LABEL_LIMITS[key];
+        if (Number.isFinite(saved[key])) settings[key] = Math.min(max, Math.max(min, saved[key]));
+    });
+    ['offsetX', 'offsetZ'].forEach(key => {
+        if (Number.isFinite(saved[key])) settings[key] = saved[key];
+    });
+    return settings;
+}
+
+/**
+ * Where a label sits: { y, center } in world space, y being the height of
+ * the surface and center the filler's centre in X/Z (offsets not applied).
+ */
+export function labelAnchor(surface, { filler, baseTrim }) {
+    if (!filler) return null;
+    filler.updateMatrixWorld(true);
+    const box = new THREE.Box3().setFromObject(filler);
+    const center = box.getCenter(new THREE.Vector3());
+
+    if (surface === 'base') {
+        if (!baseTrim) return null;
+        baseTrim.updateMatrixWorld(true);
+        return { y: new THREE.Box3().setFromObject(baseTrim).max.y, center };
+    }
+    return { y: box.max.y, center };
+}
+
+/**
+ * World-space solid of the label text, or null when there is nothing to cut
+ * (mode off, no text, or no filler to place it on).
+ *   settings  { mode, surface, size, depth, offsetX, offsetZ } (see LABEL_DEFAULTS)
+ *   rig       { filler, baseTrim } meshes of the loaded rig
+ */
+export function buildLabelGeometry(font, text, settings, rig) {
+    const characters = labelText(text);
+    if (settings.mode === 'off' || !characters || !font) return null;
+
+    const anchor = labelAnchor(settings.surface, rig);
+    if (!anchor) return null;
+
+    const thickness = settings.depth + SURFACE_OVERLAP;
+    const geometry = new THREE.ExtrudeGeometry(font.generateShapes(characters, settings.size), {
+        depth: thickness,
+        curveSegments: 4,
+        bevelEnabled: false
+    });
+
+    // Glyphs are drawn in XY and extruded along +Z. Lay them in XZ with the
+    // tops of the letters away from the reader (-Z on top, +Z from below).
+    geometry.rotateX(settings.surface === 'base' ? Math.PI / 2 : -Math.PI / 2);
+
+    geometry.computeBoundingBox();
+    const box = geometry.boundingBox;
+    const center = box.getCenter(new THREE.Vector3());
+
+    // Engraved text spans from `depth` below the surface to just above it,
+    // embossed text from just below it to `depth` above
+    let bottom;
+    if (settings.surface === 'base') {
+        bottom = anchor.y - SURFACE_OVERLAP; // Cut up into the part from its underside
+    } else if (settings.mode === 'emboss') {
+        bottom = anchor.y - SURFACE_OVERLAP;
+    } else {
+        bottom = anchor.y - settings.depth;
+    }
+
+    geometry.translate(
+        anchor.center.x + settings.offsetX - center.x,
+        bottom - box.min.y,
+        anchor.center.z + settings.offsetZ - center.z
+    );
+    geometry.computeVertexNormals();
+    return geometry;
+}
+
+/**
+ * The label's Boolean operation for csg-pipeline.js, or null.
+ * Labels on the base underside are always engraved.
+ */
+export function labelOperation(geometry, settings) {
+    if (!geometry) return null;
+    const engrave = settings.mode === 'engrave' || settings.surface === 'base';
+    return {
+        name: 'SpecimenLabel',
+        label: engrave ? 'Engraving specimen ID...' : 'Embossing specimen ID...',
+        operation: engrave ? 'subtract' : 'union',
+        geometry
+    };
+}
@@ -0,0 +1,199 @@
+/**
+ * specimen-report.js
+ * Per-specimen record of how an exported model was prepared: which scan
+ * (filename and SHA-256 of the file as imported), how it sat on which rig,
+ * how long processing took and what came out. Saved as JSON for scripts and
+ * as a one-page PDF with rendered views for the lab notebook.
+ * Alignment values use the relative format of captureAlignment() in main.js,
+ * the same numbers the model and filler sliders show.
+ */
+
+export const REPORT_FORMAT = 'maryland-specimen-report';
+export const REPORT_VERSION = 1;
+
+// jsPDF comes from the import map and is only fetched when a PDF is made
+const JSPDF_MODULE = 'jspdf';
+
+// A4 portrait, mm
+const PAGE = { width: 210, height: 297, margin: 15, line: 5 };
+
+/**
+ * Hex SHA-256 of an ArrayBuffer (Web Crypto, so only in secure contexts).
+ * Returns null where crypto.subtle is unavailable.
+ */
+export async function sha256Hex(buffer) {
+    if (!globalThis.crypto || !crypto.subtle) return null;
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Build the JSON report.
+ *   source       { filename, sha256, sourceUnit }
+ *   rig          rig variant as written into exports (describeRig)
+ *   alignment    { model, filler } from captureAlignment()
+ *   processing   { timeMs, closedScan, blockout: { residualDepth, residualTeeth } | null,
+ *                  label: { text, mode, surface } | null }
+ *   output       { triangles, validation } for the processed model
+ *   exported     { filename, header, exportedAt } of the last STL export, or null
+ *   measurements rows as passed to measurementsToCSV
+ */
+export function buildReport({ source, rig, alignment, processing, output, exported, measurements }) {
+    const { validation } = output;
+    const filler = alignment.filler;
+
+    return {
+        format: REPORT_FORMAT,
+        version: REPORT_VERSION,
+        generatedAt: new Date().toISOString(),
+        source: {
+            filename: source.filename,
+            sha256: source.sha256 || null,
+            sourceUnit: source.sourceUnit || 'mm'
+        },
+        rig,
+        alignment: {
+            model: alignment.model,
+            // Filler sliders only move and scale in X and Z
+            filler: filler ? {
+                offsetX: filler.positionOffset[0],
+                offsetZ: filler.positionOffset[2],
+                scaleX: filler.scaleMultiplier[0],
+                scaleZ: filler.scaleMultiplier[2]
+            } : null
+        },
+        processing,
+        output: {
+            triangles: output.triangles,
+            volume: validation ? validation.volume : null,
+            size: validation ? validation.size : null,
+            passed: validation ? validation.passed : null,
+            failures: validation ? validation.failures : []
+        },
+        exported: exported || null,
+        measurements: (measurements || []).map(row => ({
+            label: row.label,
+            type: row.type,
+            plane: row.plane || null,
+            value: row.value,
+            unit: row.unit
+        }))
+    };
+}
+
+const fixed = (value, digits) => (value == null ? '-' : value.toFixed(digits));
+const vector = (values, digits) => values.map(value => value.toFixed(digits)).join(', ');
+
+function describeBlockout(blockout) {
+    if (!blockout) return 'off';
+    const { residualDepth, residualTeeth } = blockout;
+    if (residualTeeth === 0 || residualDepth === 0) return 'all undercuts filled';
+    return `${residualDepth} mm left on ${residualTeeth} ${residualTeeth === 1 ? 'tooth' : 'teeth'}`;
+}
+
+function describeLabel(label) {
+    if (!label) return 'none';
+    const where = label.surface === 'base' ? 'base underside' : 'filler top';
+    return `"${label.text}" ${label.mode === 'emboss' ? 'embossed on' : 'engraved into'} ${where}`;
+}
+
+/**
+ * Report as titled sections of [label, text] lines, shared by the PDF and
+ * anything else that shows the report to a person.
+ */
+export function describeReport(report) {
+    const { source, alignment, processing, output, exported } = report;
+    const model = alignment.model;
+    const filler = alignment.filler;
+
+    const sections = [
+        ['Source', [
+            ['File', source.filename || '-'],
+            ['SHA-256', source.sha256 || 'not recorded'],
+            ['Units', source.sourceUnit === 'mm' ? 'mm' : `converted from ${source.sourceUnit}`]
+        ]],
+        ['Alignment', [
+            ['Rig', report.rig],
+            ['Model position (mm)', model ? vector(model.position, 3) : '-'],
+            ['Model rotation offset (deg)', model ? vector(model.rotationOffsetDeg, 2) : '-'],
+            ['Filler offset X / Z (mm)', filler ? `${filler.offsetX.toFixed(2)} / ${filler.offsetZ.toFixed(2)}` : '-'],
+            ['Filler scale X / Z', filler ? `${filler.scaleX.toFixed(3)} / ${filler.scaleZ.toFixed(3)}` : '-']
+        ]],
+        ['Processing', [
+            ['Time', processing.timeMs == null ? '-' : `${processing.timeMs} ms`],
+            ['Open scan closed', processing.closedScan ? 'yes' : 'no'],
+            ['Undercut block-out', describeBlockout(processing.blockout)],
+            ['Specimen label', describeLabel(processing.label)]
+        ]],
+        ['Output', [
+            ['Triangles', output.triangles.toLocaleString('en-US')],
+            ['Volume (mm3)', fixed(output.volume, 1)],
+            ['Size X / Y / Z (mm)', output.size ? vector(output.size, 2) : '-'],
+            ['Printability check', output.passed == null ? '-' : (output.passed ? 'passed' : `failed: ${output.failures.join('; ')}`)],
+            ['Exported STL', exported ? `${exported.filename} (${exported.exportedAt})` : 'not exported yet']
+        ]]
+    ];
+
+    if (report.measurements.length > 0) {
+        sections.push(['Measurements', report.measurements.map(row =>
+            [row.label, `${row.value.toFixed(row.unit === 'deg' ? 1 : 3)} ${row.unit}`])]);
+    }
+
+    return sections;
+}
+
+/**
+ * One-page PDF of the report, with `views` ({ label, dataUrl, aspect }
+ * PNG renders) laid out two per row under the text.
+ * Returns an ArrayBuffer.
+ */
+export async function reportToPDF(report, views) {
+    const { jsPDF } = await import(JSPDF_MODULE);
+    const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+    const { width, height, margin, line } = PAGE;
+    let y = margin;
+
+    const ensureSpace = (needed) => {
+        if (y + needed <= height - margin) return;
+        doc.addPage();
+        y = margin;
+    };
+
+    doc.setFontSize(16);
+    doc.text('Maryland Pull-Out Device - Specimen Report', margin, y + 4);
+    y += 10;
+    doc.setFontSize(9);
+    doc.text(`Generated ${report.generatedAt}`, margin, y);
+    y += line + 2;
+
+    describeReport(report).forEach(([title, rows]) => {
+        ensureSpace(line * 2);
+        doc.setFontSize(11);
+        doc.text(title, margin, y);
+        y += line;
+        doc.setFontSize(9);
+        rows.forEach(([label, text]) => {
+            const wrapped = doc.splitTextToSize(String(text), width - margin * 2 - 60);
+            ensureSpace(line * wrapped.length);
+            doc.text(label, margin + 2, y);
+            doc.text(wrapped, margin + 60, y);
+            y += line * wrapped.length;
+        });
+        y += 2;
+    });
+
+    const columnWidth = (width - margin * 3) / 2;
+    for (let i = 0; i < views.length; i += 2) {
+        const row = views.slice(i, i + 2);
+        const rowHeight = Math.max(...row.map(view => columnWidth / view.aspect));
+        ensureSpace(rowHeight + line);
+        row.forEach((view, column) => {
+            const x = margin + column * (columnWidth + margin);
+            doc.text(view.label, x, y);
+            doc.addImage(view.dataUrl, 'PNG', x, y + 2, columnWidth, columnWidth / view.aspect);
+        });
+        y += rowHeight + line;
+    }
+
+    return doc.output('arraybuffer');
+}
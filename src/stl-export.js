@@ -0,0 +1,44 @@
+/**
+ * stl-export.js
+ * Binary STL of a processed specimen, shared by the app and the command line
+ * so both write the same orientation and header.
+ */
+
+import * as THREE from 'three';
+import { STLExporter } from 'three/addons/exporters/STLExporter.js';
+
+const stlExporter = new STLExporter();
+
+// Header text naming the base plate the part was cut for
+export function specimenStlHeader({ exportedAt, rig }) {
+    return `Maryland Model Prep; exported=${exportedAt}; rig=${rig}`;
+}
+
+// Binary STL headers are 80 free-form bytes (must not start with "solid")
+function stampStlHeader(view, text) {
+    const header = new Uint8Array(view.buffer, view.byteOffset, 80);
+    header.fill(0);
+    header.set(new TextEncoder().encode(text).subarray(0, 80));
+}
+
+/**
+ * Binary STL (DataView) of a result geometry whose vertices are already in
+ * world space, with `header` stamped into its first 80 bytes.
+ */
+export function buildSpecimenSTL(geometry, header) {
+    const exportGeometry = geometry.clone();
+
+    // Apply additional rotation to fix orientation for external apps
+    // The geometry has -90° X baked in from processing, so we add +90° to get it flat
+    exportGeometry.applyMatrix4(new THREE.Matrix4().makeRotationX(THREE.MathUtils.degToRad(90)));
+
+    // Create a temporary mesh with identity transform for export
+    const result = stlExporter.parse(new THREE.Mesh(exportGeometry), { binary: true });
+    exportGeometry.dispose();
+    stampStlHeader(result, header);
+
+    if (result.byteLength === 0) {
+        throw new Error('Generated STL file is empty (0 bytes)');
+    }
+    return result;
+}
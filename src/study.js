@@ -0,0 +1,73 @@
+/**
+ * study.js
+ * Specimen list for preparing a whole study in one session. Each specimen
+ * keeps its scan file and, once opened, its editing session (the same
+ * fields a project file stores, with the scan geometry kept in memory), so
+ * the user can move between specimens without losing work. Status follows
+ * the workflow: imported -> aligned -> filler fitted -> processed -> exported.
+ */
+
+export const SPECIMEN_STATUSES = {
+    imported: 'Imported',
+    aligned: 'Aligned',
+    fillerFitted: 'Filler fitted',
+    processed: 'Processed',
+    exported: 'Exported'
+};
+
+const STATUS_ORDER = Object.keys(SPECIMEN_STATUSES);
+
+// Filler offsets/multipliers closer than this to the template count as untouched
+const FILLER_EPSILON = 1e-3;
+
+let nextSpecimenId = 1;
+
+export function createSpecimen(file) {
+    return {
+        id: nextSpecimenId++,
+        file,
+        filename: file.name,
+        session: null, // Set when the user leaves the specimen (see captureSession in main.js)
+        processedAt: null,
+        exportedAt: null,
+        error: null // Why the specimen could not be imported, processed or exported
+    };
+}
+
+function isFillerFitted(filler) {
+    if (!filler) return false;
+    return filler.positionOffset.some(offset => Math.abs(offset) > FILLER_EPSILON) ||
+        filler.scaleMultiplier.some(multiplier => Math.abs(multiplier - 1) > FILLER_EPSILON);
+}
+
+/**
+ * Furthest workflow status a specimen has reached. A specimen counts as
+ * aligned once the user has moved on to the filler, and as filler fitted
+ * once the filler has been moved or scaled from its template fit.
+ */
+export function specimenStatus(specimen) {
+    if (specimen.exportedAt) return 'exported';
+    if (specimen.processedAt) return 'processed';
+
+    const session = specimen.session;
+    if (!session) return 'imported';
+    if (isFillerFitted(session.alignment.filler)) return 'fillerFitted';
+    if (session.workflow.editTarget === 'filler' || session.workflow.step >= 3) return 'aligned';
+    return 'imported';
+}
+
+export function hasReached(specimen, status) {
+    return STATUS_ORDER.indexOf(specimenStatus(specimen)) >= STATUS_ORDER.indexOf(status);
+}
+
+// Aligned specimens without an export yet, in list order
+export function batchQueue(specimens) {
+    return specimens.filter(specimen => hasReached(specimen, 'aligned') && !specimen.exportedAt);
+}
+
+// Specimen count per status, in workflow order
+export function summarizeStudy(specimens) {
+    const counts = Object.fromEntries(STATUS_ORDER.map(status => [status, 0]));
+    specimens.forEach(specimen => { counts[specimenStatus(specimen)]++; });
+    return counts;
+}
@@ -0,0 +1,84 @@
+/**
+ * worker-client.js
+ * Promise-based client for processing-worker.js.
+ * The worker is created lazily and recreated after cancel(), since
+ * terminating it is the only way to stop a running Boolean evaluation.
+ * cancel() stops every task of the client, so keep tasks that must survive
+ * it on a client of their own.
+ */
+
+export class WorkerClient {
+    constructor() {
+        this.worker = null;
+        this.pending = new Map(); // id -> { resolve, reject, onProgress }
+        this.nextId = 1;
+    }
+
+    getWorker() {
+        if (this.worker) return this.worker;
+
+        this.worker = new Worker(new URL('./processing-worker.js', import.meta.url), { type: 'module' });
+
+        this.worker.onmessage = (event) => {
+            const { id, type } = event.data;
+            const task = this.pending.get(id);
+            if (!task) return;
+
+            if (type === 'progress') {
+                if (task.onProgress) task.onProgress(event.data.fraction, event.data.label);
+            } else if (type === 'result') {
+                this.pending.delete(id);
+                task.resolve(event.data.result);
+            } else if (type === 'error') {
+                this.pending.delete(id);
+                task.reject(new Error(event.data.message));
+            }
+        };
+
+        // Fires when the worker script (or one of its CDN imports) fails to load
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            console.error('[Worker] Worker error:', event.message);
+            this.rejectAll(new Error(event.message || 'Processing worker failed to start'));
+            this.worker.terminate();
+            this.worker = null;
+        };
+
+        return this.worker;
+    }
+
+    /**
+     * Run a task in the worker.
+     * `transfer` lists ArrayBuffers handed over to the worker (they become unusable here).
+     */
+    run(type, payload, { transfer = [], onProgress = null } = {}) {
+        const worker = this.getWorker();
+        const id = this.nextId++;
+
+        return new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject, onProgress });
+            worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    // Stop everything in flight; pending promises reject with error.cancelled = true
+    cancel() {
+        if (!this.worker) return;
+
+        this.worker.terminate();
+        this.worker = null;
+
+        const error = new Error('Cancelled');
+        error.cancelled = true;
+        this.rejectAll(error);
+    }
+
+    get busy() {
+        return this.pending.size > 0;
+    }
+
+    rejectAll(error) {
+        this.pending.forEach(task => task.reject(error));
+        this.pending.clear();
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Instron CSV results (src/instron-results.js): parsing exports and linking
+ * runs to specimens.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findPeak, matchSpecimen, parseInstronCSV, runCandidates } from '../src/instron-results.js';
+
+test('a Bluehill export is read with its metadata and units', () => {
+    const csv = [
+        'Sample ID:,control-03',
+        'Test date:,2024-05-02',
+        '',
+        '"Time (s)","Extension (mm)","Load (kN)"',
+        '0.0,0.00,0.000',
+        '0.1,0.05,0.120',
+        '0.2,0.10,0.310',
+        '0.3,0.15,0.205',
+        '',
+        'Maximum Load,0.310'
+    ].join('\r\n');
+
+    const run = parseInstronCSV(csv);
+    assert.deepEqual(run.metadata, [['Sample ID', 'control-03'], ['Test date', '2024-05-02']]);
+    assert.deepEqual(run.units, { force: 'kN', displacement: 'mm' });
+    assert.deepEqual(Array.from(run.force), [0, 120, 310, 205]);
+    assert.deepEqual(findPeak(run), { peakForce: 310, displacementAtPeak: 0.1 });
+});
+
+test('units on their own row, semicolons and decimal commas are understood', () => {
+    const csv = [
+        'Extension;Load',
+        '(in);(lbf)',
+        '0,0;0,0',
+        '0,5;-10,0',
+        '1,0;-5,0'
+    ].join('\n');
+
+    const run = parseInstronCSV(csv);
+    assert.deepEqual(run.units, { force: 'lbf', displacement: 'in' });
+    // Compression-positive curves are flipped so the pull reads positive
+    const { peakForce, displacementAtPeak } = findPeak(run);
+    assert.ok(Math.abs(peakForce - 44.482216152605) < 1e-9);
+    assert.ok(Math.abs(displacementAtPeak + 12.7) < 1e-9);
+});
+
+test('files without load and extension columns are rejected', () => {
+    assert.throws(() => parseInstronCSV('Time,Temperature\n0,21\n'), /No load and extension columns/);
+    assert.throws(() => parseInstronCSV('Extension (mm),Load (N)\n'), /no load\/extension data/);
+});
+
+test('runs are linked to the specimen named in the header, file or folder', () => {
+    const known = ['S1', 'S12', 'control-03'];
+    assert.equal(matchSpecimen(runCandidates('run 4.csv', [['Specimen', 'S12']]), known), 'S12');
+    assert.equal(matchSpecimen(runCandidates('S1_3-screw.csv', []), known), 'S1');
+    assert.equal(matchSpecimen(runCandidates('control-03/run1.csv', []), known), 'control-03');
+    assert.equal(matchSpecimen(runCandidates('S123.csv', []), known), null);
+});
@@ -0,0 +1,114 @@
+/**
+ * Command-line processing (cli/process-scan.mjs) of saved projects: the rig
+ * the project was prepared on is the one cut.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as THREE from 'three';
+import { buildProject } from '../src/project-file.js';
+
+const CLI = fileURLToPath(new URL('../cli/process-scan.mjs', import.meta.url));
+
+// Half a torus standing in for a dental arch, posed over the rig
+async function writeProject(dir, rig, label = null) {
+    const geometry = new THREE.TorusGeometry(18, 3, 8, 24, Math.PI);
+    geometry.deleteAttribute('uv');
+    const project = buildProject({
+        scan: { filename: 'arch-01.stl', geometry },
+        rig,
+        alignment: {
+            model: { position: [0, 8.5, -3.3], rotationOffsetDeg: [0, 0, 0] },
+            filler: { positionOffset: [0, 0, 0], scaleMultiplier: [1, 1, 1] }
+        },
+        label,
+        workflow: { step: 3 }
+    });
+    const path = join(dir, 'arch-01.mprep');
+    await writeFile(path, JSON.stringify(project));
+    return path;
+}
+
+function runCLI(args) {
+    return new Promise(resolve => {
+        execFile(process.execPath, [CLI, ...args], { timeout: 300000 }, (error, stdout, stderr) => {
+            resolve({ code: error ? error.code : 0, stdout, stderr });
+        });
+    });
+}
+
+// Screws cut, by the name in the progress lines ("Cutting screw hole 1/6 (Ant_Top)...")
+function screwsCut(stderr) {
+    return [...stderr.matchAll(/Cutting screw hole \d+\/\d+ \((\w+)\)/g)].map(match => match[1]);
+}
+
+test('a project saved on the 4-screw plate is cut with the 4-screw holes', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'process-scan-'));
+    try {
+        const project = await writeProject(dir, { variant: '4-screw', template: 'public/rigs/Maryland_Retention_Rig.glb' });
+        const { code, stdout, stderr } = await runCLI(['--force', '--out-dir', dir, project]);
+        assert.equal(code, 0, stderr);
+        assert.doesNotMatch(stdout, /\[(CSG|Rig)\]/, 'stage logs only with --verbose');
+
+        const holes = screwsCut(stderr);
+        assert.equal(holes.length, 8);
+        ['Ant_L', 'Ant_R', 'Post_L', 'Post_R'].forEach(position => {
+            assert.ok(holes.includes(`${position}_Top`) && holes.includes(`${position}_Body`), `${position} hole cut`);
+        });
+
+        const stl = await readFile(join(dir, 'arch-01_4-screw.stl'));
+        assert.match(stl.subarray(0, 80).toString(), /rig=4-screw/);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('--variant overrides the project rig', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'process-scan-'));
+    try {
+        const project = await writeProject(dir, { variant: '4-screw', template: 'public/rigs/Maryland_Retention_Rig.glb' });
+        const { code, stderr } = await runCLI(['--force', '--variant', '3-screw', '--out-dir', dir, project]);
+        assert.equal(code, 0, stderr);
+        assert.ok(!screwsCut(stderr).some(name => name.startsWith('Post_')));
+        await readFile(join(dir, 'arch-01_3-screw.stl'));
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('a project saved on a custom rig needs that rig passed in', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'process-scan-'));
+    try {
+        const project = await writeProject(dir, { variant: 'custom', template: 'Thick base' });
+        const { code, stderr } = await runCLI(['--out-dir', dir, project]);
+        assert.equal(code, 1);
+        assert.match(stderr, /custom rig "Thick base".*--rig and --manifest/);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
+
+test('a project is labelled with its saved label settings unless overridden', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'process-scan-'));
+    try {
+        const project = await writeProject(dir, { variant: '3-screw', template: 'public/rigs/Maryland_Retention_Rig.glb' }, {
+            text: 'S-01',
+            settings: { mode: 'emboss', surface: 'base', size: 3, depth: 0.4, offsetX: 0, offsetZ: 0 }
+        });
+
+        const saved = await runCLI(['--force', '--out-dir', dir, project]);
+        assert.equal(saved.code, 0, saved.stderr);
+        assert.match(saved.stderr, /Label "S-01" \(engrave, base underside\)/);
+
+        const off = await runCLI(['--force', '--label', 'off', '--out-dir', dir, project]);
+        assert.equal(off.code, 0, off.stderr);
+        assert.doesNotMatch(off.stderr, /Label "/);
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+});
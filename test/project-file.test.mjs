@@ -0,0 +1,70 @@
+/**
+ * Project files (src/project-file.js): what is saved comes back on open.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as THREE from 'three';
+import { buildProject, parseProject, PROJECT_VERSION } from '../src/project-file.js';
+
+function roundTrip(session) {
+    return parseProject(JSON.stringify(buildProject(session)));
+}
+
+function scan() {
+    return { filename: 'specimen-01.stl', geometry: new THREE.BoxGeometry(10, 4, 6) };
+}
+
+const ALIGNMENT = {
+    model: { position: [1, 8.5, -3], rotationOffsetDeg: [2, 0, -1] },
+    filler: { positionOffset: [0, 0.5, 0], scaleMultiplier: [1.1, 1, 1] }
+};
+
+test('a project reopens with its scan, rig, alignment and workflow', () => {
+    const geometry = scan().geometry;
+    const history = [{ ...ALIGNMENT, label: 'Move model' }];
+    const project = roundTrip({
+        scan: { ...scan(), sourceUnit: 'cm', sha256: 'abc123' },
+        rig: { variant: '4-screw', template: 'public/rigs/Maryland_Retention_Rig.glb' },
+        alignment: ALIGNMENT,
+        workflow: { step: 3, editTarget: 'filler' },
+        history,
+        createdAt: '2024-05-02T10:00:00.000Z'
+    });
+
+    assert.deepEqual(project.rig, { variant: '4-screw', template: 'public/rigs/Maryland_Retention_Rig.glb' });
+    assert.deepEqual(project.alignment, ALIGNMENT);
+    assert.deepEqual(project.workflow, { step: 3, editTarget: 'filler' });
+    assert.deepEqual(project.history, history);
+    assert.equal(project.createdAt, '2024-05-02T10:00:00.000Z');
+    assert.equal(project.scan.filename, 'specimen-01.stl');
+    assert.equal(project.scan.sourceUnit, 'cm');
+    assert.equal(project.scan.sha256, 'abc123');
+
+    // Geometry comes back exactly, with normals recomputed
+    const restored = project.scan.geometry;
+    assert.deepEqual(Array.from(restored.attributes.position.array), Array.from(geometry.attributes.position.array));
+    assert.deepEqual(Array.from(restored.index.array), Array.from(geometry.index.array));
+    assert.ok(restored.attributes.normal);
+});
+
+test('a project without a history opens with an empty one', () => {
+    const project = buildProject({ scan: scan(), alignment: ALIGNMENT, workflow: { step: 3 } });
+    delete project.history;
+    assert.deepEqual(parseProject(JSON.stringify(project)).history, []);
+});
+
+test('files that are not projects, or from a newer version, are rejected', () => {
+    const project = buildProject({ scan: scan(), alignment: ALIGNMENT, workflow: { step: 3 } });
+    assert.throws(() => parseProject('not json'), /invalid JSON/);
+    assert.throws(() => parseProject(JSON.stringify({ ...project, format: 'other' })), /not a Maryland Pull-Out Device project/);
+    assert.throws(() => parseProject(JSON.stringify({ ...project, version: PROJECT_VERSION + 1 })), /newer than this app supports/);
+    assert.throws(() => parseProject(JSON.stringify({ ...project, alignment: {} })), /no model alignment/);
+});
+
+test('the label text and settings are saved', () => {
+    const settings = { mode: 'emboss', surface: 'filler', size: 5, depth: 0.8, offsetX: 1.5, offsetZ: -2 };
+    const project = roundTrip({ scan: scan(), alignment: ALIGNMENT, label: { text: 'S-01', settings }, workflow: { step: 3 } });
+    assert.equal(project.version, PROJECT_VERSION);
+    assert.deepEqual(project.label, { text: 'S-01', settings });
+});